@@ -1,18 +1,101 @@
 // netlify/functions/chatgpt.js
+import { stream } from "@netlify/functions";
+import { createProvider, generationSettings } from "../lib/llmProviders.js";
+import {
+  DEFAULT_TEMPLATE,
+  getPromptTemplate,
+  renderPromptTemplate,
+} from "../lib/promptTemplates.js";
+import {
+  getLimits,
+  checkOrigin,
+  corsHeadersFor,
+  checkBodySize,
+  validateMessages,
+  clientKey,
+  takeToken,
+} from "../lib/requestGuards.js";
+import {
+  STRUCTURED_ATTEMPTS,
+  parseStructuredReply,
+  retryMessages,
+} from "../lib/structuredOutput.js";
+import { toolDefinitions } from "../lib/energyTools.js";
+import {
+  toolsEnabled,
+  chatWithTools,
+  streamWithTools,
+} from "../lib/toolCalling.js";
+import {
+  REFERENCE_DATASET,
+  findReferences,
+  formatReferences,
+  latestQuestion,
+} from "../lib/referenceData.js";
+import { findGlossaryTerms, formatGlossary } from "../lib/glossary.js";
 
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+// JSON error body; `code` lets the UI show a translated message
+const rejection = (check, corsHeaders, extraHeaders = {}) => ({
+  statusCode: check.status,
+  headers: {
+    "Content-Type": "application/json",
+    ...extraHeaders,
+    ...corsHeaders,
+  },
+  body: JSON.stringify({
+    error: check.error,
+    code: check.code,
+    ...(check.limit !== undefined && { limit: check.limit }),
+    ...(check.limitKB !== undefined && { limitKB: check.limitKB }),
+    ...(check.retryAfter !== undefined && { retryAfter: check.retryAfter }),
+  }),
+});
 
-const corsHeaders = {
-  "Access-Control-Allow-Origin": "*",
-  "Access-Control-Allow-Headers": "Content-Type",
-  "Access-Control-Allow-Methods": "POST,OPTIONS",
+// Ask for JSON matching the template's schema (never streamed: a partial
+// object is no use to the UI), check it and let the model retry with the
+// validation errors. Resolves to { ok, data, attempts } or a provider-style
+// { ok: false, status, code, error }.
+const requestStructured = async (
+  provider,
+  messages,
+  responseFormat,
+  settings
+) => {
+  let attemptMessages = messages;
+  for (let attempt = 1; attempt <= STRUCTURED_ATTEMPTS; attempt++) {
+    const result = await provider.chat({
+      messages: attemptMessages,
+      stream: false,
+      responseFormat,
+      ...settings,
+    });
+    if (!result.ok) return result;
+
+    const { data, errors } = parseStructuredReply(result.text, responseFormat);
+    if (data) return { ok: true, data, attempts: attempt };
+
+    console.warn(
+      `Reply ${attempt}/${STRUCTURED_ATTEMPTS} did not match "${responseFormat.name}":`,
+      errors
+    );
+    attemptMessages = [...messages, ...retryMessages(result.text, errors)];
+  }
+  return {
+    ok: false,
+    status: 502,
+    code: "invalid_structured_reply",
+    error: `The model's reply did not match the "${responseFormat.name}" format.`,
+  };
 };
 
-export const handler = async (event) => {
+export const handler = stream(async (event) => {
+  const originCheck = checkOrigin(event);
+  const corsHeaders = corsHeadersFor(originCheck);
+
   // CORS preflight
   if (event.httpMethod === "OPTIONS") {
     return {
-      statusCode: 200,
+      statusCode: originCheck.ok ? 204 : 403,
       headers: corsHeaders,
       body: "",
     };
@@ -26,14 +109,27 @@ export const handler = async (event) => {
     };
   }
 
-  if (!OPENAI_API_KEY) {
+  if (!originCheck.ok) return rejection(originCheck, corsHeaders);
+
+  const limits = getLimits();
+
+  const sizeCheck = checkBodySize(event, limits);
+  if (!sizeCheck.ok) return rejection(sizeCheck, corsHeaders);
+
+  const rate = takeToken(clientKey(event), limits);
+  if (!rate.ok) {
+    return rejection(rate, corsHeaders, {
+      "Retry-After": String(rate.retryAfter),
+    });
+  }
+
+  // Provider is chosen by env (LLM_PROVIDER), see netlify/lib/llmProviders.js
+  const { provider, error: configError } = createProvider();
+  if (!provider) {
     return {
       statusCode: 500,
       headers: corsHeaders,
-      body: JSON.stringify({
-        error:
-          "Missing OPENAI_API_KEY env variable. Set it in .env (local) and in Netlify site settings.",
-      }),
+      body: JSON.stringify({ error: configError }),
     };
   }
 
@@ -48,57 +144,186 @@ export const handler = async (event) => {
     };
   }
 
-  const messages = body.messages || [];
+  // The system prompt comes from the named server-side template only
+  const templateName = body.template || DEFAULT_TEMPLATE;
+  const template = getPromptTemplate(templateName, body.templateVersion);
+  if (!template) {
+    return {
+      statusCode: 400,
+      headers: corsHeaders,
+      body: JSON.stringify({
+        error: `Unknown prompt template "${templateName}"${
+          body.templateVersion ? ` v${body.templateVersion}` : ""
+        }`,
+      }),
+    };
+  }
+  const { message: systemMessage, error: templateError } = renderPromptTemplate(
+    template,
+    body.templateVars
+  );
+  if (templateError) {
+    return {
+      statusCode: 400,
+      headers: corsHeaders,
+      body: JSON.stringify({ error: templateError }),
+    };
+  }
+
+  // System messages from the client are dropped, not trusted
+  const clientMessages = Array.isArray(body.messages) ? body.messages : [];
+  const stripped = clientMessages.filter((m) => m?.role === "system").length;
+  if (stripped) {
+    console.warn(`Ignoring ${stripped} client-supplied system message(s)`);
+  }
+  const validation = validateMessages(
+    clientMessages.filter((m) => m?.role !== "system"),
+    limits
+  );
+  if (!validation.ok) return rejection(validation, corsHeaders);
+
+  // Reference entries for the question (chat v3), numbered [R1]… in the
+  // system message; the browser gets the same list to link the citations
+  const entries = template.references
+    ? findReferences(latestQuestion(validation.messages))
+    : [];
+  const references = entries.length
+    ? { dataset: REFERENCE_DATASET, entries }
+    : null;
+  if (references) {
+    systemMessage.content += `\n\n${formatReferences(entries)}`;
+  }
+
+  // Agreed terms for concepts the question names, in every UI language
+  const glossaryTerms = template.glossary
+    ? findGlossaryTerms(latestQuestion(validation.messages))
+    : [];
+  if (glossaryTerms.length) {
+    systemMessage.content += `\n\n${formatGlossary(glossaryTerms)}`;
+  }
+
+  const messages = [systemMessage, ...validation.messages];
+  const wantsStream = body.stream === true;
+
+  // Which prompt and model produced the reply; stored with the message
+  const meta = {
+    provider: provider.name,
+    model: provider.model,
+    template: template.name,
+    templateVersion: template.version,
+  };
+  const modelHeaders = {
+    "X-LLM-Provider": provider.name,
+    "X-LLM-Model": provider.model,
+    "X-Prompt-Template": `${template.name}@${template.version}`,
+  };
+
+  // Templates with long structured replies can ask for a higher token cap
+  const settings = generationSettings();
+  if (template.maxTokens) {
+    settings.maxTokens = Math.max(settings.maxTokens, template.maxTokens);
+  }
 
   try {
-    const openaiRes = await fetch(
-      "https://api.openai.com/v1/chat/completions",
-      {
-        method: "POST",
+    if (template.responseFormat) {
+      const result = await requestStructured(
+        provider,
+        messages,
+        template.responseFormat,
+        settings
+      );
+      if (!result.ok) {
+        return rejection({ status: 502, ...result }, corsHeaders);
+      }
+
+      // Same framing as a streamed reply, with one { data } event in place
+      // of the text deltas
+      if (wantsStream) {
+        const lines = [{ meta }, { data: result.data }, { done: true }];
+        return {
+          statusCode: 200,
+          headers: {
+            "Content-Type": "application/x-ndjson; charset=utf-8",
+            "Cache-Control": "no-cache",
+            ...modelHeaders,
+            ...corsHeaders,
+          },
+          body: lines.map((line) => JSON.stringify(line) + "\n").join(""),
+        };
+      }
+      return {
+        statusCode: 200,
         headers: {
           "Content-Type": "application/json",
-          Authorization: `Bearer ${OPENAI_API_KEY}`,
+          ...modelHeaders,
+          ...corsHeaders,
         },
-        body: JSON.stringify({
-          model: "gpt-4o-mini",
-          messages,
-          max_tokens: 900,
-          temperature: 0.7,
-        }),
-      }
-    );
+        body: JSON.stringify({ data: result.data, ...meta }),
+      };
+    }
 
-    const rawText = await openaiRes.text();
+    // Calculators the template allows (chat v2), unless LLM_TOOLS=off
+    const tools = toolsEnabled() ? toolDefinitions(template.tools) : [];
+    const toolRequest = { provider, messages, tools, settings };
+    let result;
+    if (tools.length) {
+      result = wantsStream
+        ? await streamWithTools(toolRequest)
+        : await chatWithTools(toolRequest);
+    } else {
+      result = await provider.chat({
+        messages,
+        stream: wantsStream,
+        ...settings,
+      });
+    }
 
-    if (!openaiRes.ok) {
-      console.error("OpenAI error:", openaiRes.status, rawText);
+    if (!result.ok) {
       return {
-        statusCode: openaiRes.status,
-        headers: corsHeaders,
-        body: rawText || JSON.stringify({ error: "OpenAI error" }),
+        statusCode: result.status || 502,
+        headers: { "Content-Type": "application/json", ...corsHeaders },
+        body: JSON.stringify({ error: result.error }),
       };
     }
 
-    let data;
-    try {
-      data = JSON.parse(rawText);
-    } catch (err) {
-      console.error("Error parsing OpenAI JSON:", err, rawText);
+    // Streaming mode: a { meta } line first (and { references } if any),
+    // then token deltas (and { tool } steps) as NDJSON
+    if (result.stream) {
+      const withMeta = new TransformStream({
+        start(controller) {
+          controller.enqueue(JSON.stringify({ meta }) + "\n");
+          if (references) {
+            controller.enqueue(JSON.stringify({ references }) + "\n");
+          }
+        },
+      });
       return {
-        statusCode: 500,
-        headers: corsHeaders,
-        body: JSON.stringify({
-          error: "Failed to parse OpenAI response JSON",
-        }),
+        statusCode: 200,
+        headers: {
+          "Content-Type": "application/x-ndjson; charset=utf-8",
+          "Cache-Control": "no-cache",
+          ...modelHeaders,
+          ...corsHeaders,
+        },
+        body: result.stream
+          .pipeThrough(withMeta)
+          .pipeThrough(new TextEncoderStream()),
       };
     }
 
-    const text = data?.choices?.[0]?.message?.content || "";
-
     return {
       statusCode: 200,
-      headers: { "Content-Type": "application/json", ...corsHeaders },
-      body: JSON.stringify({ text }),
+      headers: {
+        "Content-Type": "application/json",
+        ...modelHeaders,
+        ...corsHeaders,
+      },
+      body: JSON.stringify({
+        text: result.text,
+        ...(result.steps?.length && { toolSteps: result.steps }),
+        ...(references && { references }),
+        ...meta,
+      }),
     };
   } catch (err) {
     console.error("Function error:", err);
@@ -110,4 +335,4 @@ export const handler = async (event) => {
       }),
     };
   }
-};
+});
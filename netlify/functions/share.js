@@ -0,0 +1,179 @@
+// netlify/functions/share.js
+// Read-only conversation links. POST /api/share with a conversation in the
+// app's JSON export format stores a snapshot and answers { id }; GET
+// /api/share/:id returns { id, createdAt, snapshot }. Before storing, each
+// message's charts, sources, scenario run and comparison get the same shape
+// checks as an imported file (netlify/lib/messageShapes.js), and fields
+// that fail are dropped; the browser cleans the snapshot again before
+// showing it. Storage: see netlify/lib/shareStore.js.
+import {
+  getLimits,
+  checkOrigin,
+  corsHeadersFor,
+  checkBodySize,
+  clientKey,
+  takeToken,
+} from "../lib/requestGuards.js";
+import { createShareStore, isShareId, newShareId } from "../lib/shareStore.js";
+import {
+  isChart,
+  isComparison,
+  isScenarioRun,
+  isSource,
+} from "../lib/messageShapes.js";
+
+// Must match EXPORT_FORMAT / EXPORT_VERSION in src/conversationExport.js
+const SNAPSHOT_FORMAT = "ml-energy-conversation";
+const SNAPSHOT_VERSION = 1;
+
+const json = (statusCode, body, headers) => ({
+  statusCode,
+  headers: { "Content-Type": "application/json", ...headers },
+  body: JSON.stringify(body),
+});
+
+const rejection = (check, corsHeaders, extraHeaders = {}) =>
+  json(
+    check.status,
+    {
+      error: check.error,
+      code: check.code,
+      ...(check.limitKB !== undefined && { limitKB: check.limitKB }),
+      ...(check.retryAfter !== undefined && { retryAfter: check.retryAfter }),
+    },
+    { ...extraHeaders, ...corsHeaders }
+  );
+
+const isSnapshot = (snapshot) =>
+  snapshot?.format === SNAPSHOT_FORMAT &&
+  snapshot.version <= SNAPSHOT_VERSION &&
+  Array.isArray(snapshot.conversation?.messages);
+
+// Message fields the viewer renders, each with the check it must pass
+const MESSAGE_EXTRAS = {
+  charts: (charts) => Array.isArray(charts) && charts.every(isChart),
+  sources: (sources) => Array.isArray(sources) && sources.every(isSource),
+  scenarioRun: isScenarioRun,
+  comparison: isComparison,
+};
+
+const cleanMessage = (msg) => {
+  if (msg === null || typeof msg !== "object") return null;
+  if (!["user", "assistant"].includes(msg.role)) return null;
+  const clean = { ...msg, text: String(msg.text ?? "") };
+  for (const [key, check] of Object.entries(MESSAGE_EXTRAS)) {
+    if (key in clean && !check(clean[key])) delete clean[key];
+  }
+  return clean;
+};
+
+// The snapshot to store, or null if it is not a conversation export
+const cleanSnapshot = (snapshot) => {
+  if (!isSnapshot(snapshot)) return null;
+  const messages = snapshot.conversation.messages
+    .map(cleanMessage)
+    .filter(Boolean);
+  if (!messages.length) return null;
+  return {
+    ...snapshot,
+    conversation: { ...snapshot.conversation, messages },
+  };
+};
+
+// "/api/share/abc…" or "/.netlify/functions/share/abc…"; ?id= also works
+const shareIdOf = (event) =>
+  event.queryStringParameters?.id || (event.path || "").split("/").pop();
+
+const readShare = async (event, store, corsHeaders) => {
+  const id = shareIdOf(event);
+  const record = isShareId(id) ? await store.get(id) : null;
+  if (!record) {
+    return json(
+      404,
+      { error: "No such shared conversation.", code: "share_not_found" },
+      corsHeaders
+    );
+  }
+  // Snapshots never change, so browsers and the CDN may keep them
+  return json(200, record, {
+    ...corsHeaders,
+    "Cache-Control": "public, max-age=3600",
+  });
+};
+
+const createShare = async (event, store, corsHeaders) => {
+  const limits = getLimits();
+
+  const sizeCheck = checkBodySize(event, limits);
+  if (!sizeCheck.ok) return rejection(sizeCheck, corsHeaders);
+
+  const rate = takeToken(clientKey(event), limits);
+  if (!rate.ok) {
+    return rejection(rate, corsHeaders, {
+      "Retry-After": String(rate.retryAfter),
+    });
+  }
+
+  let snapshot;
+  try {
+    snapshot = cleanSnapshot(JSON.parse(event.body || "{}"));
+  } catch {
+    snapshot = null;
+  }
+  if (!snapshot) {
+    return json(
+      400,
+      {
+        error: "Expected a conversation in the app's export format.",
+        code: "invalid_share",
+      },
+      corsHeaders
+    );
+  }
+
+  const id = newShareId();
+  await store.put(id, { id, createdAt: new Date().toISOString(), snapshot });
+  return json(201, { id }, corsHeaders);
+};
+
+export const handler = async (event) => {
+  const originCheck = checkOrigin(event);
+  const corsHeaders = {
+    ...corsHeadersFor(originCheck),
+    "Access-Control-Allow-Methods": "GET,POST,OPTIONS",
+  };
+
+  if (event.httpMethod === "OPTIONS") {
+    return {
+      statusCode: originCheck.ok ? 204 : 403,
+      headers: corsHeaders,
+      body: "",
+    };
+  }
+  if (!originCheck.ok) return rejection(originCheck, corsHeaders);
+
+  try {
+    // Store is chosen by env (SHARE_STORE), see netlify/lib/shareStore.js
+    const { store, error: configError } = createShareStore(event);
+    if (!store) return json(500, { error: configError }, corsHeaders);
+
+    if (event.httpMethod === "GET") {
+      return await readShare(event, store, corsHeaders);
+    }
+    if (event.httpMethod === "POST") {
+      return await createShare(event, store, corsHeaders);
+    }
+  } catch (err) {
+    console.error("Share store error:", err);
+    return json(
+      502,
+      {
+        error: "Shared conversations are unavailable right now.",
+        code: "share_unavailable",
+      },
+      corsHeaders
+    );
+  }
+
+  return json(405, { error: "Method not allowed" }, corsHeaders);
+};
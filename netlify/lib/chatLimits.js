@@ -0,0 +1,7 @@
+// netlify/lib/chatLimits.js
+// Request limits the browser needs to know as well as the function. Also
+// imported by src/contextWindow.js, so nothing here may use Node APIs.
+
+// Messages per /api/chat request (CHAT_MAX_MESSAGES can raise it). The
+// browser folds older turns into the summary to stay within the default.
+export const DEFAULT_MAX_MESSAGES = 80;
@@ -0,0 +1,236 @@
+// netlify/lib/energyTools.js
+// Calculators the model can call (tool calling) instead of doing the
+// arithmetic itself. They run inside the function; the results go back to
+// the model and are shown to the user as expandable steps.
+//
+// Each tool has a JSON-schema `parameters` object (sent to the provider
+// and checked again here) and a run(args) that returns { result } or
+// { error }.
+
+import { validateSchema } from "./structuredOutput.js";
+
+const HOURS_PER_YEAR = 8760;
+const DAYS_PER_YEAR = 365;
+
+// Joules per unit. BTU is the International Table BTU, toe the IEA
+// tonne of oil equivalent (41.868 GJ).
+const JOULES_PER_UNIT = {
+  kWh: 3.6e6,
+  MWh: 3.6e9,
+  GWh: 3.6e12,
+  GJ: 1e9,
+  BTU: 1055.05585262,
+  toe: 41.868e9,
+};
+export const ENERGY_UNITS = Object.keys(JOULES_PER_UNIT);
+
+// Six significant digits: enough for any answer, and conversions to toe
+// don't round small values down to zero
+const round = (value) => Number(value.toPrecision(6));
+
+// Range checks the schema subset can't express. Returns an error or null.
+const checkRanges = (args, ranges) => {
+  for (const [key, [min, max]] of Object.entries(ranges)) {
+    const value = args[key];
+    if (value === undefined) continue;
+    if (!(value >= min && value <= max)) {
+      return `${key} must be between ${min} and ${max}`;
+    }
+  }
+  return null;
+};
+
+const number = (description) => ({ type: "number", description });
+
+const TOOLS = [
+  {
+    name: "pv_yield",
+    description:
+      "Energy produced by a solar PV system from its installed capacity and capacity factor.",
+    parameters: {
+      type: "object",
+      additionalProperties: false,
+      required: ["capacityKW", "capacityFactorPct"],
+      properties: {
+        capacityKW: number("Installed capacity in kW (kWp)"),
+        capacityFactorPct: number("Capacity factor in percent, e.g. 18"),
+      },
+    },
+    run: (args) => {
+      const error = checkRanges(args, {
+        capacityKW: [0, 1e8],
+        capacityFactorPct: [0, 100],
+      });
+      if (error) return { error };
+      const annualKWh =
+        (args.capacityKW * HOURS_PER_YEAR * args.capacityFactorPct) / 100;
+      return {
+        result: {
+          annualKWh: round(annualKWh),
+          annualMWh: round(annualKWh / 1000),
+          averageDailyKWh: round(annualKWh / DAYS_PER_YEAR),
+          specificYieldKWhPerKWp: round(
+            (HOURS_PER_YEAR * args.capacityFactorPct) / 100
+          ),
+        },
+      };
+    },
+  },
+  {
+    name: "battery_autonomy",
+    description:
+      "How long a battery can carry a constant load, from its capacity, usable depth of discharge and discharge efficiency.",
+    parameters: {
+      type: "object",
+      additionalProperties: false,
+      required: ["capacityKWh", "loadKW"],
+      properties: {
+        capacityKWh: number("Nameplate battery capacity in kWh"),
+        loadKW: number("Average load to supply, in kW"),
+        depthOfDischargePct: number(
+          "Usable share of the capacity in percent (default 90)"
+        ),
+        dischargeEfficiencyPct: number(
+          "Discharge efficiency in percent (default 95)"
+        ),
+      },
+    },
+    run: (args) => {
+      const {
+        capacityKWh,
+        loadKW,
+        depthOfDischargePct = 90,
+        dischargeEfficiencyPct = 95,
+      } = args;
+      const error =
+        checkRanges(args, {
+          capacityKWh: [0, 1e8],
+          depthOfDischargePct: [1, 100],
+          dischargeEfficiencyPct: [1, 100],
+        }) || (loadKW > 0 ? null : "loadKW must be greater than 0");
+      if (error) return { error };
+      const deliverableKWh =
+        (capacityKWh * depthOfDischargePct * dischargeEfficiencyPct) / 10000;
+      return {
+        result: {
+          deliverableKWh: round(deliverableKWh),
+          autonomyHours: round(deliverableKWh / loadKW),
+          depthOfDischargePct,
+          dischargeEfficiencyPct,
+        },
+      };
+    },
+  },
+  {
+    name: "ev_fleet_charging",
+    description:
+      "Daily charging energy and grid demand of an electric vehicle fleet, with and without managed (spread-out) charging.",
+    parameters: {
+      type: "object",
+      additionalProperties: false,
+      required: ["vehicles", "kmPerDay", "kWhPer100km", "chargerKW"],
+      properties: {
+        vehicles: number("Number of vehicles"),
+        kmPerDay: number("Average distance per vehicle per day, in km"),
+        kWhPer100km: number("Vehicle consumption in kWh per 100 km"),
+        chargerKW: number("Charger power per vehicle, in kW"),
+        chargingWindowHours: number(
+          "Hours available for charging each day (default 8)"
+        ),
+        chargingEfficiencyPct: number(
+          "Charging efficiency in percent (default 90)"
+        ),
+      },
+    },
+    run: (args) => {
+      const {
+        vehicles,
+        kmPerDay,
+        kWhPer100km,
+        chargerKW,
+        chargingWindowHours = 8,
+        chargingEfficiencyPct = 90,
+      } = args;
+      const error =
+        checkRanges(args, {
+          vehicles: [1, 1e6],
+          kmPerDay: [0, 5000],
+          kWhPer100km: [1, 500],
+          chargingWindowHours: [0.5, 24],
+          chargingEfficiencyPct: [1, 100],
+        }) || (chargerKW > 0 ? null : "chargerKW must be greater than 0");
+      if (error) return { error };
+
+      const perVehicleKWh =
+        (kmPerDay * kWhPer100km) / 100 / (chargingEfficiencyPct / 100);
+      const fleetDailyKWh = perVehicleKWh * vehicles;
+      const unmanagedPeakKW = vehicles * chargerKW;
+      const hoursPerVehicle = perVehicleKWh / chargerKW;
+      return {
+        result: {
+          perVehicleDailyKWh: round(perVehicleKWh),
+          fleetDailyKWh: round(fleetDailyKWh),
+          fleetAnnualMWh: round((fleetDailyKWh * DAYS_PER_YEAR) / 1000),
+          hoursToChargeEachVehicle: round(hoursPerVehicle),
+          unmanagedPeakKW: round(unmanagedPeakKW),
+          managedPeakKW: round(
+            Math.min(unmanagedPeakKW, fleetDailyKWh / chargingWindowHours)
+          ),
+          fitsChargingWindow: hoursPerVehicle <= chargingWindowHours,
+        },
+      };
+    },
+  },
+  {
+    name: "convert_energy",
+    description: `Convert an amount of energy between units (${ENERGY_UNITS.join(", ")}).`,
+    parameters: {
+      type: "object",
+      additionalProperties: false,
+      required: ["value", "from", "to"],
+      properties: {
+        value: number("Amount to convert"),
+        from: { type: "string", enum: ENERGY_UNITS },
+        to: { type: "string", enum: ENERGY_UNITS },
+      },
+    },
+    run: ({ value, from, to }) => ({
+      result: {
+        value: round((value * JOULES_PER_UNIT[from]) / JOULES_PER_UNIT[to]),
+        unit: to,
+      },
+    }),
+  },
+];
+
+export const ENERGY_TOOL_NAMES = TOOLS.map((tool) => tool.name);
+
+// Definitions in the shape providers expect, for the names a template allows
+export const toolDefinitions = (names = []) =>
+  TOOLS.filter((tool) => names.includes(tool.name)).map(
+    ({ name, description, parameters }) => ({ name, description, parameters })
+  );
+
+// Run one call from the model ({ id, name, arguments: JSON string}).
+// Returns a step { id, name, args, result } or { id, name, args, error };
+// errors go back to the model so it can correct its inputs.
+export const runToolCall = (call) => {
+  const step = { id: call.id, name: call.name, args: {} };
+  const tool = TOOLS.find((t) => t.name === call.name);
+  if (!tool) return { ...step, error: `Unknown tool "${call.name}"` };
+
+  try {
+    step.args = JSON.parse(call.arguments || "{}");
+  } catch {
+    return { ...step, error: "Arguments are not valid JSON" };
+  }
+  const errors = validateSchema(tool.parameters, step.args);
+  if (errors.length) return { ...step, error: errors.join("; ") };
+
+  try {
+    return { ...step, ...tool.run(step.args) };
+  } catch (err) {
+    console.error(`Tool ${call.name} failed:`, err);
+    return { ...step, error: "The calculator failed" };
+  }
+};
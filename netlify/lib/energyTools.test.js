@@ -0,0 +1,194 @@
+// Unit tests for the calculators in energyTools.js, called the way the
+// model calls them: through runToolCall with JSON arguments.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runToolCall } from "./energyTools.js";
+
+const call = (name, args) =>
+  runToolCall({ id: "call-1", name, arguments: JSON.stringify(args) });
+
+test("pv_yield: 100 kW at an 18% capacity factor", () => {
+  const step = call("pv_yield", { capacityKW: 100, capacityFactorPct: 18 });
+  assert.equal(step.error, undefined);
+  assert.deepEqual(step.result, {
+    annualKWh: 157680,
+    annualMWh: 157.68,
+    averageDailyKWh: 432,
+    specificYieldKWhPerKWp: 1576.8,
+  });
+});
+
+test("pv_yield: zero capacity yields nothing", () => {
+  const step = call("pv_yield", { capacityKW: 0, capacityFactorPct: 18 });
+  assert.equal(step.result.annualKWh, 0);
+});
+
+test("battery_autonomy: default depth of discharge and efficiency", () => {
+  const step = call("battery_autonomy", { capacityKWh: 10, loadKW: 2 });
+  assert.deepEqual(step.result, {
+    deliverableKWh: 8.55,
+    autonomyHours: 4.275,
+    depthOfDischargePct: 90,
+    dischargeEfficiencyPct: 95,
+  });
+});
+
+test("battery_autonomy: explicit depth of discharge and efficiency", () => {
+  const step = call("battery_autonomy", {
+    capacityKWh: 13.5,
+    loadKW: 1.5,
+    depthOfDischargePct: 80,
+    dischargeEfficiencyPct: 100,
+  });
+  assert.equal(step.result.deliverableKWh, 10.8);
+  assert.equal(step.result.autonomyHours, 7.2);
+});
+
+test("ev_fleet_charging: fleet that fits its charging window", () => {
+  const step = call("ev_fleet_charging", {
+    vehicles: 10,
+    kmPerDay: 50,
+    kWhPer100km: 20,
+    chargerKW: 7.4,
+  });
+  assert.deepEqual(step.result, {
+    perVehicleDailyKWh: 11.1111,
+    fleetDailyKWh: 111.111,
+    fleetAnnualMWh: 40.5556,
+    hoursToChargeEachVehicle: 1.5015,
+    unmanagedPeakKW: 74,
+    managedPeakKW: 13.8889,
+    fitsChargingWindow: true,
+  });
+});
+
+test("ev_fleet_charging: slow chargers overrun the window", () => {
+  const step = call("ev_fleet_charging", {
+    vehicles: 4,
+    kmPerDay: 200,
+    kWhPer100km: 18,
+    chargerKW: 3.6,
+    chargingWindowHours: 6,
+    chargingEfficiencyPct: 100,
+  });
+  assert.equal(step.result.perVehicleDailyKWh, 36);
+  assert.equal(step.result.hoursToChargeEachVehicle, 10);
+  // Spreading can't go below the chargers' own limit
+  assert.equal(step.result.managedPeakKW, 14.4);
+  assert.equal(step.result.fitsChargingWindow, false);
+});
+
+test("convert_energy: common conversions", () => {
+  const cases = [
+    [{ value: 1, from: "MWh", to: "GJ" }, 3.6],
+    [{ value: 1, from: "toe", to: "MWh" }, 11.63],
+    [{ value: 1, from: "kWh", to: "BTU" }, 3412.14],
+    [{ value: 2.5, from: "GWh", to: "kWh" }, 2500000],
+    [{ value: 42, from: "GJ", to: "GJ" }, 42],
+  ];
+  for (const [args, expected] of cases) {
+    const step = call("convert_energy", args);
+    assert.deepEqual(step.result, { value: expected, unit: args.to });
+  }
+});
+
+test("convert_energy: small amounts are not rounded to zero", () => {
+  const step = call("convert_energy", { value: 1, from: "kWh", to: "toe" });
+  assert.equal(step.result.value, 8.59845e-5);
+});
+
+test("runToolCall: range errors from checkRanges", () => {
+  const cases = [
+    [
+      "pv_yield",
+      { capacityKW: 100, capacityFactorPct: 120 },
+      "capacityFactorPct must be between 0 and 100",
+    ],
+    [
+      "pv_yield",
+      { capacityKW: -5, capacityFactorPct: 18 },
+      "capacityKW must be between 0 and 100000000",
+    ],
+    [
+      "battery_autonomy",
+      { capacityKWh: 10, loadKW: 2, depthOfDischargePct: 0 },
+      "depthOfDischargePct must be between 1 and 100",
+    ],
+    [
+      "ev_fleet_charging",
+      { vehicles: 0, kmPerDay: 50, kWhPer100km: 20, chargerKW: 7.4 },
+      "vehicles must be between 1 and 1000000",
+    ],
+    [
+      "ev_fleet_charging",
+      {
+        vehicles: 10,
+        kmPerDay: 50,
+        kWhPer100km: 20,
+        chargerKW: 7.4,
+        chargingWindowHours: 30,
+      },
+      "chargingWindowHours must be between 0.5 and 24",
+    ],
+  ];
+  for (const [name, args, error] of cases) {
+    const step = call(name, args);
+    assert.equal(step.error, error);
+    assert.equal(step.result, undefined);
+    assert.deepEqual(step.args, args);
+  }
+});
+
+test("runToolCall: loads and charger power must be positive", () => {
+  assert.equal(
+    call("battery_autonomy", { capacityKWh: 10, loadKW: 0 }).error,
+    "loadKW must be greater than 0"
+  );
+  assert.equal(
+    call("ev_fleet_charging", {
+      vehicles: 10,
+      kmPerDay: 50,
+      kWhPer100km: 20,
+      chargerKW: 0,
+    }).error,
+    "chargerKW must be greater than 0"
+  );
+});
+
+test("runToolCall: argument errors", () => {
+  assert.equal(
+    call("pv_yield", { capacityKW: 100 }).error,
+    '$: missing "capacityFactorPct"'
+  );
+  assert.equal(
+    call("pv_yield", { capacityKW: "100", capacityFactorPct: 18 }).error,
+    "$.capacityKW: expected number, got string"
+  );
+  assert.equal(
+    call("pv_yield", { capacityKW: 100, capacityFactorPct: 18, tilt: 30 })
+      .error,
+    '$: unexpected "tilt"'
+  );
+  assert.equal(
+    call("convert_energy", { value: 1, from: "kWh", to: "therm" }).error,
+    "$.to: must be one of kWh, MWh, GWh, GJ, BTU, toe"
+  );
+});
+
+test("runToolCall: unknown tools and malformed JSON", () => {
+  assert.deepEqual(call("lcoe", {}), {
+    id: "call-1",
+    name: "lcoe",
+    args: {},
+    error: 'Unknown tool "lcoe"',
+  });
+  assert.deepEqual(
+    runToolCall({ id: "call-2", name: "pv_yield", arguments: "{capacityKW:" }),
+    {
+      id: "call-2",
+      name: "pv_yield",
+      args: {},
+      error: "Arguments are not valid JSON",
+    }
+  );
+});
@@ -0,0 +1,90 @@
+// netlify/lib/glossary.js
+// The maintained terminology glossary (netlify/data/energy-glossary.json):
+// one agreed term per concept in each of the app's languages, plus a short
+// definition. Terms found in the question, in any language, are appended
+// to the system message of templates marked `glossary`, so replies and
+// translations name a concept the same way every time. The browser uses
+// the same matcher for the tooltips in rendered messages (src/glossary.js).
+
+import glossary from "../data/energy-glossary.json" with { type: "json" };
+
+export const MAX_GLOSSARY_TERMS = 8;
+
+export const GLOSSARY_DATASET = {
+  name: glossary.name,
+  version: glossary.version,
+  updated: glossary.updated,
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Every term and alias, longest first so "peak demand" wins over "peak"
+const FORMS = glossary.terms
+  .flatMap((entry) =>
+    [
+      ...Object.values(entry.term),
+      ...Object.values(entry.aliases || {}).flat(),
+    ].map((form) => ({ form: form.toLocaleLowerCase(), entry }))
+  )
+  .sort((a, b) => b.form.length - a.form.length);
+
+// Latin terms match whole words (or a plural); Bangla, Hindi and Arabic
+// terms also match with a case ending attached ("ব্যাটারির"), and Arabic
+// ones with a one-letter conjunction or preposition in front ("والاكتفاء")
+const ARABIC_PREFIX = "[وفبكل]";
+
+const formPattern = ({ form }) => {
+  if (/\p{Script=Latin}/u.test(form)) {
+    return `${escapeRegExp(form)}(?:s|es)?(?![\\p{L}\\p{M}\\p{N}])`;
+  }
+  if (/\p{Script=Arabic}/u.test(form)) {
+    return `${ARABIC_PREFIX}?${escapeRegExp(form)}`;
+  }
+  return escapeRegExp(form);
+};
+
+// One capture group per form, so a match names its entry directly. Looking
+// the matched text up again would miss matches made through Unicode case
+// folding ("ſtate" matches "state" under the `iu` flags).
+const TERM_PATTERN = new RegExp(
+  `(?<![\\p{L}\\p{M}\\p{N}])(?:${FORMS.map(
+    (form) => `(${formPattern(form)})`
+  ).join("|")})`,
+  "giu"
+);
+
+const entryOf = (match) => FORMS[match.slice(1).findIndex(Boolean)].entry;
+
+export const glossaryEntry = (id) =>
+  glossary.terms.find((entry) => entry.id === id) || null;
+
+// Every mention in `text` as { index, text, entry }
+export const glossaryMatches = (text) =>
+  [...String(text).matchAll(TERM_PATTERN)].map((match) => ({
+    index: match.index,
+    text: match[0],
+    entry: entryOf(match),
+  }));
+
+// Glossary entries named in `text`, in order of first mention
+export const findGlossaryTerms = (text, max = MAX_GLOSSARY_TERMS) => {
+  if (!text) return [];
+  const found = new Map();
+  for (const { entry } of glossaryMatches(text)) {
+    found.set(entry.id, entry);
+    if (found.size >= max) break;
+  }
+  return [...found.values()];
+};
+
+// The block appended to the system message
+export const formatGlossary = (entries) =>
+  [
+    `**Glossary (${glossary.name} v${glossary.version}):**`,
+    ...entries.map(
+      (entry) =>
+        `* ${glossary.languages
+          .map((code) => `${code}: ${entry.term[code]}`)
+          .join(" · ")} — ${entry.definition.en}`
+    ),
+  ].join("\n");
@@ -0,0 +1,45 @@
+// Unit tests for the glossary matcher shared by the function and the
+// browser's tooltips.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { findGlossaryTerms, glossaryMatches } from "./glossary.js";
+
+const ids = (text) => glossaryMatches(text).map((m) => m.entry.id);
+
+test("glossaryMatches: whole words and plurals, any case", () => {
+  assert.deepEqual(ids("Peak demand and capacity factors"), [
+    "peak-demand",
+    "capacity-factor",
+  ]);
+  assert.deepEqual(ids("STATE OF CHARGE"), ["state-of-charge"]);
+  assert.deepEqual(ids("open the window"), []);
+});
+
+test("glossaryMatches: Unicode case folding", () => {
+  // U+017F LATIN SMALL LETTER LONG S folds to "s" under the `iu` flags
+  assert.deepEqual(glossaryMatches("ſtate of charge"), [
+    {
+      index: 0,
+      text: "ſtate of charge",
+      entry: glossaryMatches("state of charge")[0].entry,
+    },
+  ]);
+  // U+212A KELVIN SIGN folds to "k"
+  assert.deepEqual(ids("Pea\u212A demand"), ["peak-demand"]);
+});
+
+test("glossaryMatches: Arabic terms with a one-letter prefix", () => {
+  assert.deepEqual(ids("والاكتفاء الذاتي"), ["self-sufficiency"]);
+});
+
+test("findGlossaryTerms: first mention order, capped", () => {
+  const found = findGlossaryTerms(
+    "capacity factor, peak demand, capacity factor",
+    1
+  );
+  assert.deepEqual(
+    found.map((entry) => entry.id),
+    ["capacity-factor"]
+  );
+  assert.deepEqual(findGlossaryTerms(""), []);
+});
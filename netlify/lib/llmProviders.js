@@ -0,0 +1,283 @@
+// netlify/lib/llmProviders.js
+// Chat model backends behind one interface, picked with LLM_PROVIDER:
+//   openai  – api.openai.com (default)
+//   azure   – Azure OpenAI deployment
+//   local   – any OpenAI-compatible server (Ollama, llama.cpp, LM Studio…)
+//   mock    – deterministic canned answers, no network (offline dev/tests)
+//
+// Every provider exposes
+//   chat({ messages, stream, maxTokens, temperature, responseFormat, tools })
+// where responseFormat ({ name, schema }) asks for JSON matching a schema
+// and tools ([{ name, description, parameters }]) offers tool calls.
+// It resolves to one of:
+//   { ok: true, stream }  NDJSON text stream ({ delta } … { done: true }),
+//                         with a { toolCalls } event before done if the
+//                         model asked for tools
+//   { ok: true, text, toolCalls? }  when stream is false
+//   { ok: false, status, error }
+// where toolCalls is [{ id, name, arguments: JSON string }].
+
+import { createMockProvider } from "./mockProvider.js";
+
+// Turn an OpenAI-style SSE stream ("data: {...}" lines) into NDJSON events:
+// { "delta": "..." } per token chunk, then { "done": true }. Tool calls
+// arrive in pieces (by index) and are sent whole as { "toolCalls": [...] }
+// just before done.
+export const sseToNdjson = () => {
+  let buffer = "";
+  let finished = false;
+  const toolCalls = [];
+
+  const finish = (controller) => {
+    finished = true;
+    if (toolCalls.length) {
+      controller.enqueue(JSON.stringify({ toolCalls }) + "\n");
+    }
+    controller.enqueue(JSON.stringify({ done: true }) + "\n");
+  };
+
+  const collectToolCall = (part) => {
+    const call = (toolCalls[part.index ?? 0] ??= {
+      id: "",
+      name: "",
+      arguments: "",
+    });
+    if (part.id) call.id = part.id;
+    if (part.function?.name) call.name += part.function.name;
+    if (part.function?.arguments) call.arguments += part.function.arguments;
+  };
+
+  const handleLine = (line, controller) => {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith("data:")) return;
+    const payload = trimmed.slice(5).trim();
+
+    if (payload === "[DONE]") {
+      finish(controller);
+      return;
+    }
+
+    try {
+      const chunk = JSON.parse(payload);
+      const delta = chunk?.choices?.[0]?.delta?.content;
+      if (delta) {
+        controller.enqueue(JSON.stringify({ delta }) + "\n");
+      }
+      chunk?.choices?.[0]?.delta?.tool_calls?.forEach(collectToolCall);
+    } catch (err) {
+      console.error("Error parsing model stream chunk:", err, payload);
+    }
+  };
+
+  return new TransformStream({
+    transform(text, controller) {
+      buffer += text;
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+      for (const line of lines) handleLine(line, controller);
+    },
+    flush(controller) {
+      if (buffer) handleLine(buffer, controller);
+      if (!finished) finish(controller);
+    },
+  });
+};
+
+// Error bodies differ between vendors; pull out a readable message
+const readErrorMessage = (rawText, fallback) => {
+  try {
+    const data = JSON.parse(rawText);
+    const error = data?.error;
+    if (typeof error === "string") return error;
+    if (error?.message) return error.message;
+    if (data?.message) return data.message;
+  } catch {
+    // not JSON
+  }
+  return rawText ? rawText.slice(0, 500) : fallback;
+};
+
+// Shared client for everything that speaks the chat/completions protocol
+const createOpenAICompatibleProvider = ({ name, url, headers, model }) => ({
+  name,
+  model,
+  chat: async ({
+    messages,
+    stream,
+    maxTokens,
+    temperature,
+    responseFormat,
+    tools,
+  }) => {
+    let res;
+    try {
+      res = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...headers },
+        body: JSON.stringify({
+          // Azure routes by deployment and ignores this field
+          model,
+          messages,
+          max_tokens: maxTokens,
+          temperature,
+          stream,
+          ...(responseFormat && {
+            response_format: {
+              type: "json_schema",
+              json_schema: { ...responseFormat, strict: true },
+            },
+          }),
+          ...(tools?.length && {
+            tools: tools.map((tool) => ({ type: "function", function: tool })),
+          }),
+        }),
+      });
+    } catch (err) {
+      console.error(`${name} request failed:`, err);
+      return {
+        ok: false,
+        status: 502,
+        error: `Could not reach the ${name} model server (${err.message}).`,
+      };
+    }
+
+    if (res.ok && stream && res.body) {
+      return {
+        ok: true,
+        stream: res.body
+          .pipeThrough(new TextDecoderStream())
+          .pipeThrough(sseToNdjson()),
+      };
+    }
+
+    const rawText = await res.text();
+
+    if (!res.ok) {
+      console.error(`${name} error:`, res.status, rawText);
+      return {
+        ok: false,
+        status: res.status,
+        error: readErrorMessage(rawText, `${name} error ${res.status}`),
+      };
+    }
+
+    try {
+      const data = JSON.parse(rawText);
+      const message = data?.choices?.[0]?.message;
+      const toolCalls = message?.tool_calls?.map((call) => ({
+        id: call.id,
+        name: call.function?.name,
+        arguments: call.function?.arguments,
+      }));
+      return { ok: true, text: message?.content || "", toolCalls };
+    } catch (err) {
+      console.error(`Error parsing ${name} JSON:`, err, rawText);
+      return {
+        ok: false,
+        status: 500,
+        error: `Failed to parse ${name} response JSON`,
+      };
+    }
+  },
+});
+
+const trimSlash = (url) => String(url || "").replace(/\/+$/, "");
+
+// Builders per provider. Each returns { provider } or { error } when a
+// required setting is missing.
+const PROVIDERS = {
+  openai: (env) => {
+    if (!env.OPENAI_API_KEY) {
+      return {
+        error:
+          "Missing OPENAI_API_KEY env variable. Set it in .env (local) and in Netlify site settings, or set LLM_PROVIDER=mock to run offline.",
+      };
+    }
+    const baseUrl = trimSlash(
+      env.OPENAI_BASE_URL || "https://api.openai.com/v1"
+    );
+    return {
+      provider: createOpenAICompatibleProvider({
+        name: "openai",
+        url: `${baseUrl}/chat/completions`,
+        headers: { Authorization: `Bearer ${env.OPENAI_API_KEY}` },
+        model: env.LLM_MODEL || env.OPENAI_MODEL || "gpt-4o-mini",
+      }),
+    };
+  },
+
+  azure: (env) => {
+    const endpoint = trimSlash(env.AZURE_OPENAI_ENDPOINT);
+    const deployment = env.AZURE_OPENAI_DEPLOYMENT;
+    if (!endpoint || !env.AZURE_OPENAI_API_KEY || !deployment) {
+      return {
+        error:
+          "Azure OpenAI needs AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_KEY and AZURE_OPENAI_DEPLOYMENT.",
+      };
+    }
+    // 2024-10-21 is the first GA version with json_schema response formats
+    const apiVersion = env.AZURE_OPENAI_API_VERSION || "2024-10-21";
+    return {
+      provider: createOpenAICompatibleProvider({
+        name: "azure",
+        url:
+          `${endpoint}/openai/deployments/${encodeURIComponent(deployment)}` +
+          `/chat/completions?api-version=${encodeURIComponent(apiVersion)}`,
+        headers: { "api-key": env.AZURE_OPENAI_API_KEY },
+        model: deployment,
+      }),
+    };
+  },
+
+  // Ollama serves the OpenAI API under /v1; llama.cpp's server does too
+  local: (env) => {
+    const baseUrl = trimSlash(
+      env.LOCAL_LLM_BASE_URL || "http://localhost:11434/v1"
+    );
+    return {
+      provider: createOpenAICompatibleProvider({
+        name: "local",
+        url: `${baseUrl}/chat/completions`,
+        headers: env.LOCAL_LLM_API_KEY
+          ? { Authorization: `Bearer ${env.LOCAL_LLM_API_KEY}` }
+          : {},
+        model: env.LLM_MODEL || env.LOCAL_LLM_MODEL || "llama3.1",
+      }),
+    };
+  },
+
+  mock: (env) => ({
+    provider: createMockProvider({
+      delayMs: Number(env.MOCK_LLM_DELAY_MS ?? 15),
+    }),
+  }),
+};
+
+export const PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+// Resolve the configured provider. Returns { provider } or { error }.
+export const createProvider = (env = process.env) => {
+  const name = String(env.LLM_PROVIDER || "openai")
+    .trim()
+    .toLowerCase();
+  const build = PROVIDERS[name];
+  if (!build) {
+    return {
+      error: `Unknown LLM_PROVIDER "${name}". Use one of: ${PROVIDER_NAMES.join(", ")}.`,
+    };
+  }
+  return build(env);
+};
+
+// Generation settings shared by all providers
+export const generationSettings = (env = process.env) => {
+  const maxTokens = Number(env.LLM_MAX_TOKENS);
+  const temperature = Number(env.LLM_TEMPERATURE);
+  return {
+    maxTokens: Number.isFinite(maxTokens) && maxTokens > 0 ? maxTokens : 900,
+    temperature:
+      env.LLM_TEMPERATURE !== undefined && Number.isFinite(temperature)
+        ? temperature
+        : 0.7,
+  };
+};
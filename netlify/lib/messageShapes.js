@@ -0,0 +1,55 @@
+// netlify/lib/messageShapes.js
+// Shape checks for the extras stored on chat messages (charts, document
+// sources, scenario runs and comparisons), down to the fields the
+// renderers read. Messages from an imported file or a shared link pass
+// through these before anything renders them. Also imported by the
+// browser (src/conversationExport.js), so nothing here may use Node APIs.
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isString = (value) => typeof value === "string";
+
+const areNumbers = (values) =>
+  Array.isArray(values) && values.every(Number.isFinite);
+
+export const isChart = (chart) =>
+  isObject(chart) &&
+  Array.isArray(chart.labels) &&
+  Array.isArray(chart.series) &&
+  chart.series.every((s) => Array.isArray(s?.values));
+
+// A retrieved passage: { ref, file, section, lines: [from, to] }
+export const isSource = (source) =>
+  isObject(source) &&
+  [source.ref, source.file, source.section].every(isString) &&
+  areNumbers(source.lines) &&
+  source.lines.length === 2;
+
+// Scenario panel values; the location is shown as it is
+const isScenarioInputs = (inputs) =>
+  isObject(inputs) &&
+  (inputs.location === undefined || isString(inputs.location));
+
+export const isScenarioRun = (run) =>
+  isObject(run) &&
+  isScenarioInputs(run.inputs) &&
+  isObject(run.result) &&
+  isObject(run.result.annual) &&
+  isObject(run.result.peaks);
+
+// A compareScenarios() result: one column per scenario, one row per metric
+export const isComparison = (comparison) =>
+  isObject(comparison) &&
+  Array.isArray(comparison.scenarios) &&
+  comparison.scenarios.every(
+    (s) => isObject(s) && isString(s.name) && isScenarioInputs(s.inputs)
+  ) &&
+  Array.isArray(comparison.rows) &&
+  comparison.rows.every(
+    (row) =>
+      isObject(row) &&
+      [row.key, row.label, row.unit].every(isString) &&
+      areNumbers(row.values) &&
+      areNumbers(row.bestIndexes)
+  );
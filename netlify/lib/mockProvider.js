@@ -0,0 +1,385 @@
+// netlify/lib/mockProvider.js
+// Offline stand-in for a chat model. Answers are canned but follow the
+// app's reply formats (scenario sections or JSON report, TTS summary,
+// citations, calculator calls), and the same request always produces the
+// same text, so the UI can be exercised and tested without network access
+// or API keys.
+
+const textOf = (content) =>
+  Array.isArray(content)
+    ? content
+        .filter((part) => part?.type === "text")
+        .map((part) => part.text)
+        .join("\n")
+    : String(content || "");
+
+const imageCount = (content) =>
+  Array.isArray(content)
+    ? content.filter((part) => part?.type === "image_url").length
+    : 0;
+
+// First number on the results line starting with `label`
+const findFigure = (text, label) => {
+  const line = text.split("\n").find((l) => l.startsWith(label));
+  const match = line?.slice(label.length).match(/-?[\d,]+(?:\.\d+)?/);
+  return match ? match[0] : "n/a";
+};
+
+const scenarioAnswer = (text) => {
+  const selfSufficiency = findFigure(text, "Self-sufficiency");
+  const curtailment = findFigure(text, "Curtailment:");
+  const gridImport = findFigure(text, "Grid import:");
+  const unmet = findFigure(text, "Unmet load:");
+  const solar = findFigure(text, "Solar generation:");
+  const peakNet = findFigure(text, "Peak net demand");
+
+  return [
+    "## ⚡ Energy Scenario Simulation – Detailed Analysis",
+    "",
+    "### Scenario",
+    "This is an offline demo reply from the mock model. It restates the simulation figures without further analysis.",
+    "",
+    "### Expected Load vs Generation",
+    `* **Solar generation:** ${solar} MWh per year`,
+    `* **Self-sufficiency:** ${selfSufficiency}%`,
+    `* **Grid import:** ${gridImport} MWh per year`,
+    `* **Peak net demand:** ${peakNet} MW`,
+    "",
+    "### Key Risks & Bottlenecks",
+    `* **Curtailment:** ${curtailment} MWh of renewable output cannot be used.`,
+    `* **Unmet load:** ${unmet} MWh.`,
+    "",
+    "### Step-by-Step Recommendations",
+    "1. Compare this run against a variant with more storage.",
+    "2. Check whether the grid import limit matches the local connection.",
+    "3. Re-run the scenario with a real model for a full analysis.",
+    "",
+    "### Useful Charts / Maps to Show",
+    "* The average-day chart shows when solar covers the load and when the grid takes over.",
+    "",
+    "### TTS-Friendly Summary",
+    `The scenario reaches ${selfSufficiency} percent self-sufficiency and imports ${gridImport} megawatt hours from the grid each year.`,
+  ].join("\n");
+};
+
+// Structured (scenario v2) version of the same report
+const scenarioReport = (text) => {
+  const figure = (label) => {
+    const value = Number(findFigure(text, label).replace(/,/g, ""));
+    return Number.isFinite(value) ? value : 0;
+  };
+  return {
+    title: "Energy Scenario Simulation",
+    scenario:
+      "This is an offline demo reply from the mock model. It restates the simulation figures without further analysis.",
+    loadVsGeneration: [
+      {
+        label: "Solar generation",
+        value: figure("Solar generation:"),
+        unit: "MWh/yr",
+        note: "",
+      },
+      {
+        label: "Self-sufficiency",
+        value: figure("Self-sufficiency"),
+        unit: "%",
+        note: "",
+      },
+      {
+        label: "Grid import",
+        value: figure("Grid import:"),
+        unit: "MWh/yr",
+        note: "",
+      },
+      {
+        label: "Peak net demand",
+        value: figure("Peak net demand"),
+        unit: "MW",
+        note: "",
+      },
+    ],
+    risks: [
+      {
+        title: "Curtailment",
+        detail: `${findFigure(text, "Curtailment:")} MWh of renewable output cannot be used.`,
+        severity: "medium",
+      },
+      {
+        title: "Unmet load",
+        detail: `${findFigure(text, "Unmet load:")} MWh of demand is not served.`,
+        severity: figure("Unmet load:") > 0 ? "high" : "low",
+      },
+    ],
+    recommendations: [
+      "Compare this run against a variant with more storage.",
+      "Check whether the grid import limit matches the local connection.",
+      "Re-run the scenario with a real model for a full analysis.",
+    ],
+    chartNotes:
+      "The average-day chart shows when solar covers the load and when the grid takes over.",
+    ttsSummary: `The scenario reaches ${findFigure(text, "Self-sufficiency")} percent self-sufficiency and imports ${findFigure(text, "Grid import:")} megawatt hours from the grid each year.`,
+  };
+};
+
+// JSON answers by response format name
+const STRUCTURED_ANSWERS = {
+  scenario_report: scenarioReport,
+};
+
+// Rolling-summary requests: list the user's questions from the new turns
+const summaryAnswer = (text) => {
+  const previous = text.match(/\[Current summary\]\n([\s\S]*?)\n\n\[New turns/);
+  const questions = text
+    .split("\n")
+    .filter((line) => line.startsWith("User: "))
+    .map((line) => `* User asked: ${line.slice(6, 86).trim()}`);
+  const kept =
+    previous && previous[1] !== "(none yet)" ? previous[1].split("\n") : [];
+  return [...kept, ...questions].join("\n") || "* (nothing to summarize)";
+};
+
+const comparisonAnswer = () =>
+  [
+    "## ⚖️ Scenario Comparison",
+    "",
+    "### Key Differences",
+    "* This is an offline demo reply. The table below the reply has the real figures.",
+    "",
+    "### Which Scenario Fits Which Goal",
+    "* **Lowest cost:** the scenario with the lowest cost per MWh.",
+    "* **Most independent:** the scenario with the highest self-sufficiency.",
+    "",
+    "### Recommendation",
+    "> Start from the baseline and change one input at a time.",
+  ].join("\n");
+
+// Short answers by topic; the first keyword match wins
+const TOPIC_ANSWERS = [
+  {
+    keywords: ["solar", "pv", "photovoltaic", "সৌর", "सौर", "شمسي"],
+    text: [
+      "## ☀️ Solar Power",
+      "",
+      "* **Typical capacity factor:** `15–20%` in South Asia.",
+      "* **Yield rule of thumb:** `1 kWp` produces about `1,400–1,600 kWh/yr`.",
+      "",
+      "> Demo answer from the offline mock model.",
+    ],
+  },
+  {
+    keywords: ["wind", "turbine", "বায়ু", "पवन", "رياح"],
+    text: [
+      "## 🌬️ Wind Power",
+      "",
+      "* **Typical capacity factor:** `25–40%` onshore, higher offshore.",
+      "* Output rises with the cube of wind speed, so siting matters most.",
+      "",
+      "> Demo answer from the offline mock model.",
+    ],
+  },
+  {
+    keywords: ["ev", "electric vehicle", "charging", "ইভি", "ईवी"],
+    text: [
+      "## 🚗 EV Charging",
+      "",
+      "* An average car needs about `5–6 kWh` per day.",
+      "* Managed charging moves that load to hours with spare capacity.",
+      "",
+      "> Demo answer from the offline mock model.",
+    ],
+  },
+  {
+    keywords: ["battery", "storage", "ব্যাটারি", "बैटरी", "بطارية", "تخزين"],
+    text: [
+      "## 🔋 Battery Storage",
+      "",
+      "* **Round-trip efficiency:** about `85–90%` for lithium-ion.",
+      "* A `2 h` battery shifts midday solar into the evening peak.",
+      "",
+      "> Demo answer from the offline mock model.",
+    ],
+  },
+];
+
+const DEFAULT_ANSWER = [
+  "## ⚡ Energy Assistant (offline demo)",
+  "",
+  "The app is running with the **mock** model provider, so this is a canned reply.",
+  "",
+  "* Ask about solar, wind, EVs or storage to see topic answers.",
+  "* Run a scenario from the panel to see the full report layout.",
+  "",
+  "> Set `LLM_PROVIDER` to `openai`, `azure` or `local` for real answers.",
+].join("\n");
+
+export const mockAnswer = (messages) => {
+  const lastUser = [...messages].reverse().find((m) => m.role === "user");
+  const text = textOf(lastUser?.content);
+  const lower = text.toLowerCase();
+
+  // Translation template: the mock can't translate, so it says so and
+  // hands the text back unchanged
+  const translation = textOf(messages[0]?.content).match(
+    /Translate the user's text into (.+?)\. Reply/
+  );
+  if (translation) {
+    return `> Mock translation into ${translation[1]}: the text is returned unchanged.\n\n${text}`;
+  }
+
+  // Scenario and comparison prompts built by the app
+  if (text.startsWith("Energy scenario simulation")) {
+    return scenarioAnswer(text);
+  }
+  if (text.startsWith("Energy scenario comparison")) {
+    return comparisonAnswer();
+  }
+  if (text.startsWith("Update the running summary")) {
+    return summaryAnswer(text);
+  }
+
+  const notes = [];
+  const images = imageCount(lastUser?.content);
+  if (images) notes.push(`*Received ${images} image(s).*`);
+  if (text.includes("[S1]")) notes.push("Your documents were consulted [S1].");
+  // First reference entry the function added to the system message
+  const reference = textOf(messages[0]?.content).match(
+    /^\* \[R1\] (.+?) \(\d{4}\)\./m
+  );
+  if (reference) notes.push(`Reference figure: ${reference[1]} [R1].`);
+
+  const words = lower.split(/[^\p{L}\p{N}]+/u);
+  const topic = TOPIC_ANSWERS.find(({ keywords }) =>
+    keywords.some((k) =>
+      k.includes(" ") ? lower.includes(k) : words.includes(k)
+    )
+  );
+  const body = topic ? topic.text.join("\n") : DEFAULT_ANSWER;
+
+  return notes.length ? `${body}\n\n${notes.join("\n")}` : body;
+};
+
+// ----- Tool calls -----
+
+const UNIT_PATTERN = "kwh|mwh|gwh|gj|btu|toe";
+const canonicalUnit = (unit) =>
+  ({ kwh: "kWh", mwh: "MWh", gwh: "GWh", gj: "GJ", btu: "BTU", toe: "toe" })[
+    unit.toLowerCase()
+  ];
+const parseNumber = (text) => Number(text.replace(/,/g, ""));
+
+// The calculator a question obviously needs, as a tool call, or null.
+// Only unit conversions and PV yield are recognised.
+const mockToolCall = (text) => {
+  const conversion = text.match(
+    new RegExp(
+      `(\\d[\\d,]*(?:\\.\\d+)?)\\s*(${UNIT_PATTERN})\\b.*?\\b(?:to|in|into)\\s+(${UNIT_PATTERN})\\b`,
+      "i"
+    )
+  );
+  if (conversion) {
+    return {
+      id: "call_mock_convert",
+      name: "convert_energy",
+      arguments: JSON.stringify({
+        value: parseNumber(conversion[1]),
+        from: canonicalUnit(conversion[2]),
+        to: canonicalUnit(conversion[3]),
+      }),
+    };
+  }
+
+  const capacity = text.match(/(\d[\d,]*(?:\.\d+)?)\s*kWp?\b/i);
+  const factor = text.match(/(\d+(?:\.\d+)?)\s*%/);
+  if (/\b(solar|pv)\b/i.test(text) && capacity && factor) {
+    return {
+      id: "call_mock_pv",
+      name: "pv_yield",
+      arguments: JSON.stringify({
+        capacityKW: parseNumber(capacity[1]),
+        capacityFactorPct: Number(factor[1]),
+      }),
+    };
+  }
+  return null;
+};
+
+// Final answer once the calculators have run: restate their results
+const toolResultsAnswer = (messages) => {
+  const lastUser = messages.findLastIndex((m) => m.role === "user");
+  const results = messages
+    .slice(lastUser + 1)
+    .filter((m) => m.role === "tool")
+    .map((m) => JSON.parse(m.content));
+  const lines = results.flatMap((result) =>
+    Object.entries(result).map(([key, value]) => `* **${key}:** \`${value}\``)
+  );
+  return [
+    "## 🧮 Calculator results",
+    "",
+    ...lines,
+    "",
+    "> Demo answer from the offline mock model, using the app's calculators.",
+  ].join("\n");
+};
+
+export const mockStructuredAnswer = (messages, responseFormat) => {
+  const lastUser = [...messages].reverse().find((m) => m.role === "user");
+  const build = STRUCTURED_ANSWERS[responseFormat.name];
+  return JSON.stringify(build ? build(textOf(lastUser?.content)) : {});
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Emit the answer a few words at a time, like a real token stream
+const streamAnswer = (answer, delayMs) => {
+  const pieces = answer.match(/\S+\s*|\s+/g) || [];
+  let i = 0;
+
+  return new ReadableStream({
+    async pull(controller) {
+      if (i >= pieces.length) {
+        controller.enqueue(JSON.stringify({ done: true }) + "\n");
+        controller.close();
+        return;
+      }
+      const delta = pieces.slice(i, i + 3).join("");
+      i += 3;
+      if (delayMs > 0) await sleep(delayMs);
+      controller.enqueue(JSON.stringify({ delta }) + "\n");
+    },
+  });
+};
+
+const streamToolCalls = (toolCalls) =>
+  new ReadableStream({
+    start(controller) {
+      controller.enqueue(JSON.stringify({ toolCalls }) + "\n");
+      controller.enqueue(JSON.stringify({ done: true }) + "\n");
+      controller.close();
+    },
+  });
+
+export const createMockProvider = ({ delayMs = 15 } = {}) => ({
+  name: "mock",
+  model: "mock-energy-v1",
+  chat: async ({ messages, stream, responseFormat, tools }) => {
+    const last = messages[messages.length - 1];
+    const toolCall =
+      tools?.length && last?.role === "user"
+        ? mockToolCall(textOf(last.content))
+        : null;
+    if (toolCall && tools.some((tool) => tool.name === toolCall.name)) {
+      return stream
+        ? { ok: true, stream: streamToolCalls([toolCall]) }
+        : { ok: true, text: "", toolCalls: [toolCall] };
+    }
+
+    let answer;
+    if (responseFormat) answer = mockStructuredAnswer(messages, responseFormat);
+    else if (last?.role === "tool") answer = toolResultsAnswer(messages);
+    else answer = mockAnswer(messages);
+    return stream
+      ? { ok: true, stream: streamAnswer(answer, delayMs) }
+      : { ok: true, text: answer };
+  },
+});
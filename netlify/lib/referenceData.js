@@ -0,0 +1,114 @@
+// netlify/lib/referenceData.js
+// Retrieval from the bundled reference dataset (netlify/data/
+// energy-reference.json): grid and fuel emission factors, capacity factors,
+// tariffs and technology costs, each with its source and year.
+//
+// Matching is by keyword, in any of the app's languages. An entry is picked
+// when the question names its category (e.g. "emission", "খরচ") and one of
+// its own keywords (a country, fuel or technology); entries marked `default`
+// stand in when the category matches but nothing more specific does, and
+// are flagged `fallback` so neither the model nor the reader takes the
+// world average for the country asked about. The picks are numbered [R1],
+// [R2]… and appended to the system message, and sent to the browser so the
+// reply's citations can link to them.
+
+import dataset from "../data/energy-reference.json" with { type: "json" };
+
+export const MAX_REFERENCES = 4;
+
+const FALLBACK_NOTE =
+  "Fallback: the dataset has no entry for the country or item asked about. Present this as a general figure, not as the value asked for.";
+
+export const REFERENCE_DATASET = {
+  name: dataset.name,
+  version: dataset.version,
+  updated: dataset.updated,
+};
+
+const tokenize = (text) =>
+  text
+    .toLocaleLowerCase()
+    .split(/[^\p{L}\p{M}\p{N}]+/u)
+    .filter(Boolean);
+
+// Short Latin keywords ("pv", "gas", "wind") must match a whole word, so
+// "wind" doesn't match "window"; longer ones and non-Latin scripts match
+// word prefixes, which covers plurals and case endings ("ব্যাটারির").
+const matcher = (text) => {
+  const lower = text.toLocaleLowerCase();
+  const tokens = tokenize(text);
+  return (keyword) => {
+    if (keyword.includes(" ")) return lower.includes(keyword);
+    const prefix =
+      keyword.length >= 5 || /[^\p{Script=Latin}\p{N}]/u.test(keyword);
+    return tokens.some((token) =>
+      prefix ? token.startsWith(keyword) : token === keyword
+    );
+  };
+};
+
+// Text of the latest user message; image parts are skipped
+export const latestQuestion = (messages) => {
+  const last = [...messages].reverse().find((m) => m.role === "user");
+  if (!last) return "";
+  if (typeof last.content === "string") return last.content;
+  return (last.content || [])
+    .filter((part) => part.type === "text")
+    .map((part) => part.text)
+    .join("\n");
+};
+
+// Entries relevant to `question`, best match first, as the objects sent to
+// the browser: { ref, id, category, title, value, unit, year, note,
+// fallback, source }
+export const findReferences = (question, max = MAX_REFERENCES) => {
+  if (!question) return [];
+  const matches = matcher(question);
+
+  const picked = [];
+  for (const [category, { keywords }] of Object.entries(dataset.categories)) {
+    if (!keywords.some(matches)) continue;
+    const scored = dataset.entries
+      .filter((entry) => entry.category === category)
+      .map((entry) => ({
+        entry,
+        score: entry.keywords.filter(matches).length,
+      }));
+    const specific = scored.filter((s) => s.score > 0);
+    picked.push(
+      ...(specific.length
+        ? specific
+        : scored
+            .filter((s) => s.entry.default)
+            .map((s) => ({ ...s, fallback: true })))
+    );
+  }
+
+  return picked
+    .sort((a, b) => b.score - a.score)
+    .slice(0, max)
+    .map(({ entry, fallback }, i) => ({
+      ref: `R${i + 1}`,
+      id: entry.id,
+      category: entry.category,
+      title: entry.title,
+      value: entry.value,
+      unit: entry.unit,
+      year: entry.year,
+      ...(entry.note && { note: entry.note }),
+      ...(fallback && { fallback: true }),
+      source: dataset.sources[entry.source],
+    }));
+};
+
+// The block appended to the system message
+export const formatReferences = (references) =>
+  [
+    `**Reference data (${dataset.name} v${dataset.version}):**`,
+    ...references.map(
+      (r) =>
+        `* [${r.ref}] ${r.title}: ${r.value} ${r.unit} (${r.year}). Source: ${r.source.publisher}, ${r.source.title} (${r.source.year}).${
+          r.note ? ` ${r.note}` : ""
+        }${r.fallback ? ` ${FALLBACK_NOTE}` : ""}`
+    ),
+  ].join("\n");
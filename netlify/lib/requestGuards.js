@@ -0,0 +1,282 @@
+// netlify/lib/requestGuards.js
+// Checks run before a chat request reaches the model provider: origin
+// allowlist, payload size, message schema and per-client rate limiting.
+// Failures come back as { status, code, error, ... } so the handler can
+// answer with JSON the UI knows how to show (see apiError.* in locales).
+
+import { DEFAULT_MAX_MESSAGES } from "./chatLimits.js";
+
+const intFromEnv = (name, fallback) => {
+  const n = Number(process.env[name]);
+  return Number.isInteger(n) && n > 0 ? n : fallback;
+};
+
+// Defaults fit the app's own requests: two downscaled images (~300 KB
+// each as data URLs), up to 12k chars of document context and history.
+export const getLimits = () => ({
+  maxBodyBytes: intFromEnv("CHAT_MAX_BODY_BYTES", 4 * 1024 * 1024),
+  maxMessages: intFromEnv("CHAT_MAX_MESSAGES", DEFAULT_MAX_MESSAGES),
+  maxMessageChars: intFromEnv("CHAT_MAX_MESSAGE_CHARS", 60000),
+  maxTotalChars: intFromEnv("CHAT_MAX_TOTAL_CHARS", 200000),
+  maxImages: intFromEnv("CHAT_MAX_IMAGES", 8),
+  maxImageUrlChars: intFromEnv("CHAT_MAX_IMAGE_CHARS", 2 * 1024 * 1024),
+  rateLimitCapacity: intFromEnv("RATE_LIMIT_BURST", 10),
+  rateLimitPerMinute: intFromEnv("RATE_LIMIT_PER_MINUTE", 6),
+});
+
+// ----- Origin allowlist -----
+
+// ALLOWED_ORIGINS is a comma-separated list, or "*" to allow any site.
+// When unset: the Netlify site URLs plus local dev servers.
+const allowedOrigins = () => {
+  const configured = process.env.ALLOWED_ORIGINS;
+  if (configured) {
+    return configured
+      .split(",")
+      .map((o) => o.trim().replace(/\/+$/, ""))
+      .filter(Boolean);
+  }
+  return [
+    process.env.URL,
+    process.env.DEPLOY_PRIME_URL,
+    process.env.DEPLOY_URL,
+    "http://localhost:8888",
+    "http://localhost:5173",
+  ].filter(Boolean);
+};
+
+const headerOf = (event, name) => {
+  const headers = event.headers || {};
+  return headers[name] ?? headers[name.toLowerCase()];
+};
+
+// Requests without an Origin header (same-origin navigation, curl) are
+// not cross-site browser calls; they are still rate limited.
+export const checkOrigin = (event) => {
+  const origin = headerOf(event, "origin");
+  const list = allowedOrigins();
+  if (!origin || list.includes("*") || list.includes(origin)) {
+    return { ok: true, origin: origin || null, any: list.includes("*") };
+  }
+  return {
+    ok: false,
+    status: 403,
+    code: "origin_not_allowed",
+    error: `Origin ${origin} is not allowed to use this API.`,
+  };
+};
+
+export const corsHeadersFor = (originCheck) => {
+  const headers = {
+    "Access-Control-Allow-Headers": "Content-Type",
+    "Access-Control-Allow-Methods": "POST,OPTIONS",
+    "Access-Control-Expose-Headers": "Retry-After",
+    Vary: "Origin",
+  };
+  if (originCheck.ok && originCheck.origin) {
+    headers["Access-Control-Allow-Origin"] = originCheck.any
+      ? "*"
+      : originCheck.origin;
+  }
+  return headers;
+};
+
+// ----- Payload size -----
+
+export const checkBodySize = (event, limits) => {
+  const raw = event.body || "";
+  const bytes = event.isBase64Encoded
+    ? Math.floor((raw.length * 3) / 4)
+    : Buffer.byteLength(raw, "utf8");
+  if (bytes > limits.maxBodyBytes) {
+    return {
+      ok: false,
+      status: 413,
+      code: "payload_too_large",
+      error: `Request is ${Math.ceil(bytes / 1024)} KB; the limit is ${Math.floor(
+        limits.maxBodyBytes / 1024
+      )} KB.`,
+      limitKB: Math.floor(limits.maxBodyBytes / 1024),
+    };
+  }
+  return { ok: true };
+};
+
+// ----- Message schema -----
+
+const CHAT_ROLES = new Set(["user", "assistant"]);
+const IMAGE_DETAILS = new Set(["auto", "low", "high"]);
+
+const isImageUrl = (url) =>
+  typeof url === "string" &&
+  (/^data:image\/(png|jpe?g|gif|webp);base64,/.test(url) ||
+    url.startsWith("https://"));
+
+const invalid = (error) => ({
+  ok: false,
+  status: 400,
+  code: "invalid_request",
+  error,
+});
+
+// Validates body.messages (system messages must already be removed).
+// Returns { ok: true, messages } with a clean copy of each message.
+export const validateMessages = (messages, limits) => {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return invalid("messages must be a non-empty array.");
+  }
+  if (messages.length > limits.maxMessages) {
+    return {
+      ok: false,
+      status: 413,
+      code: "too_many_messages",
+      error: `Too many messages (${messages.length}); the limit is ${limits.maxMessages}.`,
+      limit: limits.maxMessages,
+    };
+  }
+
+  let totalChars = 0;
+  let images = 0;
+  const clean = [];
+
+  for (const [i, m] of messages.entries()) {
+    if (!m || typeof m !== "object" || Array.isArray(m)) {
+      return invalid(`messages[${i}] must be an object.`);
+    }
+    if (!CHAT_ROLES.has(m.role)) {
+      return invalid(`messages[${i}].role must be "user" or "assistant".`);
+    }
+
+    let chars = 0;
+    let content;
+    if (typeof m.content === "string") {
+      chars = m.content.length;
+      content = m.content;
+    } else if (Array.isArray(m.content)) {
+      content = [];
+      for (const [j, part] of m.content.entries()) {
+        if (part?.type === "text" && typeof part.text === "string") {
+          chars += part.text.length;
+          content.push({ type: "text", text: part.text });
+        } else if (part?.type === "image_url") {
+          const url = part.image_url?.url;
+          const detail = part.image_url?.detail || "auto";
+          if (m.role !== "user") {
+            return invalid(
+              `messages[${i}]: only user messages may have images.`
+            );
+          }
+          if (!isImageUrl(url) || !IMAGE_DETAILS.has(detail)) {
+            return invalid(
+              `messages[${i}].content[${j}] has an invalid image.`
+            );
+          }
+          if (url.length > limits.maxImageUrlChars) {
+            return {
+              ok: false,
+              status: 413,
+              code: "image_too_large",
+              error: `Image in message ${i + 1} is too large.`,
+            };
+          }
+          images++;
+          content.push({ type: "image_url", image_url: { url, detail } });
+        } else {
+          return invalid(
+            `messages[${i}].content[${j}] must be a text or image_url part.`
+          );
+        }
+      }
+    } else {
+      return invalid(`messages[${i}].content must be a string or an array.`);
+    }
+
+    if (chars > limits.maxMessageChars) {
+      return {
+        ok: false,
+        status: 413,
+        code: "message_too_long",
+        error: `Message ${i + 1} has ${chars} characters; the limit is ${limits.maxMessageChars}.`,
+        limit: limits.maxMessageChars,
+      };
+    }
+    totalChars += chars;
+    clean.push({ role: m.role, content });
+  }
+
+  if (totalChars > limits.maxTotalChars) {
+    return {
+      ok: false,
+      status: 413,
+      code: "conversation_too_long",
+      error: `The conversation has ${totalChars} characters; the limit is ${limits.maxTotalChars}.`,
+      limit: limits.maxTotalChars,
+    };
+  }
+  if (images > limits.maxImages) {
+    return {
+      ok: false,
+      status: 413,
+      code: "too_many_images",
+      error: `Too many images (${images}); the limit is ${limits.maxImages}.`,
+      limit: limits.maxImages,
+    };
+  }
+  if (clean[clean.length - 1].role !== "user") {
+    return invalid("The last message must come from the user.");
+  }
+
+  return { ok: true, messages: clean };
+};
+
+// ----- Rate limiting -----
+
+// Token bucket per client IP. Buckets live in this function instance's
+// memory, so the limit is per warm instance; good enough to stop a single
+// client from hammering the key, not a global quota.
+const buckets = new Map();
+const MAX_BUCKETS = 5000;
+
+export const clientKey = (event) =>
+  headerOf(event, "x-nf-client-connection-ip") ||
+  String(headerOf(event, "x-forwarded-for") || "")
+    .split(",")[0]
+    .trim() ||
+  "unknown";
+
+export const takeToken = (key, limits, now = Date.now()) => {
+  const capacity = limits.rateLimitCapacity;
+  const refillPerMs = limits.rateLimitPerMinute / 60000;
+
+  let bucket = buckets.get(key);
+  if (!bucket) {
+    if (buckets.size >= MAX_BUCKETS) {
+      // Drop the oldest bucket (Map keeps insertion order)
+      buckets.delete(buckets.keys().next().value);
+    }
+    bucket = { tokens: capacity, updated: now };
+  } else {
+    bucket.tokens = Math.min(
+      capacity,
+      bucket.tokens + (now - bucket.updated) * refillPerMs
+    );
+    bucket.updated = now;
+  }
+  // Re-insert so recently active clients are evicted last
+  buckets.delete(key);
+  buckets.set(key, bucket);
+
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    return { ok: true, remaining: Math.floor(bucket.tokens) };
+  }
+
+  const retryAfter = Math.ceil((1 - bucket.tokens) / refillPerMs / 1000);
+  return {
+    ok: false,
+    status: 429,
+    code: "rate_limited",
+    error: `Too many requests. Try again in ${retryAfter} s.`,
+    retryAfter,
+  };
+};
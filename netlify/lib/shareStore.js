@@ -0,0 +1,80 @@
+// netlify/lib/shareStore.js
+// Where shared conversation snapshots are kept, picked with SHARE_STORE:
+//   blobs   – Netlify Blobs (default when deployed; the function gets a
+//             Blobs context with each request)
+//   file    – one JSON file per share in SHARE_STORE_DIR (default
+//             .netlify/shares), the stand-in for `netlify dev`
+//   memory  – this function instance only, lost on restart (quick tests)
+//
+// Every store exposes get(id) → record | null and put(id, record).
+
+import { randomBytes } from "node:crypto";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { connectLambda, getStore } from "@netlify/blobs";
+
+// 12 URL-safe characters: short enough to paste, too many to guess
+export const newShareId = () => randomBytes(9).toString("base64url");
+
+export const isShareId = (id) =>
+  typeof id === "string" && /^[A-Za-z0-9_-]{12}$/.test(id);
+
+const blobStore = (event) => {
+  connectLambda(event);
+  // Strong consistency so a link works the moment it is handed out
+  const store = getStore({
+    name: "shared-conversations",
+    consistency: "strong",
+  });
+  return {
+    get: (id) => store.get(id, { type: "json" }),
+    put: (id, record) => store.setJSON(id, record),
+  };
+};
+
+const fileStore = (dir) => ({
+  get: async (id) => {
+    try {
+      return JSON.parse(await readFile(path.join(dir, `${id}.json`), "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  },
+  put: async (id, record) => {
+    await mkdir(dir, { recursive: true });
+    await writeFile(path.join(dir, `${id}.json`), JSON.stringify(record));
+  },
+});
+
+const memory = new Map();
+
+const memoryStore = () => ({
+  get: async (id) => memory.get(id) ?? null,
+  put: async (id, record) => {
+    memory.set(id, record);
+  },
+});
+
+const STORES = {
+  blobs: (event) => blobStore(event),
+  file: (event, env) =>
+    fileStore(path.resolve(env.SHARE_STORE_DIR || ".netlify/shares")),
+  memory: () => memoryStore(),
+};
+
+export const SHARE_STORE_NAMES = Object.keys(STORES);
+
+// Returns { store } or { error } for an unknown SHARE_STORE
+export const createShareStore = (event, env = process.env) => {
+  const name = String(env.SHARE_STORE || (event.blobs ? "blobs" : "file"))
+    .trim()
+    .toLowerCase();
+  const build = STORES[name];
+  if (!build) {
+    return {
+      error: `Unknown SHARE_STORE "${name}". Use one of: ${SHARE_STORE_NAMES.join(", ")}.`,
+    };
+  }
+  return { store: build(event, env) };
+};
@@ -0,0 +1,92 @@
+// netlify/lib/structuredOutput.js
+// JSON replies constrained by a schema. Providers are asked for
+// response_format json_schema, but not every backend enforces it (local
+// servers, older Azure API versions), so the function checks the reply
+// itself and asks the model again when it doesn't match.
+
+// How many times the model gets to produce a valid reply
+export const STRUCTURED_ATTEMPTS = 2;
+
+const typeOf = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+};
+
+const matchesType = (type, value) => {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+};
+
+// Validate against the JSON Schema subset our templates use (type,
+// properties, required, additionalProperties: false, items, enum), which
+// is also what OpenAI's strict mode accepts. Returns a list of
+// "path: problem" strings, empty when the value matches.
+export const validateSchema = (schema, value, path = "$") => {
+  const types = [].concat(schema.type || []);
+  if (types.length && !types.some((type) => matchesType(type, value))) {
+    return [`${path}: expected ${types.join(" or ")}, got ${typeOf(value)}`];
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(", ")}`);
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}: missing "${key}"`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const propSchema = schema.properties?.[key];
+      if (propSchema) {
+        errors.push(...validateSchema(propSchema, item, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}: unexpected "${key}"`);
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) =>
+      errors.push(...validateSchema(schema.items, item, `${path}[${i}]`))
+    );
+  }
+
+  return errors;
+};
+
+// Models sometimes wrap JSON in a ```json fence even when told not to
+const stripFence = (text) =>
+  String(text || "")
+    .trim()
+    .replace(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/, "$1");
+
+// Parse and check a reply. Returns { data } or { errors }.
+export const parseStructuredReply = (text, responseFormat) => {
+  let data;
+  try {
+    data = JSON.parse(stripFence(text));
+  } catch (err) {
+    return { errors: [`not valid JSON (${err.message})`] };
+  }
+  const errors = validateSchema(responseFormat.schema, data);
+  return errors.length ? { errors } : { data };
+};
+
+// Follow-up turns asking the model to fix a reply that didn't validate
+export const retryMessages = (badReply, errors) => [
+  { role: "assistant", content: String(badReply || "").slice(0, 8000) },
+  {
+    role: "user",
+    content:
+      "Your reply did not match the required JSON schema:\n" +
+      errors
+        .slice(0, 10)
+        .map((e) => `* ${e}`)
+        .join("\n") +
+      "\n\nReply again with only the corrected JSON object.",
+  },
+];
@@ -0,0 +1,163 @@
+// netlify/lib/toolCalling.js
+// The tool-calling loop: send the conversation with tool definitions, run
+// any calculators the model asks for, send their results back and repeat
+// until the model answers in text. Each executed call becomes a "step"
+// ({ id, name, args, result | error }) that the UI shows under the reply.
+
+import { runToolCall } from "./energyTools.js";
+
+// Rounds of tool calls per reply; the last request offers no tools, so the
+// model has to answer with what it has
+export const MAX_TOOL_ROUNDS = 3;
+
+// LLM_TOOLS=off turns tool calling off, for local models without support
+export const toolsEnabled = (env = process.env) =>
+  !/^(0|false|off|no)$/i.test(String(env.LLM_TOOLS || "").trim());
+
+// The assistant turn that asked for the calls, and one result per call
+const followUpMessages = (text, toolCalls, steps) => [
+  {
+    role: "assistant",
+    content: text || null,
+    tool_calls: toolCalls.map((call) => ({
+      id: call.id,
+      type: "function",
+      function: { name: call.name, arguments: call.arguments },
+    })),
+  },
+  ...steps.map((step) => ({
+    role: "tool",
+    tool_call_id: step.id,
+    content: JSON.stringify(step.error ? { error: step.error } : step.result),
+  })),
+];
+
+const toolsForRound = (tools, round) =>
+  round < MAX_TOOL_ROUNDS ? tools : undefined;
+
+// Non-streaming: resolves to the provider's final { ok, text } (or its
+// error) plus the steps that were run along the way.
+export const chatWithTools = async ({
+  provider,
+  messages,
+  tools,
+  settings,
+}) => {
+  const steps = [];
+  let conversation = messages;
+  for (let round = 0; ; round++) {
+    const result = await provider.chat({
+      messages: conversation,
+      stream: false,
+      tools: toolsForRound(tools, round),
+      ...settings,
+    });
+    if (!result.ok || !result.toolCalls?.length) return { ...result, steps };
+
+    const roundSteps = result.toolCalls.map(runToolCall);
+    steps.push(...roundSteps);
+    conversation = [
+      ...conversation,
+      ...followUpMessages(result.text, result.toolCalls, roundSteps),
+    ];
+  }
+};
+
+// Forward { delta } events from one provider stream's reader; resolves to
+// the text and any { toolCalls } the stream ended with.
+const forwardRound = async (reader, emit) => {
+  let buffer = "";
+  let text = "";
+  let toolCalls = null;
+
+  const handleLine = (line) => {
+    if (!line.trim()) return;
+    const evt = JSON.parse(line);
+    if (evt.delta) {
+      text += evt.delta;
+      emit({ delta: evt.delta });
+    }
+    if (evt.toolCalls) toolCalls = evt.toolCalls;
+  };
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += value;
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    lines.forEach(handleLine);
+  }
+  handleLine(buffer);
+  return { text, toolCalls };
+};
+
+// Streaming: the first request is made up front so provider errors still
+// become an HTTP error. Resolves to { ok, stream } of NDJSON text with
+// { delta }, { tool: step } and a final { done } event, or the error.
+export const streamWithTools = async ({
+  provider,
+  messages,
+  tools,
+  settings,
+}) => {
+  const first = await provider.chat({
+    messages,
+    stream: true,
+    tools: toolsForRound(tools, 0),
+    ...settings,
+  });
+  if (!first.ok) return first;
+
+  // Set when the browser goes away (stopped generation, closed tab); the
+  // provider stream being read is cancelled too, so the model stops
+  let cancelled = false;
+  let reader = null;
+  const stream = new ReadableStream({
+    async start(controller) {
+      const emit = (evt) => {
+        if (!cancelled) controller.enqueue(JSON.stringify(evt) + "\n");
+      };
+      let result = first;
+      let conversation = messages;
+      try {
+        for (let round = 1; !cancelled; round++) {
+          reader = result.stream.getReader();
+          const { text, toolCalls } = await forwardRound(reader, emit);
+          if (!toolCalls?.length || cancelled) break;
+
+          const steps = toolCalls.map(runToolCall);
+          steps.forEach((step) => emit({ tool: step }));
+          conversation = [
+            ...conversation,
+            ...followUpMessages(text, toolCalls, steps),
+          ];
+          result = await provider.chat({
+            messages: conversation,
+            stream: true,
+            tools: toolsForRound(tools, round),
+            ...settings,
+          });
+          if (cancelled) {
+            result.stream?.cancel();
+            break;
+          }
+          if (!result.ok) {
+            emit({ error: result.error });
+            break;
+          }
+        }
+      } catch (err) {
+        console.error("Tool-calling stream failed:", err);
+        emit({ error: err.message || "Tool-calling stream failed" });
+      }
+      emit({ done: true });
+      if (!cancelled) controller.close();
+    },
+    cancel() {
+      cancelled = true;
+      reader?.cancel().catch(() => {});
+    },
+  });
+  return { ok: true, stream };
+};
@@ -0,0 +1,96 @@
+// Unit tests for the streaming tool-calling loop, with a fake provider.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { streamWithTools } from "./toolCalling.js";
+
+// A provider whose streams send deltas until cancelled, or one round of
+// tool calls when `toolCalls` is given
+const fakeProvider = ({ toolCalls } = {}) => {
+  const upstream = { requests: 0, cancelled: 0 };
+  const provider = {
+    chat: async () => {
+      upstream.requests++;
+      const first = upstream.requests === 1;
+      return {
+        ok: true,
+        stream: new ReadableStream({
+          start(controller) {
+            if (first && toolCalls) {
+              controller.enqueue(JSON.stringify({ toolCalls }) + "\n");
+              controller.close();
+            }
+          },
+          pull(controller) {
+            controller.enqueue(JSON.stringify({ delta: "word " }) + "\n");
+          },
+          cancel() {
+            upstream.cancelled++;
+          },
+        }),
+      };
+    },
+  };
+  return { provider, upstream };
+};
+
+const readEvents = async (reader, count) => {
+  const events = [];
+  let buffer = "";
+  while (events.length < count) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += value;
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    events.push(...lines.filter(Boolean).map((line) => JSON.parse(line)));
+  }
+  return events;
+};
+
+test("streamWithTools: cancelling stops the provider stream", async () => {
+  const { provider, upstream } = fakeProvider();
+  const { ok, stream } = await streamWithTools({
+    provider,
+    messages: [{ role: "user", content: "hi" }],
+    tools: [],
+    settings: {},
+  });
+  assert.equal(ok, true);
+
+  const reader = stream.getReader();
+  const events = await readEvents(reader, 3);
+  assert.deepEqual(events[0], { delta: "word " });
+
+  await reader.cancel();
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  assert.equal(upstream.cancelled, 1);
+  assert.equal(upstream.requests, 1);
+});
+
+test("streamWithTools: cancelling after a tool round stops the next stream", async () => {
+  const { provider, upstream } = fakeProvider({
+    toolCalls: [
+      {
+        id: "call-1",
+        name: "convert_energy",
+        arguments: JSON.stringify({ value: 1, from: "MWh", to: "GJ" }),
+      },
+    ],
+  });
+  const { stream } = await streamWithTools({
+    provider,
+    messages: [{ role: "user", content: "1 MWh in GJ?" }],
+    tools: [],
+    settings: {},
+  });
+
+  const reader = stream.getReader();
+  const events = await readEvents(reader, 2);
+  assert.equal(events[0].tool.result.value, 3.6);
+  assert.deepEqual(events[1], { delta: "word " });
+
+  await reader.cancel();
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  assert.equal(upstream.requests, 2);
+  assert.equal(upstream.cancelled, 1);
+});
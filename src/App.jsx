@@ -1,62 +1,189 @@
-import React, { useState, useRef, useEffect } from "react";
+import React, { useState, useRef, useEffect, useMemo } from "react";
 import ReactMarkdown from "react-markdown";
+import { chunkDocument, selectPassages, formatCitation } from "./retrieval";
+import { downscaleImage } from "./imageUtils";
+import { simulateScenario, formatScenarioResults } from "./scenarioEngine";
+import { buildScenarioCharts } from "./charts";
+import ScenarioChart from "./ScenarioChart";
+import { compareScenarios, formatComparison } from "./scenarioCompare";
+import ScenarioComparison from "./ScenarioComparison";
+import ScenarioReport from "./ScenarioReport";
+import LoadProfileCard from "./LoadProfileCard";
+import {
+  detectLoadProfile,
+  formatProfileSummary,
+  toScenarioProfile,
+} from "./loadProfile";
+import ToolSteps from "./ToolSteps";
+import ReferenceList from "./ReferenceList";
+import { cleanReferences, linkReferenceCitations } from "./references";
+import { isScenarioReport, scenarioReportToMarkdown } from "./scenarioReport";
+import {
+  SCENARIO_FIELDS,
+  SCENARIO_PRESETS,
+  DEFAULT_SCENARIO,
+  validateScenario,
+  toEngineInputs,
+  describeScenario,
+  describeScenarioForPrompt,
+} from "./scenarioFields";
+import useSpeech from "./useSpeech";
+import {
+  VOICE_INPUT_LANGUAGES,
+  RECOGNITION_FALLBACKS,
+  defaultVoiceLanguage,
+} from "./speech";
+import SpeechPlayer from "./SpeechPlayer";
+import MessageActions from "./MessageActions";
+import MessageTranslation from "./MessageTranslation";
+import GlossaryTerm from "./GlossaryTerm";
+import ErrorBoundary from "./ErrorBoundary";
+import { remarkGlossary } from "./glossary";
+import { translationLocale } from "./translation";
+import {
+  groupConversations,
+  searchConversations,
+  lastActivity,
+} from "./conversationList";
+import {
+  loadConversations,
+  saveConversations,
+  checkStorageUsage,
+} from "./historyStore";
+import {
+  planContext,
+  summaryMessage,
+  buildSummaryRequest,
+  carriesScenarioData,
+} from "./contextWindow";
+import {
+  LOCALES,
+  LOCALE_STORAGE_KEY,
+  I18nContext,
+  makeI18n,
+  loadInitialLocale,
+} from "./i18n";
+import {
+  downloadFile,
+  exportFilename,
+  toJsonExport,
+  toMarkdown,
+  toHtmlReport,
+  parseJsonExport,
+} from "./conversationExport";
+import { branchInfo, forkAt, switchBranch } from "./branches";
+import { createShare, shareIdFromPath, shareUrl } from "./share";
 import "./styles.css";
 
-// 2. MODIFIED System instruction
-const SYSTEM_MESSAGE = {
-  role: "system",
-  content: `
-You are a Multilingual Energy Assistant.
-
-**Style Rules:**
-* Always reply in the user's language.
-* **Use Markdown for professional formatting.**
-* Use **bolding** for emphasis and labels (e.g., "**Key Risks:**").
-* Use \`##\` for main titles (e.g., "## ⚡ Energy Scenario Analysis").
-* Use \`###\` for sub-sections (e.g., "### Step-by-Step Recommendations").
-* Use bulleted (\`*\`) or numbered (\`1.\`) lists for clarity.
-* Use blockquotes (\`>\`) for important notes or summaries.
-* Use inline \`code\` for technical terms, units, or variables.
-* Use code fences ( \`\`\` ) for multi-line code blocks or data examples.
-
-**Special Behaviour for "Energy scenario simulation":**
-* When the user provides scenario data (solar, EV, storage), format your reply using Markdown headings as defined in the style rules.
-* Start with \`## ⚡ Energy Scenario Simulation – Detailed Analysis\`
-* Use \`###\` for these sections:
-    * \`### Scenario\`
-    * \`### Expected Load vs Generation\`
-    * \`### Key Risks & Bottlenecks\`
-    * \`### Step-by-Step Recommendations\`
-    * \`### Useful Charts / Maps to Show\`
-    * \`### TTS-Friendly Summary\`
-`.trim(),
-};
-
-// Create a new conversation with welcome message
-const createNewConversation = () => {
+// Create a new conversation with welcome message (in the UI language).
+// The title stays empty until the first question so the sidebar can show
+// "New chat" in whatever language is active.
+const createNewConversation = (welcomeText) => {
   const now = Date.now();
   return {
     id: `conv-${now}-${Math.random().toString(16).slice(2)}`,
-    title: "New chat",
+    title: "",
     createdAt: new Date().toISOString(),
     messages: [
       {
         id: `msg-${now}-welcome`,
         role: "assistant",
-        text:
-          "## ⚡ Welcome to the Multilingual Energy Assistant.\n\n" +
-          "Ask anything about energy (solar, wind, EV, grid, policies, etc.) in English, Bangla, or any language. \n\n" +
-          "> You can also attach images / documents, or use the **Scenario Simulation** panel on the right.",
+        text: welcomeText,
       },
     ],
   };
 };
 
-const STORAGE_KEY = "ml-chat-conversations-v1";
+const SAVED_SCENARIOS_KEY = "ml-saved-scenarios-v1";
+
+// Documents up to this size (all files in a chat combined) go to the model
+// in full; beyond it we send only the best-matching passages.
+const DOCUMENT_CONTEXT_CHARS = 12000;
+// Hard cap on what we keep from a single file
+const MAX_DOCUMENT_CHARS = 400000;
+// History is written to IndexedDB once edits pause for this long
+// (streaming replies are saved when they finish, not per chunk).
+const SAVE_DEBOUNCE_MS = 600;
+// How long "Chat deleted · Undo" stays in the sidebar
+const UNDO_DELETE_MS = 8000;
+// Only images from the most recent N user messages are re-sent as pixels;
+// older ones are referenced by name to keep the request small.
+const MAX_IMAGE_MESSAGES = 2;
+
+// How long a copy button shows its ✓
+const COPIED_FEEDBACK_MS = 1500;
+
+// Reply fields that come from the question rather than the model (scenario
+// charts, comparison tables), carried over when a reply is regenerated
+const REPLY_EXTRAS = ["charts", "comparison"];
+
+// Prompt template a question was sent with
+const templateFor = (question) => {
+  if (question.scenarioRun) return "scenario";
+  if (question.comparisonRun) return "comparison";
+  return "chat";
+};
+
+// Conversation export formats (see conversationExport.js)
+const EXPORTERS = {
+  markdown: { ext: "md", type: "text/markdown", build: toMarkdown },
+  json: { ext: "json", type: "application/json", build: toJsonExport },
+  html: { ext: "html", type: "text/html", build: toHtmlReport },
+};
 
-// ❗️Changed: point directly to our Node server
 const API_URL = "/api/chat";
 
+// Read-only view of a shared link (/share/:id), loaded only when opened
+const SharedView = React.lazy(() => import("./SharedView"));
+
+// Reply Markdown, with [R1] citations linked to the reference list and
+// glossary terms explained on hover
+const GLOSSARY_PLUGINS = [remarkGlossary];
+const GLOSSARY_COMPONENTS = { span: GlossaryTerm };
+
+const replyMarkdown = (msg, text) => (
+  <ReactMarkdown
+    remarkPlugins={GLOSSARY_PLUGINS}
+    components={GLOSSARY_COMPONENTS}
+  >
+    {msg.references
+      ? linkReferenceCitations(text, msg.id, msg.references)
+      : text}
+  </ReactMarkdown>
+);
+
+const SpeechRecognitionCtor =
+  typeof window !== "undefined"
+    ? window.SpeechRecognition || window.webkitSpeechRecognition
+    : null;
+
+// Read an NDJSON response body line by line, calling onEvent per object
+const readNdjsonStream = async (body, onEvent) => {
+  const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = "";
+
+  const handleLine = (line) => {
+    if (!line.trim()) return;
+    let evt;
+    try {
+      evt = JSON.parse(line);
+    } catch {
+      console.error("Bad stream line:", line);
+      return;
+    }
+    onEvent(evt);
+  };
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += value;
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    lines.forEach(handleLine);
+  }
+  handleLine(buffer);
+};
 
 const App = () => {
   const [conversations, setConversations] = useState([]);
@@ -66,144 +193,379 @@ const App = () => {
   const [pendingAttachments, setPendingAttachments] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [isListening, setIsListening] = useState(false);
+  const [dictation, setDictation] = useState(false);
+  const [voiceNotice, setVoiceNotice] = useState("");
+
+  const [locale, setLocale] = useState(loadInitialLocale);
+  const i18n = useMemo(() => makeI18n(locale), [locale]);
+  const { t, formatNumber, formatDate, toLocaleDigits, fromLocaleDigits } =
+    i18n;
 
-  const [scenario, setScenario] = useState({
-    solar: "20",
-    ev: "15",
-    storage: "5",
-  });
+  const [scenario, setScenario] = useState(DEFAULT_SCENARIO);
+  const [scenarioPresetId, setScenarioPresetId] = useState("");
+  const [savedScenarios, setSavedScenarios] = useState([]);
+  const [compareIds, setCompareIds] = useState([]);
+  const [scenarioName, setScenarioName] = useState("");
 
   const messagesEndRef = useRef(null);
   const fileInputRef = useRef(null);
+  const importInputRef = useRef(null);
   const recognitionRef = useRef(null);
+  // True while the user wants to keep listening (survives auto-restarts)
+  const listeningRef = useRef(false);
+  const abortRef = useRef(null);
+
+  // Sidebar: search, inline rename, undo for the last deleted chat
+  const [chatQuery, setChatQuery] = useState("");
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameDraft, setRenameDraft] = useState("");
+  const [deletedChat, setDeletedChat] = useState(null);
+  const undoTimerRef = useRef(null);
+  // Message picked from search results: scrolled to and briefly highlighted
+  const [jumpTarget, setJumpTarget] = useState(null);
+  const jumpingRef = useRef(false);
+
+  // Message actions: inline edit of a question, "copied" feedback
+  const [editingId, setEditingId] = useState(null);
+  const [editDraft, setEditDraft] = useState("");
+  const [copiedId, setCopiedId] = useState(null);
+  // Reply whose translation is being fetched
+  const [translatingId, setTranslatingId] = useState(null);
+
+  // Share links: the link just created for a chat, and the shared
+  // conversation being viewed when the page is /share/:id
+  const [shareLink, setShareLink] = useState(null);
+  const [sharing, setSharing] = useState(false);
+  const [sharedId, setSharedId] = useState(() =>
+    shareIdFromPath(window.location.pathname)
+  );
 
-  // Load conversations from localStorage
+  const speech = useSpeech();
+
+  // History persistence (IndexedDB, see historyStore.js)
+  const [historyReady, setHistoryReady] = useState(false);
+  // { kind: "nearCapacity" | "saveFailed" | "unavailable", usage?, quota? }
+  const [storageWarning, setStorageWarning] = useState(null);
+  const [dismissedWarning, setDismissedWarning] = useState(null);
+  const conversationsRef = useRef(conversations);
+  conversationsRef.current = conversations;
+
+  // Load conversations (imports the old localStorage history once)
   useEffect(() => {
     if (typeof window === "undefined") return;
+    let cancelled = false;
 
-    try {
-      const raw = localStorage.getItem(STORAGE_KEY);
-      if (raw) {
-        const parsed = JSON.parse(raw);
-        if (Array.isArray(parsed) && parsed.length > 0) {
-          setConversations(parsed);
-          setActiveId(parsed[0].id);
+    const startFresh = () => {
+      const first = createNewConversation(
+        makeI18n(loadInitialLocale()).t("welcome.text")
+      );
+      setConversations([first]);
+      setActiveId(first.id);
+    };
+
+    loadConversations()
+      .then((loaded) => {
+        if (cancelled) return;
+        if (loaded.length === 0) {
+          startFresh();
           return;
         }
-      }
+        // A reload mid-stream leaves replies flagged as streaming
+        const restored = loaded
+          .map((c) =>
+            c.messages.some((m) => m.streaming)
+              ? {
+                  ...c,
+                  messages: c.messages.map((m) =>
+                    m.streaming ? { ...m, streaming: false, stopped: true } : m
+                  ),
+                }
+              : c
+          )
+          .sort((a, b) => lastActivity(b) - lastActivity(a));
+        setConversations(restored);
+        setActiveId(restored[0].id);
+      })
+      .catch((err) => {
+        console.error("Error loading history:", err);
+        if (cancelled) return;
+        setStorageWarning({ kind: "unavailable" });
+        startFresh();
+      })
+      .finally(() => {
+        if (!cancelled) setHistoryReady(true);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // UI language: remember it and set lang/dir on the document
+  useEffect(() => {
+    if (typeof window === "undefined") return;
+    try {
+      localStorage.setItem(LOCALE_STORAGE_KEY, locale);
     } catch (err) {
-      console.error("Error loading history:", err);
+      console.error("Error saving language:", err);
     }
+    document.documentElement.lang = locale;
+    document.documentElement.dir = i18n.dir;
+  }, [locale, i18n.dir]);
 
-    const first = createNewConversation();
-    setConversations([first]);
-    setActiveId(first.id);
+  // Save changed conversations, then check how full storage is
+  const storageUnavailable = storageWarning?.kind === "unavailable";
+  useEffect(() => {
+    if (!historyReady || storageUnavailable) return;
+    const timer = setTimeout(() => {
+      saveConversations(conversations)
+        .then(checkStorageUsage)
+        .then((usage) =>
+          setStorageWarning(
+            usage?.nearCapacity ? { kind: "nearCapacity", ...usage } : null
+          )
+        )
+        .catch((err) => {
+          console.error("Error saving history:", err);
+          setStorageWarning({ kind: "saveFailed" });
+        });
+    }, SAVE_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [conversations, historyReady, storageUnavailable]);
+
+  // Flush pending edits when the tab is closed or hidden
+  useEffect(() => {
+    if (!historyReady) return;
+    const flush = () => saveConversations(conversationsRef.current);
+    window.addEventListener("pagehide", flush);
+    return () => window.removeEventListener("pagehide", flush);
+  }, [historyReady]);
+
+  // Saved scenario configurations (for comparison)
+  useEffect(() => {
+    if (typeof window === "undefined") return;
+    try {
+      const raw = localStorage.getItem(SAVED_SCENARIOS_KEY);
+      const parsed = raw ? JSON.parse(raw) : [];
+      if (Array.isArray(parsed)) setSavedScenarios(parsed);
+    } catch (err) {
+      console.error("Error loading saved scenarios:", err);
+    }
   }, []);
 
-  // Save conversations to localStorage
   useEffect(() => {
     if (typeof window === "undefined") return;
     try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(conversations));
+      localStorage.setItem(SAVED_SCENARIOS_KEY, JSON.stringify(savedScenarios));
     } catch (err) {
-      console.error("Error saving history:", err);
+      console.error("Error saving scenarios:", err);
     }
-  }, [conversations]);
+  }, [savedScenarios]);
 
   const activeConversation =
     conversations.find((c) => c.id === activeId) || conversations[0];
 
-  // Auto-scroll
+  // Auto-scroll (unless we are jumping to a search hit)
   useEffect(() => {
+    if (jumpingRef.current) return;
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
   }, [activeId, conversations, isLoading]);
 
-  // Speech recognition setup
   useEffect(() => {
-    if (typeof window === "undefined") return;
-    const SpeechRecognition =
-      window.SpeechRecognition || window.webkitSpeechRecognition;
-    if (!SpeechRecognition) return;
+    if (!jumpTarget) return;
+    jumpingRef.current = false;
+    document
+      .getElementById(`message-${jumpTarget.messageId}`)
+      ?.scrollIntoView({ behavior: "smooth", block: "center" });
+    const timer = setTimeout(() => setJumpTarget(null), 2500);
+    return () => clearTimeout(timer);
+  }, [jumpTarget]);
+
+  useEffect(() => () => clearTimeout(undoTimerRef.current), []);
+
+  // ----- Voice input -----
+  const voiceLang = activeConversation?.voiceLang || defaultVoiceLanguage();
+  const voiceLangLabel = (code) =>
+    VOICE_INPUT_LANGUAGES.find((l) => l.code === code)?.label || code;
+
+  // Voice language is remembered per conversation
+  const setVoiceLang = (lang) => {
+    if (!activeConversation) return;
+    setConversations((prev) =>
+      prev.map((c) =>
+        c.id === activeConversation.id ? { ...c, voiceLang: lang } : c
+      )
+    );
+  };
+
+  const startRecognition = (lang, isRetry = false) => {
+    const recognition = new SpeechRecognitionCtor();
+    recognition.lang = lang;
+    recognition.interimResults = true;
+    recognition.continuous = dictation;
+    recognitionRef.current = recognition;
 
-    const recognition = new SpeechRecognition();
-    recognition.lang = "en-US";
-    recognition.interimResults = false;
-    recognition.continuous = false;
+    // Text typed before dictation started stays; recognised text follows it
+    const base = input.trim() ? input.trimEnd() + " " : "";
+    let finalText = "";
+    let fatal = false;
 
     recognition.onresult = (event) => {
-      const transcript = Array.from(event.results)
-        .map((r) => r[0].transcript)
-        .join(" ");
-      setInput((prev) => (prev ? prev + " " + transcript : transcript));
+      let interim = "";
+      for (let i = event.resultIndex; i < event.results.length; i++) {
+        const result = event.results[i];
+        if (result.isFinal) finalText += result[0].transcript.trim() + " ";
+        else interim += result[0].transcript;
+      }
+      setInput(base + finalText + interim);
     };
 
-    recognition.onerror = () => setIsListening(false);
-    recognition.onend = () => setIsListening(false);
+    recognition.onerror = (event) => {
+      switch (event.error) {
+        case "language-not-supported": {
+          fatal = true;
+          const fallback = RECOGNITION_FALLBACKS[lang];
+          if (fallback && !isRetry) {
+            setVoiceNotice(
+              t("voice.tryingFallback", {
+                language: voiceLangLabel(lang),
+                code: lang,
+                fallback,
+              })
+            );
+            startRecognition(fallback, true);
+          } else {
+            setVoiceNotice(
+              t("voice.languageUnsupported", { language: voiceLangLabel(lang) })
+            );
+          }
+          break;
+        }
+        case "not-allowed":
+        case "service-not-allowed":
+          fatal = true;
+          setVoiceNotice(t("voice.blocked"));
+          break;
+        case "audio-capture":
+          fatal = true;
+          setVoiceNotice(t("voice.noMicrophone"));
+          break;
+        case "network":
+          fatal = true;
+          setVoiceNotice(t("voice.network"));
+          break;
+        case "no-speech":
+          if (!dictation) setVoiceNotice(t("voice.noSpeech"));
+          break;
+        default:
+          break;
+      }
+    };
 
-    recognitionRef.current = recognition;
-  }, []);
+    recognition.onend = () => {
+      // A retry with a fallback language has replaced this instance
+      if (recognitionRef.current !== recognition) return;
+      if (listeningRef.current && dictation && !fatal) {
+        // Browsers end sessions after silence; keep dictating
+        try {
+          recognition.start();
+          return;
+        } catch (err) {
+          console.error("Could not restart dictation:", err);
+        }
+      }
+      listeningRef.current = false;
+      setIsListening(false);
+    };
+
+    try {
+      recognition.start();
+    } catch (err) {
+      console.error("Speech recognition failed to start:", err);
+      listeningRef.current = false;
+      setIsListening(false);
+    }
+  };
 
   const handleMicClick = () => {
-    const recognition = recognitionRef.current;
-    if (!recognition) {
-      alert("Speech recognition is not supported in this browser.");
+    if (!SpeechRecognitionCtor) {
+      setVoiceNotice(t("voice.unsupported"));
       return;
     }
     if (isListening) {
-      recognition.stop();
+      listeningRef.current = false;
+      recognitionRef.current?.stop();
       return;
     }
+    setVoiceNotice("");
+    listeningRef.current = true;
     setIsListening(true);
-    recognition.start();
+    startRecognition(voiceLang);
   };
 
   // File helpers
-  const readFileAsNeeded = (file) =>
-    new Promise((resolve, reject) => {
-      const reader = new FileReader();
-
-      reader.onload = () => {
-        const id = `att-${Date.now()}-${Math.random()
-          .toString(16)
-          .slice(2)}`;
-        if (file.type.startsWith("image/")) {
-          resolve({
-            id,
-            kind: "image",
-            name: file.name,
-            mime: file.type,
-            dataUrl: reader.result,
-          });
-        } else {
-          const text = String(reader.result || "");
-          resolve({
-            id,
-            kind: "text",
-            name: file.name,
-            mime: file.type || "text/plain",
-            content: text.slice(0, 8000),
-          });
-        }
+  const readFileAsNeeded = async (file) => {
+    const id = `att-${Date.now()}-${Math.random().toString(16).slice(2)}`;
+
+    if (file.type.startsWith("image/")) {
+      const { dataUrl, width, height, mime, error } =
+        await downscaleImage(file);
+      if (error) return { error, name: file.name };
+      return {
+        id,
+        kind: "image",
+        name: file.name,
+        mime: mime || file.type,
+        dataUrl,
+        width,
+        height,
       };
+    }
 
+    const text = await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(String(reader.result || ""));
       reader.onerror = () => reject(reader.error);
-
-      if (file.type.startsWith("image/")) {
-        reader.readAsDataURL(file);
-      } else {
-        reader.readAsText(file);
-      }
+      reader.readAsText(file);
     });
 
+    // CSV time series get a parsed profile (from the full text, before
+    // truncation); anything else stays a plain document
+    const isCsv = /\.csv$/i.test(file.name) || file.type === "text/csv";
+    const { profile } = isCsv ? detectLoadProfile(text) : {};
+
+    return {
+      id,
+      kind: "text",
+      name: file.name,
+      mime: file.type || "text/plain",
+      content: text.slice(0, MAX_DOCUMENT_CHARS),
+      truncated: text.length > MAX_DOCUMENT_CHARS,
+      ...(profile && { profile }),
+    };
+  };
+
   const handleFileChange = async (e) => {
     const files = Array.from(e.target.files || []);
-       if (!files.length) return;
+    if (!files.length) return;
     try {
       const processed = await Promise.all(files.map(readFileAsNeeded));
-      setPendingAttachments((prev) => [...prev, ...processed]);
+      // Images that cannot be decoded are left out, with a note naming them
+      const rejected = processed.filter((att) => att.error);
+      if (rejected.length) {
+        alert(
+          t("chat.imageUnsupported", {
+            names: rejected.map((att) => att.name).join(", "),
+          })
+        );
+      }
+      setPendingAttachments((prev) => [
+        ...prev,
+        ...processed.filter((att) => !att.error),
+      ]);
     } catch (err) {
       console.error("Error reading file:", err);
-      alert("There was a problem reading one of the files.");
+      alert(t("chat.fileError"));
     } finally {
       e.target.value = "";
     }
@@ -214,20 +576,260 @@ const App = () => {
   };
 
   const startNewChat = () => {
-    const conv = createNewConversation();
+    const conv = createNewConversation(t("welcome.text"));
     setConversations((prev) => [conv, ...prev]);
     setActiveId(conv.id);
+    leaveSharedView();
     setInput("");
     setPendingAttachments([]);
   };
 
-  // Build messages for OpenAI (for normal chat)
+  // ----- Sidebar conversation management -----
+  const conversationTitle = (conv) =>
+    conv.title && conv.title !== "New chat" ? conv.title : t("sidebar.newChat");
+
+  const startRename = (conv) => {
+    setRenamingId(conv.id);
+    setRenameDraft(conversationTitle(conv));
+  };
+
+  const commitRename = () => {
+    const title = renameDraft.trim();
+    if (renamingId && title) {
+      setConversations((prev) =>
+        prev.map((c) => (c.id === renamingId ? { ...c, title } : c))
+      );
+    }
+    setRenamingId(null);
+  };
+
+  const togglePin = (id) => {
+    setConversations((prev) =>
+      prev.map((c) => (c.id === id ? { ...c, pinned: !c.pinned } : c))
+    );
+  };
+
+  // Removed right away; the sidebar offers Undo for a few seconds
+  const deleteConversation = (conv) => {
+    if (isLoading && conv.id === activeConversation?.id) stopGeneration();
+
+    const index = conversations.findIndex((c) => c.id === conv.id);
+    const remaining = conversations.filter((c) => c.id !== conv.id);
+    const wasActive = conv.id === activeConversation?.id;
+
+    // Never leave the sidebar empty
+    let placeholderId = null;
+    if (remaining.length === 0) {
+      const fresh = createNewConversation(t("welcome.text"));
+      placeholderId = fresh.id;
+      setConversations([fresh]);
+      setActiveId(fresh.id);
+    } else {
+      setConversations(remaining);
+      if (wasActive) {
+        setActiveId(remaining[Math.min(index, remaining.length - 1)].id);
+      }
+    }
+
+    setDeletedChat({ conv, index, wasActive, placeholderId });
+    clearTimeout(undoTimerRef.current);
+    undoTimerRef.current = setTimeout(
+      () => setDeletedChat(null),
+      UNDO_DELETE_MS
+    );
+  };
+
+  const undoDelete = () => {
+    if (!deletedChat) return;
+    const { conv, index, wasActive, placeholderId } = deletedChat;
+    setConversations((prev) => {
+      // Drop the blank chat created when the last one was deleted
+      const next = prev.filter(
+        (c) =>
+          c.id !== placeholderId || c.messages.some((m) => m.role === "user")
+      );
+      next.splice(Math.min(index, next.length), 0, conv);
+      return next;
+    });
+    if (wasActive) setActiveId(conv.id);
+    clearTimeout(undoTimerRef.current);
+    setDeletedChat(null);
+  };
+
+  const openSearchHit = (convId, messageId) => {
+    setActiveId(convId);
+    leaveSharedView();
+    if (messageId) {
+      jumpingRef.current = true;
+      setJumpTarget({ messageId, at: Date.now() });
+    }
+  };
+
+  // ----- Share links -----
+  useEffect(() => {
+    const onPopState = () =>
+      setSharedId(shareIdFromPath(window.location.pathname));
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, []);
+
+  // Back from a shared link to the viewer's own chats
+  const leaveSharedView = () => {
+    if (!sharedId) return;
+    window.history.pushState(null, "", "/");
+    setSharedId(null);
+  };
+
+  const forkSharedConversation = (conversation) => {
+    const fork = {
+      ...conversation,
+      forkedFrom: { shareId: sharedId, at: new Date().toISOString() },
+    };
+    setConversations((prev) => [fork, ...prev]);
+    setActiveId(fork.id);
+    setChatQuery("");
+    leaveSharedView();
+  };
+
+  // Store a snapshot of the active chat and copy its link
+  const shareConversation = async () => {
+    if (!activeConversation || isLoading || sharing) return;
+    setSharing(true);
+    const { id, error, details } = await createShare(activeConversation);
+    setSharing(false);
+    if (error) {
+      alert(
+        t(`apiError.${error}`, {
+          ...details,
+          fallback: details?.error,
+          retryAfter: formatNumber(details?.retryAfter),
+          limitKB: formatNumber(details?.limitKB),
+        })
+      );
+      return;
+    }
+    const url = shareUrl(id);
+    let copied = false;
+    try {
+      await navigator.clipboard.writeText(url);
+      copied = true;
+    } catch (err) {
+      console.warn("Could not copy the share link:", err);
+    }
+    setShareLink({ url, copied });
+  };
+
+  // ----- Export / import -----
+  const exportConversation = async (format) => {
+    if (!activeConversation) return;
+    const { ext, type, build } = EXPORTERS[format];
+    try {
+      const content = await build(activeConversation, i18n);
+      downloadFile(
+        exportFilename(conversationTitle(activeConversation), ext),
+        content,
+        `${type};charset=utf-8`
+      );
+    } catch (err) {
+      console.error("Export failed:", err);
+      alert(t("export.failed"));
+    }
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    const { conversation, error } = parseJsonExport(await file.text());
+    if (error) {
+      alert(t(`export.error.${error}`));
+      return;
+    }
+    setConversations((prev) => [conversation, ...prev]);
+    setActiveId(conversation.id);
+    setChatQuery("");
+    leaveSharedView();
+  };
+
+  // Build messages for OpenAI (for normal chat).
+  // Returns the API messages plus the document passages (if any) that were
+  // retrieved for the latest question, so the reply can list its sources.
+  // The system prompt is added by the server from a named template.
+  // `pinned` lists the messages that must never be summarized away: the
+  // latest scenario data and messages whose attachments are sent in full.
   const buildApiMessagesFromConversation = (conv) => {
-    const apiMessages = [SYSTEM_MESSAGE];
+    const apiMessages = [];
+
+    const documents = conv.messages.flatMap((m) =>
+      (m.attachments || []).filter((att) => att.kind === "text")
+    );
+    const totalDocChars = documents.reduce(
+      (sum, att) => sum + (att.content || "").length,
+      0
+    );
+    const useRetrieval = totalDocChars > DOCUMENT_CONTEXT_CHARS;
+
+    let lastUserIndex = -1;
+    conv.messages.forEach((m, idx) => {
+      if (m.role === "user") lastUserIndex = idx;
+    });
 
-    for (const msg of conv.messages) {
+    // Indexes of the user messages whose images are sent as image parts
+    const imageMessageIndexes = new Set(
+      conv.messages
+        .map((m, idx) =>
+          m.role === "user" &&
+          (m.attachments || []).some(
+            (att) => att.kind === "image" && att.dataUrl
+          )
+            ? idx
+            : -1
+        )
+        .filter((idx) => idx !== -1)
+        .slice(-MAX_IMAGE_MESSAGES)
+    );
+
+    const pinned = new Set(imageMessageIndexes);
+    let lastScenarioIndex = -1;
+    conv.messages.forEach((m, idx) => {
+      if (carriesScenarioData(m)) lastScenarioIndex = idx;
+      if (
+        !useRetrieval &&
+        (m.attachments || []).some((att) => att.kind === "text")
+      ) {
+        pinned.add(idx);
+      }
+    });
+    if (lastScenarioIndex !== -1) pinned.add(lastScenarioIndex);
+
+    let sources = [];
+    let passageBlock = "";
+    if (useRetrieval && lastUserIndex !== -1) {
+      const chunks = documents.flatMap((att) =>
+        chunkDocument(att.name, att.content)
+      );
+      const passages = selectPassages(
+        chunks,
+        conv.messages[lastUserIndex].text,
+        DOCUMENT_CONTEXT_CHARS
+      );
+      sources = passages.map((p, i) => ({
+        ref: `S${i + 1}`,
+        file: p.file,
+        section: p.section,
+        lines: p.lines,
+      }));
+      passageBlock = passages
+        .map(
+          (p, i) => `[S${i + 1}] ${formatCitation(p)}\n"""\n${p.text}\n"""`
+        )
+        .join("\n\n");
+    }
+
+    conv.messages.forEach((msg, idx) => {
       let role = msg.role;
-      let content = msg.text || "";
+      // apiText: what the model sees when it differs from the bubble text
+      let content = msg.apiText || msg.text || "";
 
       if (msg.attachments && msg.attachments.length > 0) {
         const summary = msg.attachments
@@ -238,22 +840,124 @@ const App = () => {
           )
           .join("; ");
         content += `\n\n[Attachments: ${summary}]`;
+        for (const att of msg.attachments) {
+          if (att.profile) {
+            content += `\n[${formatProfileSummary(att.name, att.profile)}]`;
+          }
+        }
+
+        if (!useRetrieval) {
+          for (const att of msg.attachments) {
+            if (att.kind !== "text" || !att.content) continue;
+            content += `\n\n[Document: ${att.name}]\n"""\n${att.content}\n"""`;
+          }
+        }
       }
 
-      if (role !== "user" && role !== "assistant" && role !== "system") {
+      if (idx === lastUserIndex && passageBlock) {
+        content +=
+          `\n\n[Relevant passages from the attached documents]\n\n` +
+          passageBlock;
+      }
+
+      if (role !== "user" && role !== "assistant") {
         role = "user";
       }
 
+      // Multimodal: text part followed by one image part per picture
+      if (imageMessageIndexes.has(idx)) {
+        const imageParts = msg.attachments
+          .filter((att) => att.kind === "image" && att.dataUrl)
+          .map((att) => ({
+            type: "image_url",
+            image_url: { url: att.dataUrl, detail: "auto" },
+          }));
+        apiMessages.push({
+          role,
+          content: [{ type: "text", text: content }, ...imageParts],
+        });
+        return;
+      }
+
       apiMessages.push({ role, content });
+    });
+
+    return { apiMessages, sources, pinned };
+  };
+
+  // Fold older turns into the conversation's rolling summary (via the
+  // "summary" template) when the request would exceed the token budget.
+  // Returns the messages to send. If summarizing fails we still send the
+  // trimmed history, just without updating the summary.
+  const fitToContextWindow = async (conv, apiMessages, pinned, signal) => {
+    const plan = planContext(conv, apiMessages, pinned);
+    let summary = conv.contextSummary;
+
+    if (plan.fold) {
+      try {
+        const res = await fetch(API_URL, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            messages: [
+              { role: "user", content: buildSummaryRequest(conv, plan.fold) },
+            ],
+            stream: false,
+            template: "summary",
+          }),
+          signal,
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok || !data.text) {
+          throw new Error(data.error || `status ${res.status}`);
+        }
+        summary = {
+          text: data.text.trim(),
+          throughId: conv.messages[plan.fold.through].id,
+          messageCount:
+            (summary?.messageCount || 0) +
+            (plan.fold.through - plan.fold.from + 1),
+          updatedAt: new Date().toISOString(),
+        };
+        setConversations((prev) =>
+          prev.map((c) =>
+            c.id === conv.id ? { ...c, contextSummary: summary } : c
+          )
+        );
+      } catch (err) {
+        if (err.name === "AbortError") throw err;
+        console.warn("Could not summarize earlier messages:", err);
+      }
     }
 
-    return apiMessages;
+    const messages = plan.send.map((idx) => apiMessages[idx]);
+    return summary ? [summaryMessage(summary), ...messages] : messages;
+  };
+
+  // Patch a single message in place (used while streaming)
+  const updateMessage = (convId, msgId, updater) => {
+    setConversations((prev) =>
+      prev.map((c) =>
+        c.id === convId
+          ? {
+              ...c,
+              messages: c.messages.map((m) =>
+                m.id === msgId ? updater(m) : m
+              ),
+            }
+          : c
+      )
+    );
   };
 
   // ----- Normal chat send -----
   const sendMessage = async ({
     textOverride,
     attachmentsOverride,
+    messageExtras,
+    assistantExtras,
+    template = "chat",
+    templateVars,
   } = {}) => {
     if (!activeConversation) return;
 
@@ -268,27 +972,29 @@ const App = () => {
     if (isLoading) return;
 
     const uiText =
-      trimmed ||
-      (attachmentsToUse.length
-        ? "Please analyse the attached file(s) / image(s)."
-        : "");
+      trimmed || (attachmentsToUse.length ? t("chat.analyseAttachments") : "");
 
     const userMessage = {
       id: `msg-${Date.now()}-user`,
       role: "user",
       text: uiText,
       attachments: attachmentsToUse,
+      ...messageExtras,
     };
 
     let updatedConversation = {
       ...activeConversation,
       messages: [...activeConversation.messages, userMessage],
+      updatedAt: new Date().toISOString(),
     };
 
     const hasAnyUser = activeConversation.messages.some(
       (m) => m.role === "user"
     );
-    if (!hasAnyUser && trimmed) {
+    // Auto-title from the first question unless the user renamed the chat
+    const hasCustomTitle =
+      activeConversation.title && activeConversation.title !== "New chat";
+    if (!hasAnyUser && trimmed && !hasCustomTitle) {
       updatedConversation.title =
         trimmed.length > 40 ? trimmed.slice(0, 37) + "…" : trimmed;
     }
@@ -300,102 +1006,499 @@ const App = () => {
     setConversations(newConversations);
     setInput("");
     setPendingAttachments([]);
+    await requestReply(updatedConversation, {
+      template,
+      templateVars,
+      assistantExtras,
+    });
+  };
+
+  // Stream a new assistant reply onto the end of `updatedConversation`
+  // (already in state): new questions, edited ones and regenerations
+  const requestReply = async (
+    updatedConversation,
+    { template = "chat", templateVars, assistantExtras } = {}
+  ) => {
     setIsLoading(true);
 
+    // Placeholder assistant bubble that fills in as chunks arrive
+    const assistantId = `msg-${Date.now()}-assistant`;
+    setConversations((prev) =>
+      prev.map((c) =>
+        c.id === updatedConversation.id
+          ? {
+              ...c,
+              messages: [
+                ...c.messages,
+                {
+                  id: assistantId,
+                  role: "assistant",
+                  text: "",
+                  streaming: true,
+                  ...assistantExtras,
+                },
+              ],
+            }
+          : c
+      )
+    );
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    let receivedText = "";
+    // Structured reply ({ data } event), from templates with a JSON schema
+    let report = null;
+
     try {
-      const apiMessages = buildApiMessagesFromConversation(
-        updatedConversation
-      );
+      const { apiMessages, sources, pinned } =
+        buildApiMessagesFromConversation(updatedConversation);
+      if (sources.length) {
+        updateMessage(updatedConversation.id, assistantId, (m) => ({
+          ...m,
+          sources,
+        }));
+      }
 
       const res = await fetch(API_URL, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ messages: apiMessages }),
+        body: JSON.stringify({
+          messages: await fitToContextWindow(
+            updatedConversation,
+            apiMessages,
+            pinned,
+            controller.signal
+          ),
+          stream: true,
+          template,
+          templateVars,
+        }),
+        signal: controller.signal,
       });
 
-      const textBody = await res.text();
-      let data = {};
-      if (textBody) {
-        try {
-          data = JSON.parse(textBody);
-        } catch (e) {
-          console.error("Non-JSON response from server:", textBody);
+      const contentType = res.headers.get("Content-Type") || "";
+
+      if (res.ok && contentType.includes("ndjson") && res.body) {
+        await readNdjsonStream(res.body, (evt) => {
+          if (evt.error) throw new Error(evt.error);
+          if (evt.meta) {
+            // Which prompt template / model produced this reply
+            updateMessage(updatedConversation.id, assistantId, (m) => ({
+              ...m,
+              generatedBy: evt.meta,
+            }));
+          }
+          if (evt.data) report = evt.data;
+          if (evt.references) {
+            // Reference-dataset entries the reply can cite as [R1]…
+            updateMessage(updatedConversation.id, assistantId, (m) => ({
+              ...m,
+              references: cleanReferences(evt.references),
+            }));
+          }
+          if (evt.tool) {
+            // A calculator the model called; shown as a step in the bubble
+            updateMessage(updatedConversation.id, assistantId, (m) => ({
+              ...m,
+              toolSteps: [...(m.toolSteps || []), evt.tool],
+            }));
+          }
+          if (evt.delta) {
+            receivedText += evt.delta;
+            const snapshot = receivedText;
+            updateMessage(updatedConversation.id, assistantId, (m) => ({
+              ...m,
+              text: snapshot,
+            }));
+          }
+        });
+      } else {
+        const textBody = await res.text();
+        let data = {};
+        if (textBody) {
+          try {
+            data = JSON.parse(textBody);
+          } catch {
+            console.error("Non-JSON response from server:", textBody);
+          }
+        }
+
+        if (!res.ok) {
+          // Guard rejections (413 / 429 …) carry a code we can translate
+          const errMsg =
+            (data?.code &&
+              t(`apiError.${data.code}`, {
+                ...data,
+                fallback: data.error,
+                retryAfter: formatNumber(
+                  data.retryAfter ?? Number(res.headers.get("Retry-After"))
+                ),
+                limit: formatNumber(data.limit),
+              })) ||
+            (data && (data.error || data.message)) ||
+            (typeof data === "string" ? data : "") ||
+            t("chat.requestFailed", { status: res.status });
+          throw new Error(errMsg);
+        }
+
+        receivedText = data.text || "";
+        report = data.data || null;
+        if (data.toolSteps?.length) {
+          updateMessage(updatedConversation.id, assistantId, (m) => ({
+            ...m,
+            toolSteps: data.toolSteps,
+          }));
+        }
+        if (data.references) {
+          updateMessage(updatedConversation.id, assistantId, (m) => ({
+            ...m,
+            references: cleanReferences(data.references),
+          }));
+        }
+        if (data.template) {
+          const { provider, model, template: name, templateVersion } = data;
+          updateMessage(updatedConversation.id, assistantId, (m) => ({
+            ...m,
+            generatedBy: { provider, model, template: name, templateVersion },
+          }));
         }
       }
 
-      if (!res.ok) {
-        const errMsg =
-          (data && (data.error || data.message)) ||
-          (typeof data === "string" ? data : "") ||
-          `Request failed with status ${res.status}`;
-        throw new Error(errMsg);
+      if (report && !isScenarioReport(report)) {
+        throw new Error(t("apiError.invalid_structured_reply"));
+      }
+      // The Markdown version of a report is what gets copied, searched,
+      // exported and sent back to the model in later turns
+      const finalText = report
+        ? scenarioReportToMarkdown(report, i18n)
+        : receivedText || t("chat.noResponse");
+      updateMessage(updatedConversation.id, assistantId, (m) => ({
+        ...m,
+        text: finalText,
+        ...(report && { report }),
+        streaming: false,
+      }));
+    } catch (err) {
+      if (err.name === "AbortError") {
+        // Stopped by the user: keep whatever arrived so far
+        const partial = receivedText;
+        updateMessage(updatedConversation.id, assistantId, (m) => ({
+          ...m,
+          text: partial,
+          streaming: false,
+          stopped: true,
+        }));
+      } else {
+        console.error(err);
+        const errorText = "⚠️ " + (err.message || t("chat.error"));
+        const partial = receivedText;
+        updateMessage(updatedConversation.id, assistantId, (m) => ({
+          ...m,
+          text: partial ? `${partial}\n\n${errorText}` : errorText,
+          streaming: false,
+        }));
       }
+    } finally {
+      abortRef.current = null;
+      setIsLoading(false);
+    }
+  };
 
-      const assistantMessage = {
-        id: `msg-${Date.now()}-assistant`,
-        role: "assistant",
-        text: data.text || "I couldn’t generate a response.",
-      };
+  // ----- Branches: regenerate, edit and resend -----
 
-      setConversations((prev) =>
-        prev.map((c) =>
-          c.id === updatedConversation.id
-            ? { ...c, messages: [...c.messages, assistantMessage] }
-            : c
-        )
+  const replaceActiveConversation = (updated) =>
+    setConversations((prev) =>
+      prev.map((c) => (c.id === updated.id ? updated : c))
+    );
+
+  // New reply to the question before messages[index]; the old reply stays
+  // reachable as a branch
+  const regenerateReply = (index) => {
+    const reply = activeConversation.messages[index];
+    const question = activeConversation.messages[index - 1];
+    if (isLoading || question?.role !== "user") return;
+
+    const assistantExtras = {};
+    REPLY_EXTRAS.forEach((key) => {
+      if (reply[key]) assistantExtras[key] = reply[key];
+    });
+    const updated = {
+      ...forkAt(activeConversation, index, []),
+      updatedAt: new Date().toISOString(),
+    };
+    replaceActiveConversation(updated);
+    requestReply(updated, { template: templateFor(question), assistantExtras });
+  };
+
+  const startEdit = (msg) => {
+    setEditingId(msg.id);
+    setEditDraft(msg.text);
+  };
+
+  // Resend messages[index] with the edited text; everything after it moves
+  // to a branch
+  const submitEdit = (index) => {
+    const original = activeConversation.messages[index];
+    const text = editDraft.trim();
+    setEditingId(null);
+    if (isLoading || !text || text === original.text) return;
+
+    const edited = { ...original, id: `msg-${Date.now()}-user`, text };
+    const updated = {
+      ...forkAt(activeConversation, index, [edited]),
+      updatedAt: new Date().toISOString(),
+    };
+    replaceActiveConversation(updated);
+    requestReply(updated);
+  };
+
+  const showBranch = (index, target) => {
+    if (isLoading) return;
+    replaceActiveConversation(switchBranch(activeConversation, index, target));
+  };
+
+  const copyMessage = async (msg) => {
+    try {
+      await navigator.clipboard.writeText(msg.text);
+      setCopiedId(msg.id);
+      setTimeout(
+        () => setCopiedId((id) => (id === msg.id ? null : id)),
+        COPIED_FEEDBACK_MS
       );
     } catch (err) {
-      console.error(err);
-      setConversations((prev) =>
-        prev.map((c) =>
-          c.id === updatedConversation.id
-            ? {
-                ...c,
-                messages: [
-                  ...c.messages,
-                  {
-                    id: `msg-${Date.now()}-error`,
-                    role: "assistant",
-                    text:
-                      "⚠️ " +
-                      (err.message ||
-                        "Something went wrong talking to the model."),
-                  },
-                ],
-              }
-            : c
-        )
+      console.error("Could not copy the message:", err);
+    }
+  };
+
+  // "Translate to…": an existing translation is just shown again; a new
+  // one is a non-streamed request with the translation template. "" goes
+  // back to the original.
+  const translateMessage = async (msg, language) => {
+    const convId = activeConversation.id;
+    const showTranslation = (m, extra) => ({
+      ...m,
+      ...extra,
+      translationView: language
+        ? { language, bilingual: m.translationView?.bilingual === true }
+        : null,
+    });
+
+    if (!language || msg.translations?.[language]) {
+      updateMessage(convId, msg.id, (m) => showTranslation(m));
+      return;
+    }
+
+    setTranslatingId(msg.id);
+    try {
+      const res = await fetch(API_URL, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          messages: [{ role: "user", content: msg.text }],
+          stream: false,
+          template: "translation",
+          templateVars: { targetLanguage: translationLocale(language).name },
+        }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok || !data.text) {
+        throw new Error(
+          (data.code &&
+            t(`apiError.${data.code}`, {
+              ...data,
+              fallback: data.error,
+              retryAfter: formatNumber(data.retryAfter),
+              limit: formatNumber(data.limit),
+            })) ||
+            data.error ||
+            t("chat.requestFailed", { status: res.status })
+        );
+      }
+      updateMessage(convId, msg.id, (m) =>
+        showTranslation(m, {
+          translations: {
+            ...m.translations,
+            [language]: {
+              text: data.text.trim(),
+              translatedAt: new Date().toISOString(),
+              generatedBy: {
+                provider: data.provider,
+                model: data.model,
+                template: data.template,
+                templateVersion: data.templateVersion,
+              },
+            },
+          },
+        })
       );
+    } catch (err) {
+      console.error("Translation failed:", err);
+      alert(t("translate.failed", { error: err.message }));
     } finally {
-      setIsLoading(false);
+      setTranslatingId(null);
     }
   };
 
+  const toggleBilingual = (msg) => {
+    updateMessage(activeConversation.id, msg.id, (m) => ({
+      ...m,
+      translationView: {
+        ...m.translationView,
+        bilingual: !m.translationView.bilingual,
+      },
+    }));
+  };
+
+  const stopGeneration = () => {
+    abortRef.current?.abort();
+  };
+
   const handleSend = () => {
     sendMessage();
   };
 
-  // Scenario run (unchanged logic)
+  // Scenario run: simulate locally, then let the model explain the numbers
   const runScenario = () => {
-    if (!activeConversation || isLoading) return;
+    if (!activeConversation || isLoading || scenarioHasErrors) return;
+
+    const result = simulateScenario(toEngineInputs(scenario));
+    const presetName = SCENARIO_PRESETS.find(
+      (p) => p.id === scenarioPresetId
+    )?.name;
 
-    const { solar, ev, storage } = scenario;
+    const summaryText = t("scenario.runSummary", {
+      summary:
+        localScenarioSummary(scenario) +
+        (scenario.location ? ` — ${scenario.location}` : ""),
+    });
 
     const scenarioText =
       `Energy scenario simulation.\n\n` +
-      `Solar capacity: ${solar || "0"} MW\n` +
-      `EV adoption: ${ev || "0"} %\n` +
-      `Storage capacity: ${storage || "0"} MWh\n\n` +
-      `Act as the Multilingual Energy Assistant and reply in the user's language.\n\n` +
-      `Format the answer EXACTLY as requested in the system message's "Energy scenario simulation" section (using ## for the main title and ### for subsections).\n\n` +
-      `Here is the data:\n` +
-      `* Solar: ${solar || "0"} MW\n` +
-      `* EV: ${ev || "0"} %\n` +
-      `* Storage: ${storage || "0"} MWh\n`;
+      describeScenarioForPrompt(scenario, presetName) +
+      `\n\n` +
+      `Below are the results of a deterministic 8760-hour simulation of this scenario. ` +
+      `Base every figure in your answer on these results; do not invent other numbers.\n\n` +
+      "```\n" +
+      formatScenarioResults(result) +
+      "\n```\n";
+
+    sendMessage({
+      textOverride: summaryText,
+      attachmentsOverride: [],
+      messageExtras: {
+        apiText: scenarioText,
+        scenarioRun: { inputs: { ...scenario }, presetName, result },
+      },
+      assistantExtras: { charts: buildScenarioCharts(result) },
+      template: "scenario",
+    });
+  };
+
+  const scenarioErrors = validateScenario(scenario);
+  const scenarioHasErrors = Object.keys(scenarioErrors).length > 0;
+
+  const scenarioErrorText = (error) =>
+    t(`error.${error.code}`, {
+      ...error,
+      min: formatNumber(error.min),
+      max: formatNumber(error.max),
+    }).trim();
+
+  // Bubble text for a scenario in the UI language (the prompt stays English)
+  const localScenarioSummary = (values) =>
+    toLocaleDigits(
+      describeScenario(values, (key, text) =>
+        t(`summary.${key}`, { fallback: text })
+      )
+    );
+
+  // Load profiles attached in this chat, for the demand profile picker
+  const loadProfileAttachments = (activeConversation?.messages || []).flatMap(
+    (m) => (m.attachments || []).filter((att) => att.profile?.kind === "load")
+  );
+
+  const selectLoadProfile = (attachmentId) => {
+    const att = loadProfileAttachments.find((a) => a.id === attachmentId);
+    // Keep a profile picked in another chat unless "generic" is chosen
+    if (attachmentId && !att) return;
+    updateScenarioField(
+      "loadProfile",
+      att ? toScenarioProfile(att) : undefined
+    );
+  };
+
+  const updateScenarioField = (key, value) => {
+    setScenario((s) => ({ ...s, [key]: value }));
+    setScenarioPresetId("");
+  };
+
+  const applyPreset = (presetId) => {
+    const preset = SCENARIO_PRESETS.find((p) => p.id === presetId);
+    setScenarioPresetId(presetId);
+    if (preset) setScenario({ ...DEFAULT_SCENARIO, ...preset.values });
+  };
+
+  // ----- Saved scenarios & comparison -----
+  const saveScenario = () => {
+    if (scenarioHasErrors) return;
+    const name =
+      scenarioName.trim() ||
+      t("scenario.defaultName", { n: formatNumber(savedScenarios.length + 1) });
+    setSavedScenarios((prev) => {
+      const existing = prev.find((s) => s.name === name);
+      if (existing) {
+        return prev.map((s) =>
+          s.id === existing.id ? { ...s, inputs: { ...scenario } } : s
+        );
+      }
+      return [
+        ...prev,
+        {
+          id: `scn-${Date.now()}-${Math.random().toString(16).slice(2)}`,
+          name,
+          inputs: { ...scenario },
+        },
+      ];
+    });
+    setScenarioName("");
+  };
+
+  const deleteSavedScenario = (id) => {
+    setSavedScenarios((prev) => prev.filter((s) => s.id !== id));
+    setCompareIds((prev) => prev.filter((x) => x !== id));
+  };
+
+  const toggleCompare = (id) => {
+    setCompareIds((prev) =>
+      prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]
+    );
+  };
+
+  const runComparison = () => {
+    if (!activeConversation || isLoading) return;
+    const selected = savedScenarios.filter((s) => compareIds.includes(s.id));
+    if (selected.length < 2) return;
+
+    const comparison = compareScenarios(selected);
+    const names = selected.map((s) => s.name);
+
+    const comparisonText =
+      `Energy scenario comparison.\n\n` +
+      `The table below was computed by the same deterministic 8760-hour simulation for every scenario. ` +
+      `"${names[0]}" is the baseline. Use only these figures.\n\n` +
+      formatComparison(comparison);
 
     sendMessage({
-      textOverride: scenarioText,
+      textOverride: t("scenario.compareRequest", {
+        names: names.join(t("scenario.vs")),
+      }),
       attachmentsOverride: [],
+      messageExtras: {
+        apiText: comparisonText,
+        comparisonRun: { ids: selected.map((s) => s.id), names },
+      },
+      assistantExtras: { comparison },
+      template: "comparison",
     });
   };
 
@@ -406,270 +1509,932 @@ const App = () => {
     }
   };
 
+  const conversationGroups = groupConversations(conversations);
+  const searchResults = searchConversations(conversations, chatQuery);
+
   const messagesToRender = activeConversation?.messages || [];
+  // Older turns folded into a rolling summary (see contextWindow.js)
+  const contextSummary = activeConversation?.contextSummary;
 
   // -------- UI --------
   return (
-    <div className="app-root">
-      {/* Sidebar */}
-      <aside className="sidebar">
-        <div className="sidebar-logo">ENERGYVERSE</div>
-        <button className="sidebar-newchat" onClick={startNewChat}>
-          New chat
-        </button>
-
-        <div className="sidebar-section-title">Chats</div>
-        <div className="chat-list">
-          {conversations.map((conv) => (
-            <button
-              key={conv.id}
-              className={`chat-item ${
-                conv.id === activeConversation?.id ? "active" : ""
-              }`}
-              onClick={() => setActiveId(conv.id)}
-            >
-              <div className="chat-item-title">
-                {conv.title || "New chat"}
-              </div>
-              <div className="chat-item-sub">
-                {new Date(conv.createdAt).toLocaleDateString(undefined, {
-                  day: "2-digit",
-                  month: "short",
+    <I18nContext.Provider value={i18n}>
+      <div className="app-root" dir={i18n.dir} lang={locale}>
+        {/* Sidebar */}
+        <aside className="sidebar">
+          <div className="sidebar-logo">ENERGYVERSE</div>
+          <button className="sidebar-newchat" onClick={startNewChat}>
+            {t("sidebar.newChat")}
+          </button>
+          <button
+            type="button"
+            className="sidebar-import"
+            onClick={() => importInputRef.current?.click()}
+          >
+            ⤒ {t("export.import")}
+          </button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept=".json,application/json"
+            onChange={handleImportFile}
+            hidden
+          />
+
+          <input
+            type="search"
+            className="sidebar-search"
+            value={chatQuery}
+            onChange={(e) => setChatQuery(e.target.value)}
+            onKeyDown={(e) => e.key === "Escape" && setChatQuery("")}
+            placeholder={t("sidebar.search")}
+            aria-label={t("sidebar.search")}
+          />
+
+          <div className="chat-list">
+            {chatQuery.trim() ? (
+              <>
+                <div className="sidebar-section-title">
+                  {t("sidebar.results", {
+                    count: formatNumber(searchResults.length),
+                  })}
+                </div>
+                {searchResults.length === 0 && (
+                  <div className="chat-list-empty">
+                    {t("sidebar.noResults")}
+                  </div>
+                )}
+                {searchResults.map(({ conv, hits, count }) => (
+                  <div key={conv.id} className="search-result">
+                    <button
+                      type="button"
+                      className="search-result-title"
+                      onClick={() => openSearchHit(conv.id)}
+                    >
+                      {conversationTitle(conv)}
+                      {count > 0 && (
+                        <span className="search-result-count">
+                          {formatNumber(count)}
+                        </span>
+                      )}
+                    </button>
+                    {hits.map((hit) => (
+                      <button
+                        type="button"
+                        key={hit.messageId}
+                        className="search-hit"
+                        onClick={() => openSearchHit(conv.id, hit.messageId)}
+                      >
+                        {hit.snippet.before}
+                        <mark>{hit.snippet.match}</mark>
+                        {hit.snippet.after}
+                      </button>
+                    ))}
+                  </div>
+                ))}
+              </>
+            ) : (
+              conversationGroups.map((group) => (
+                <React.Fragment key={group.id}>
+                  <div className="sidebar-section-title">
+                    {t(`sidebar.${group.id}`)}
+                  </div>
+                  {group.items.map((conv) => (
+                    <div
+                      key={conv.id}
+                      className={`chat-item ${
+                        conv.id === activeConversation?.id ? "active" : ""
+                      }`}
+                    >
+                      {renamingId === conv.id ? (
+                        <input
+                          className="chat-item-rename"
+                          value={renameDraft}
+                          autoFocus
+                          onChange={(e) => setRenameDraft(e.target.value)}
+                          onBlur={commitRename}
+                          onKeyDown={(e) => {
+                            if (e.key === "Enter") commitRename();
+                            if (e.key === "Escape") setRenamingId(null);
+                          }}
+                          aria-label={t("sidebar.rename")}
+                        />
+                      ) : (
+                        <button
+                          type="button"
+                          className="chat-item-open"
+                          onClick={() => {
+                            setActiveId(conv.id);
+                            leaveSharedView();
+                          }}
+                          onDoubleClick={() => startRename(conv)}
+                        >
+                          <div className="chat-item-title">
+                            {conv.pinned && "📌 "}
+                            {conversationTitle(conv)}
+                          </div>
+                          <div className="chat-item-sub">
+                            {formatDate(conv.updatedAt || conv.createdAt, {
+                              day: "2-digit",
+                              month: "short",
+                            })}
+                          </div>
+                        </button>
+                      )}
+                      <div className="chat-item-actions">
+                        <button
+                          type="button"
+                          title={t(
+                            conv.pinned ? "sidebar.unpin" : "sidebar.pin"
+                          )}
+                          aria-pressed={Boolean(conv.pinned)}
+                          onClick={() => togglePin(conv.id)}
+                        >
+                          📌
+                        </button>
+                        <button
+                          type="button"
+                          title={t("sidebar.rename")}
+                          onClick={() => startRename(conv)}
+                        >
+                          ✏️
+                        </button>
+                        <button
+                          type="button"
+                          title={t("sidebar.delete")}
+                          onClick={() => deleteConversation(conv)}
+                        >
+                          🗑
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </React.Fragment>
+              ))
+            )}
+          </div>
+
+          {deletedChat && (
+            <div className="sidebar-undo" role="status">
+              <span>
+                {t("sidebar.deleted", {
+                  title: conversationTitle(deletedChat.conv),
                 })}
-              </div>
-            </button>
-          ))}
-        </div>
-
-        <div className="sidebar-footer">
-          <div className="assistant-chip">
-            <div className="assistant-icon">⚡</div>
-            <div className="assistant-text">
-              <div className="assistant-name">
-                Multilingual Energy Assistant
+              </span>
+              <button type="button" onClick={undoDelete}>
+                {t("sidebar.undo")}
+              </button>
+            </div>
+          )}
+
+          <div className="sidebar-footer">
+            <div className="assistant-chip">
+              <div className="assistant-icon">⚡</div>
+              <div className="assistant-text">
+                <div className="assistant-name">{t("app.name")}</div>
               </div>
             </div>
           </div>
-        </div>
-      </aside>
-
-      {/* Main chat area */}
-      <main className="chat-main">
-        <header className="chat-header">
-          <div>
-            <div className="chat-title">Multilingual Energy Assistant</div>
-            <div className="chat-subtitle">
-              Ask in any language. Attach images &amp; documents. Use scenario
-              simulation for quick what-if analysis.
+        </aside>
+
+        {/* Main chat area */}
+        <main className="chat-main">
+          <header className="chat-header">
+            <div>
+              <div className="chat-title">{t("app.name")}</div>
+              <div className="chat-subtitle">{t("app.subtitle")}</div>
             </div>
-          </div>
 
-          <a
-  href="https://energy-verse-portal.netlify.app/?feature=8"
-  className="btn-back-to-portal"
-  target="_self"
->
-  ← Back to Portal
-</a>
-
-        </header>
-
-        <div className="chat-content">
-          {/* Chat messages */}
-          <section className="chat-body">
-            <div className="chat-bg-glow" />
-            {messagesToRender.map((msg) => (
-              <div
-                key={msg.id}
-                className={`message-row ${
-                  msg.role === "user"
-                    ? "message-user"
-                    : "message-assistant"
-                }`}
+            <div className="chat-header-actions">
+              <select
+                className="locale-select"
+                value=""
+                disabled={Boolean(sharedId)}
+                onChange={(e) =>
+                  e.target.value === "share"
+                    ? shareConversation()
+                    : exportConversation(e.target.value)
+                }
+                title={t("export.export")}
+                aria-label={t("export.export")}
               >
-                <div className="message-avatar">
-                  {msg.role === "user" ? "U" : "AI"}
-                </div>
-                <div className="message-bubble">
-                  <ReactMarkdown>{msg.text}</ReactMarkdown>
+                <option value="" disabled>
+                  {sharing
+                    ? `⏳ ${t("share.creating")}`
+                    : `⤓ ${t("export.export")}`}
+                </option>
+                <option value="markdown">{t("export.markdown")}</option>
+                <option value="json">{t("export.json")}</option>
+                <option value="html">{t("export.html")}</option>
+                <option value="share" disabled={isLoading || sharing}>
+                  🔗 {t("share.createLink")}
+                </option>
+              </select>
+
+              <select
+                className="locale-select"
+                value={locale}
+                onChange={(e) => setLocale(e.target.value)}
+                title={t("app.language")}
+                aria-label={t("app.language")}
+              >
+                {LOCALES.map((l) => (
+                  <option key={l.code} value={l.code} lang={l.code}>
+                    {l.label}
+                  </option>
+                ))}
+              </select>
+
+              <a
+                href="https://energy-verse-portal.netlify.app/?feature=8"
+                className="btn-back-to-portal"
+                target="_self"
+              >
+                <span className="arrow">←</span> {t("app.backToPortal")}
+              </a>
+            </div>
 
-                  {msg.attachments && msg.attachments.length > 0 && (
-                    <div className="attachment-list in-message">
-                      {msg.attachments.map((att) => (
-                        <span
-                          key={att.id}
-                          className="attachment-pill small"
-                        >
-                          {att.kind === "image" ? "🖼" : "📄"} {att.name}
+          </header>
+
+          {sharedId && (
+            <ErrorBoundary
+              key={sharedId}
+              fallback={
+                <section className="shared-view">
+                  <div className="shared-view-bar">
+                    <span>🔗 {t("share.readOnly")}</span>
+                    <div className="shared-view-actions">
+                      <button
+                        type="button"
+                        className="scenario-small-btn"
+                        onClick={leaveSharedView}
+                      >
+                        {t("share.backToChats")}
+                      </button>
+                    </div>
+                  </div>
+                  <div className="shared-view-status" role="alert">
+                    ⚠️ {t("apiError.invalid_share")}
+                  </div>
+                </section>
+              }
+            >
+              <React.Suspense
+                fallback={
+                  <div className="shared-view-status">{t("share.loading")}</div>
+                }
+              >
+                <SharedView
+                  shareId={sharedId}
+                  onFork={forkSharedConversation}
+                  onClose={leaveSharedView}
+                />
+              </React.Suspense>
+            </ErrorBoundary>
+          )}
+
+          {/* Hidden, not unmounted, while a shared link is open */}
+          <div className="chat-content" hidden={Boolean(sharedId)}>
+            {/* Chat messages */}
+            <section className="chat-body">
+              <div className="chat-bg-glow" />
+              {messagesToRender.map((msg, idx) => (
+                <React.Fragment key={msg.id}>
+                  <div
+                    id={`message-${msg.id}`}
+                    className={`message-row ${
+                      msg.role === "user" ? "message-user" : "message-assistant"
+                    } ${jumpTarget?.messageId === msg.id ? "highlighted" : ""}`}
+                  >
+                    <div className="message-avatar">
+                      {msg.role === "user"
+                        ? t("chat.you")
+                        : t("chat.assistant")}
+                    </div>
+                    <div
+                      className={`message-bubble ${
+                        msg.streaming ? "streaming" : ""
+                      }`}
+                    >
+                      {msg.toolSteps?.length > 0 && (
+                        <ToolSteps steps={msg.toolSteps} />
+                      )}
+
+                      {msg.streaming && !msg.text ? (
+                        <span className="thinking">
+                          <span className="dot dot1" />
+                          <span className="dot dot2" />
+                          <span className="dot dot3" />
                         </span>
-                      ))}
+                      ) : editingId === msg.id ? (
+                        <form
+                          className="message-edit"
+                          onSubmit={(e) => {
+                            e.preventDefault();
+                            submitEdit(idx);
+                          }}
+                        >
+                          <textarea
+                            value={editDraft}
+                            autoFocus
+                            rows={3}
+                            onChange={(e) => setEditDraft(e.target.value)}
+                            onKeyDown={(e) => {
+                              if (e.key === "Escape") setEditingId(null);
+                              if (e.key === "Enter" && !e.shiftKey) {
+                                e.preventDefault();
+                                submitEdit(idx);
+                              }
+                            }}
+                          />
+                          <div className="message-edit-actions">
+                            <button
+                              type="button"
+                              onClick={() => setEditingId(null)}
+                            >
+                              {t("chat.cancelEdit")}
+                            </button>
+                            <button
+                              type="submit"
+                              disabled={isLoading || !editDraft.trim()}
+                            >
+                              {t("chat.saveAndSend")}
+                            </button>
+                          </div>
+                        </form>
+                      ) : (
+                        <MessageTranslation
+                          msg={msg}
+                          renderText={(text) => replyMarkdown(msg, text)}
+                        >
+                          {msg.report ? (
+                            <ScenarioReport report={msg.report} />
+                          ) : (
+                            replyMarkdown(msg, msg.text)
+                          )}
+                        </MessageTranslation>
+                      )}
+
+                      {msg.scenarioRun?.result && (
+                        <div className="scenario-metrics">
+                          <span>
+                            {t("metrics.selfSufficiency")}{" "}
+                            <b>
+                              {formatNumber(
+                                msg.scenarioRun.result.annual.selfSufficiencyPct
+                              )}
+                              %
+                            </b>
+                          </span>
+                          <span>
+                            {t("metrics.curtailment")}{" "}
+                            <b>
+                              {formatNumber(
+                                msg.scenarioRun.result.annual.curtailedPct
+                              )}
+                              %
+                            </b>
+                          </span>
+                          <span>
+                            {t("metrics.peakNetDemand")}{" "}
+                            <b>
+                              {formatNumber(
+                                msg.scenarioRun.result.peaks.netDemandMW
+                              )}{" "}
+                              MW
+                            </b>
+                          </span>
+                          <span>
+                            {t("metrics.unmetLoad")}{" "}
+                            <b>
+                              {formatNumber(
+                                msg.scenarioRun.result.annual.unmetMWh
+                              )}{" "}
+                              MWh
+                            </b>
+                          </span>
+                        </div>
+                      )}
+
+                      {msg.sources && msg.sources.length > 0 && (
+                        <details className="message-sources">
+                          <summary>
+                            📚{" "}
+                            {t("chat.sources", {
+                              count: formatNumber(msg.sources.length),
+                            })}
+                          </summary>
+                          <ol>
+                            {msg.sources.map((src) => (
+                              <li key={src.ref}>
+                                <code>[{src.ref}]</code> {src.file} ›{" "}
+                                {src.section}{" "}
+                                <span className="message-sources-lines">
+                                  (
+                                  {t("chat.lines", {
+                                    from: formatNumber(src.lines[0], {
+                                      useGrouping: false,
+                                    }),
+                                    to: formatNumber(src.lines[1], {
+                                      useGrouping: false,
+                                    }),
+                                  })}
+                                  )
+                                </span>
+                              </li>
+                            ))}
+                          </ol>
+                        </details>
+                      )}
+
+                      {msg.references && msg.text && (
+                        <ReferenceList
+                          messageId={msg.id}
+                          references={msg.references}
+                        />
+                      )}
+
+                      {msg.comparison && msg.text && (
+                        <ScenarioComparison comparison={msg.comparison} />
+                      )}
+
+                      {msg.charts && msg.charts.length > 0 && msg.text && (
+                        <div className="scenario-charts">
+                          {msg.charts.map((chart) => (
+                            <ScenarioChart key={chart.id} chart={chart} />
+                          ))}
+                        </div>
+                      )}
+
+                      {msg.stopped && (
+                        <div className="message-stopped">
+                          ⏹ {t("chat.stopped")}
+                        </div>
+                      )}
+
+                      {speech.messageId === msg.id && (
+                        <SpeechPlayer speech={speech} />
+                      )}
+
+                      {msg.text && !msg.streaming && editingId !== msg.id && (
+                        <MessageActions
+                          msg={msg}
+                          branch={branchInfo(activeConversation, idx)}
+                          busy={isLoading}
+                          copied={copiedId === msg.id}
+                          translating={translatingId === msg.id}
+                          speech={speech}
+                          onCopy={() => copyMessage(msg)}
+                          onEdit={
+                            msg.role === "user" && !msg.apiText
+                              ? () => startEdit(msg)
+                              : null
+                          }
+                          onRegenerate={
+                            msg.role === "assistant" &&
+                            idx === messagesToRender.length - 1 &&
+                            messagesToRender[idx - 1]?.role === "user"
+                              ? () => regenerateReply(idx)
+                              : null
+                          }
+                          onTranslate={
+                            msg.role === "assistant"
+                              ? (language) => translateMessage(msg, language)
+                              : null
+                          }
+                          onToggleBilingual={() => toggleBilingual(msg)}
+                          onShowBranch={(target) => showBranch(idx, target)}
+                        />
+                      )}
+
+                      {msg.attachments && msg.attachments.length > 0 && (
+                        <div className="attachment-list in-message">
+                          {msg.attachments.map((att) =>
+                            att.kind === "image" && att.dataUrl ? (
+                              <a
+                                key={att.id}
+                                className="attachment-thumb"
+                                href={att.dataUrl}
+                                download={att.name}
+                                title={att.name}
+                              >
+                                <img src={att.dataUrl} alt={att.name} />
+                              </a>
+                            ) : (
+                              <span
+                                key={att.id}
+                                className="attachment-pill small"
+                              >
+                                {att.kind === "image"
+                                  ? "🖼"
+                                  : att.profile
+                                    ? "📈"
+                                    : "📄"}{" "}
+                                {att.name}
+                              </span>
+                            )
+                          )}
+                        </div>
+                      )}
+
+                      {msg.attachments
+                        ?.filter((att) => att.profile)
+                        .map((att) => (
+                          <LoadProfileCard
+                            key={att.id}
+                            name={att.name}
+                            profile={att.profile}
+                            selected={
+                              scenario.loadProfile?.attachmentId === att.id
+                            }
+                            onUse={
+                              att.profile.kind === "load"
+                                ? () => selectLoadProfile(att.id)
+                                : null
+                            }
+                          />
+                        ))}
                     </div>
+                  </div>
+                  {msg.id === contextSummary?.throughId && (
+                    <details className="context-summary">
+                      <summary>
+                        {t("context.summarized", {
+                          count: formatNumber(contextSummary.messageCount),
+                        })}
+                      </summary>
+                      <div className="context-summary-text">
+                        <ReactMarkdown>{contextSummary.text}</ReactMarkdown>
+                      </div>
+                    </details>
                   )}
-                </div>
-              </div>
-            ))}
-
-            {isLoading && (
-              <div className="message-row message-assistant">
-                <div className="message-avatar">AI</div>
-                <div className="message-bubble thinking">
-                  <span className="dot dot1" />
-                  <span className="dot dot2" />
-                  <span className="dot dot3" />
-                </div>
-              </div>
-            )}
+                </React.Fragment>
+              ))}
 
-            <div ref={messagesEndRef} />
-          </section>
+              <div ref={messagesEndRef} />
+            </section>
 
-          {/* Scenario Simulation panel */}
-          <aside className="scenario-panel">
-            <div className="scenario-header">
-              <div className="scenario-title">Scenario Simulation</div>
-              <div className="scenario-sub">
-                Quick what-if analysis for solar, EVs &amp; storage. Results
-                appear in the chat.
+            {/* Scenario Simulation panel */}
+            <aside className="scenario-panel">
+              <div className="scenario-header">
+                <div className="scenario-title">{t("scenario.title")}</div>
+                <div className="scenario-sub">{t("scenario.subtitle")}</div>
               </div>
-            </div>
 
-            <div className="scenario-grid">
-              <div className="scenario-field">
-                <label>Solar (MW)</label>
-                <input
+              <div className="scenario-preset-row">
+                <select
                   className="scenario-input"
-                  type="number"
-                  value={scenario.solar}
-                  onChange={(e) =>
-                    setScenario((s) => ({
-                      ...s,
-                      solar: e.target.value,
-                    }))
-                  }
-                />
+                  value={scenarioPresetId}
+                  onChange={(e) => applyPreset(e.target.value)}
+                >
+                  <option value="">{t("scenario.custom")}</option>
+                  {SCENARIO_PRESETS.map((preset) => (
+                    <option key={preset.id} value={preset.id}>
+                      {t(`preset.${preset.id}`, { fallback: preset.name })}
+                    </option>
+                  ))}
+                </select>
               </div>
+
               <div className="scenario-field">
-                <label>EV adoption (%)</label>
+                <label>{t("scenario.location")}</label>
                 <input
                   className="scenario-input"
-                  type="number"
-                  value={scenario.ev}
+                  type="text"
+                  placeholder={t("scenario.locationPlaceholder")}
+                  value={scenario.location || ""}
                   onChange={(e) =>
-                    setScenario((s) => ({
-                      ...s,
-                      ev: e.target.value,
-                    }))
+                    updateScenarioField("location", e.target.value)
                   }
                 />
               </div>
+
               <div className="scenario-field">
-                <label>Storage (MWh)</label>
-                <input
+                <label>{t("scenario.demandProfile")}</label>
+                <select
                   className="scenario-input"
-                  type="number"
-                  value={scenario.storage}
-                  onChange={(e) =>
-                    setScenario((s) => ({
-                      ...s,
-                      storage: e.target.value,
-                    }))
-                  }
-                />
+                  value={scenario.loadProfile?.attachmentId || ""}
+                  onChange={(e) => selectLoadProfile(e.target.value)}
+                >
+                  <option value="">{t("scenario.genericDemand")}</option>
+                  {scenario.loadProfile &&
+                    !loadProfileAttachments.some(
+                      (att) => att.id === scenario.loadProfile.attachmentId
+                    ) && (
+                      <option value={scenario.loadProfile.attachmentId}>
+                        📈 {scenario.loadProfile.name}
+                      </option>
+                    )}
+                  {loadProfileAttachments.map((att) => (
+                    <option key={att.id} value={att.id}>
+                      📈 {att.name}
+                    </option>
+                  ))}
+                </select>
               </div>
-            </div>
 
-            <button
-              type="button"
-              className="scenario-button"
-              onClick={runScenario}
-              disabled={isLoading}
-            >
-              {isLoading ? "Running…" : "Run Scenario"}
-            </button>
+              <div className="scenario-grid">
+                {SCENARIO_FIELDS.map((field) => (
+                  <div
+                    key={field.key}
+                    className={`scenario-field ${
+                      scenarioErrors[field.key] ? "invalid" : ""
+                    }`}
+                  >
+                    <label>
+                      {t(`field.${field.key}`, { fallback: field.label })}
+                      {field.unit ? ` (${field.unit})` : ""}
+                    </label>
+                    {/* Text input so numbers can be typed and shown in the
+                        locale's own digits; stored values stay ASCII */}
+                    <input
+                      className="scenario-input"
+                      type="text"
+                      inputMode={field.integer ? "numeric" : "decimal"}
+                      disabled={
+                        field.key === "demand" && Boolean(scenario.loadProfile)
+                      }
+                      placeholder={
+                        field.hint
+                          ? t(`hint.${field.key}`, { fallback: field.hint })
+                          : ""
+                      }
+                      value={toLocaleDigits(scenario[field.key] ?? "")}
+                      onChange={(e) =>
+                        updateScenarioField(
+                          field.key,
+                          fromLocaleDigits(e.target.value)
+                        )
+                      }
+                    />
+                    {scenarioErrors[field.key] && (
+                      <span className="scenario-error">
+                        {scenarioErrorText(scenarioErrors[field.key])}
+                      </span>
+                    )}
+                  </div>
+                ))}
+              </div>
+
+              <button
+                type="button"
+                className="scenario-button"
+                onClick={runScenario}
+                disabled={isLoading || scenarioHasErrors}
+              >
+                {isLoading ? t("scenario.running") : t("scenario.run")}
+              </button>
+
+              <div className="scenario-saved">
+                <div className="scenario-save-row">
+                  <input
+                    className="scenario-input"
+                    placeholder={t("scenario.namePlaceholder")}
+                    value={scenarioName}
+                    onChange={(e) => setScenarioName(e.target.value)}
+                    onKeyDown={(e) => e.key === "Enter" && saveScenario()}
+                  />
+                  <button
+                    type="button"
+                    className="scenario-small-btn"
+                    onClick={saveScenario}
+                    disabled={scenarioHasErrors}
+                  >
+                    {t("scenario.save")}
+                  </button>
+                </div>
+
+                {savedScenarios.length > 0 && (
+                  <ul className="scenario-saved-list">
+                    {savedScenarios.map((s) => (
+                      <li key={s.id}>
+                        <label>
+                          <input
+                            type="checkbox"
+                            checked={compareIds.includes(s.id)}
+                            onChange={() => toggleCompare(s.id)}
+                          />
+                          <span className="scenario-saved-name">{s.name}</span>
+                        </label>
+                        <span
+                          className="scenario-saved-meta"
+                          title={localScenarioSummary(s.inputs)}
+                        >
+                          {formatNumber(s.inputs.solar)} MW ·{" "}
+                          {formatNumber(s.inputs.ev)}% ·{" "}
+                          {formatNumber(s.inputs.storage)} MWh
+                        </span>
+                        <button
+                          type="button"
+                          title={t("scenario.load")}
+                          onClick={() => {
+                            setScenario({ ...DEFAULT_SCENARIO, ...s.inputs });
+                            setScenarioPresetId("");
+                          }}
+                        >
+                          ↺
+                        </button>
+                        <button
+                          type="button"
+                          title={t("scenario.delete")}
+                          onClick={() => deleteSavedScenario(s.id)}
+                        >
+                          ×
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
 
-            <div className="scenario-note">
-              Tip: you can still type follow-up questions in the chat (e.g.,
-              “Compare this to 30 MW solar” or “Explain in Bangla”).
-            </div>
-          </aside>
-        </div>
-
-        {/* Footer input */}
-        <footer className="chat-footer">
-          {pendingAttachments.length > 0 && (
-            <div className="attachment-list">
-              {pendingAttachments.map((att) => (
                 <button
-                  key={att.id}
                   type="button"
-                  className="attachment-pill"
-                  onClick={() => removeAttachment(att.id)}
+                  className="scenario-button secondary"
+                  onClick={runComparison}
+                  disabled={isLoading || compareIds.length < 2}
                 >
-                  {att.kind === "image" ? "🖼" : "📄"} {att.name}
-                  <span className="attachment-x">×</span>
+                  {t("scenario.compareSelected", {
+                    count: formatNumber(compareIds.length),
+                  })}
                 </button>
-              ))}
-            </div>
-          )}
+              </div>
 
-          <div className="input-wrapper">
-            <div className="input-tools">
-              <button
-                type="button"
-                className="icon-btn"
-                onClick={() => fileInputRef.current?.click()}
-                title="Attach images / text files"
-              >
-                📎
-              </button>
-              <button
-                type="button"
-                className={`icon-btn ${isListening ? "active" : ""}`}
-                onClick={handleMicClick}
-                title="Voice input"
-              >
-                🎤
-              </button>
-              <input
-                ref={fileInputRef}
-                type="file"
-                multiple
-                style={{ display: "none" }}
-                onChange={handleFileChange}
-                accept=".txt,.md,.csv,.json,image/*"
+              <div className="scenario-note">{t("scenario.tip")}</div>
+            </aside>
+          </div>
+
+          {/* Footer input */}
+          <footer className="chat-footer" hidden={Boolean(sharedId)}>
+            {pendingAttachments.length > 0 && (
+              <div className="attachment-list">
+                {pendingAttachments.map((att) => (
+                  <button
+                    key={att.id}
+                    type="button"
+                    className="attachment-pill"
+                    onClick={() => removeAttachment(att.id)}
+                    title={t("chat.removeAttachment")}
+                  >
+                    {att.kind === "image" && att.dataUrl ? (
+                      <img
+                        className="attachment-pill-thumb"
+                        src={att.dataUrl}
+                        alt=""
+                      />
+                    ) : att.profile ? (
+                      "📈"
+                    ) : (
+                      "📄"
+                    )}{" "}
+                    {att.name}
+                    <span className="attachment-x">×</span>
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {storageWarning && storageWarning.kind !== dismissedWarning && (
+              <div className="storage-notice" role="alert">
+                💾{" "}
+                {t(`storage.${storageWarning.kind}`, {
+                  used: formatNumber(storageWarning.usage / 1e6, {
+                    maximumFractionDigits: 0,
+                  }),
+                  quota: formatNumber(storageWarning.quota / 1e6, {
+                    maximumFractionDigits: 0,
+                  }),
+                })}
+                <button
+                  type="button"
+                  onClick={() => setDismissedWarning(storageWarning.kind)}
+                  title={t("voice.dismiss")}
+                >
+                  ×
+                </button>
+              </div>
+            )}
+
+            {shareLink && (
+              <div className="share-notice" role="status">
+                <span>
+                  🔗{" "}
+                  {shareLink.copied
+                    ? t("share.linkCopied")
+                    : t("share.linkReady")}{" "}
+                  <a href={shareLink.url} target="_blank" rel="noreferrer">
+                    {shareLink.url}
+                  </a>
+                </span>
+                <button
+                  type="button"
+                  onClick={() => setShareLink(null)}
+                  title={t("voice.dismiss")}
+                >
+                  ×
+                </button>
+              </div>
+            )}
+
+            {voiceNotice && (
+              <div className="voice-notice">
+                🎤 {voiceNotice}
+                <button
+                  type="button"
+                  onClick={() => setVoiceNotice("")}
+                  title={t("voice.dismiss")}
+                >
+                  ×
+                </button>
+              </div>
+            )}
+
+            <div className="input-wrapper">
+              <div className="input-tools">
+                <button
+                  type="button"
+                  className="icon-btn"
+                  onClick={() => fileInputRef.current?.click()}
+                  title={t("chat.attach")}
+                >
+                  📎
+                </button>
+                <button
+                  type="button"
+                  className={`icon-btn ${isListening ? "active" : ""}`}
+                  onClick={handleMicClick}
+                  title={t("chat.voiceInput", {
+                    language: voiceLangLabel(voiceLang),
+                  })}
+                >
+                  🎤
+                </button>
+                <select
+                  className="voice-lang-select"
+                  value={voiceLang}
+                  onChange={(e) => setVoiceLang(e.target.value)}
+                  disabled={isListening}
+                  title={t("chat.voiceLanguage")}
+                >
+                  {VOICE_INPUT_LANGUAGES.map((l) => (
+                    <option key={l.code} value={l.code}>
+                      {l.label}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  className={`icon-btn ${dictation ? "active" : ""}`}
+                  onClick={() => setDictation((d) => !d)}
+                  disabled={isListening}
+                  title={
+                    dictation ? t("chat.dictationOn") : t("chat.dictationOff")
+                  }
+                >
+                  ∞
+                </button>
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  multiple
+                  style={{ display: "none" }}
+                  onChange={handleFileChange}
+                  accept=".txt,.md,.csv,.json,image/*"
+                />
+              </div>
+
+              <textarea
+                className="chat-input"
+                placeholder={t("chat.placeholder")}
+                value={input}
+                onChange={(e) => setInput(e.target.value)}
+                onKeyDown={handleKeyDown}
+                rows={1}
               />
-            </div>
 
-            <textarea
-              className="chat-input"
-              placeholder="Ask anything about energy… (Enter to send, Shift+Enter for new line)"
-              value={input}
-              onChange={(e) => setInput(e.target.value)}
-              onKeyDown={handleKeyDown}
-              rows={1}
-            />
-
-            <button
-              className="send-btn"
-              onClick={handleSend}
-              disabled={
-                isLoading || (!input.trim() && !pendingAttachments.length)
-              }
-            >
               {isLoading ? (
-                <span className="spinner" />
+                <button
+                  className="send-btn stop"
+                  onClick={stopGeneration}
+                  title={t("chat.stop")}
+                >
+                  <span className="stop-icon">■</span>
+                </button>
               ) : (
-                <span className="send-icon">➤</span>
+                <button
+                  className="send-btn"
+                  onClick={handleSend}
+                  disabled={!input.trim() && !pendingAttachments.length}
+                  title={t("chat.send")}
+                >
+                  <span className="send-icon">➤</span>
+                </button>
               )}
-            </button>
-          </div>
+            </div>
 
-          <div className="footer-note">
-            Multilingual Energy Assistant
-          </div>
-        </footer>
-      </main>
-    </div>
+            <div className="footer-note">{t("chat.footer")}</div>
+          </footer>
+        </main>
+      </div>
+    </I18nContext.Provider>
   );
 };
 
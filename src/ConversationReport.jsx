@@ -0,0 +1,147 @@
+import React from "react";
+import ReactMarkdown from "react-markdown";
+import ScenarioChart from "./ScenarioChart";
+import ScenarioComparison from "./ScenarioComparison";
+import ReferenceList from "./ReferenceList";
+import LoadProfileCard from "./LoadProfileCard";
+import { linkReferenceCitations } from "./references";
+import { translationLocale } from "./translation";
+import { scenarioParameterRows } from "./conversationExport";
+import { useI18n } from "./i18n";
+
+// Static, print-friendly view of a whole conversation. Rendered to an HTML
+// string by toHtmlReport() (conversationExport.js), and the body of the
+// read-only share view (SharedView.jsx), which passes its own `meta` line.
+
+const ConversationReport = ({ conversation, meta }) => {
+  const i18n = useI18n();
+  const { t, formatNumber, formatDate } = i18n;
+
+  return (
+    <article className="report">
+      <h1>{conversation.title || t("sidebar.newChat")}</h1>
+      <div className="report-meta">
+        {t("app.name")} ·{" "}
+        {meta ??
+          t("export.exportedOn", {
+            date: formatDate(new Date(), { dateStyle: "long" }),
+          })}
+      </div>
+
+      {conversation.messages.map((msg) => (
+        <section key={msg.id} className="report-message">
+          <div className="report-role">
+            {msg.role === "user" ? t("export.user") : t("export.assistant")}
+          </div>
+
+          <ReactMarkdown>
+            {msg.references
+              ? linkReferenceCitations(msg.text, msg.id, msg.references)
+              : msg.text}
+          </ReactMarkdown>
+
+          {Object.entries(msg.translations || {}).map(([code, translation]) => {
+            const locale = translationLocale(code);
+            return (
+              <div
+                key={code}
+                className="report-translation"
+                lang={code}
+                dir={locale?.dir}
+              >
+                <div className="report-role">
+                  {t("translate.heading", { language: locale?.label || code })}
+                </div>
+                <ReactMarkdown>
+                  {msg.references
+                    ? linkReferenceCitations(
+                        translation.text,
+                        msg.id,
+                        msg.references
+                      )
+                    : translation.text}
+                </ReactMarkdown>
+              </div>
+            );
+          })}
+
+          {msg.attachments?.length > 0 && (
+            <div className="report-attachments">
+              {t("export.attachments")}:{" "}
+              {msg.attachments.map((att) =>
+                att.kind === "image" && att.dataUrl ? (
+                  <img key={att.id} src={att.dataUrl} alt={att.name} />
+                ) : (
+                  <span key={att.id}>📄 {att.name} </span>
+                )
+              )}
+            </div>
+          )}
+
+          {msg.attachments
+            ?.filter((att) => att.profile)
+            .map((att) => (
+              <LoadProfileCard
+                key={att.id}
+                name={att.name}
+                profile={att.profile}
+              />
+            ))}
+
+          {msg.scenarioRun?.inputs && (
+            <table>
+              <caption>{t("export.scenarioParameters")}</caption>
+              <tbody>
+                {scenarioParameterRows(msg.scenarioRun.inputs, i18n).map(
+                  ([label, value]) => (
+                    <tr key={label}>
+                      <th>{label}</th>
+                      <td>{value}</td>
+                    </tr>
+                  )
+                )}
+                <tr>
+                  <th>{t("metrics.selfSufficiency")}</th>
+                  <td>
+                    {formatNumber(
+                      msg.scenarioRun.result.annual.selfSufficiencyPct
+                    )}
+                    %
+                  </td>
+                </tr>
+                <tr>
+                  <th>{t("metrics.unmetLoad")}</th>
+                  <td>
+                    {formatNumber(msg.scenarioRun.result.annual.unmetMWh)} MWh
+                  </td>
+                </tr>
+              </tbody>
+            </table>
+          )}
+
+          {msg.comparison && <ScenarioComparison comparison={msg.comparison} />}
+
+          {msg.charts?.map((chart) => (
+            <ScenarioChart key={chart.id} chart={chart} />
+          ))}
+
+          {msg.sources?.length > 0 && (
+            <ol>
+              {msg.sources.map((src) => (
+                <li key={src.ref}>
+                  [{src.ref}] {src.file} › {src.section}
+                </li>
+              ))}
+            </ol>
+          )}
+
+          {msg.references && (
+            <ReferenceList messageId={msg.id} references={msg.references} />
+          )}
+        </section>
+      ))}
+    </article>
+  );
+};
+
+export default ConversationReport;
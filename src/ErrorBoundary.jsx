@@ -0,0 +1,22 @@
+import React from "react";
+
+// Shows `fallback` instead of the children if rendering them throws, so
+// bad data in one view (e.g. a crafted shared link) can't take down the
+// whole app. Give it a `key` to reset it for new content.
+class ErrorBoundary extends React.Component {
+  state = { error: null };
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error) {
+    console.error("View failed to render:", error);
+  }
+
+  render() {
+    return this.state.error ? this.props.fallback : this.props.children;
+  }
+}
+
+export default ErrorBoundary;
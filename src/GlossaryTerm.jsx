@@ -0,0 +1,36 @@
+import React from "react";
+import { LOCALES, useI18n } from "./i18n";
+import { GLOSSARY_DATASET, glossaryEntry } from "./glossary";
+
+// ReactMarkdown `span` component. Spans marked by remarkGlossary become a
+// term with a dotted underline, showing on hover or focus the definition
+// in the UI language and the agreed term in every language.
+const GlossaryTerm = ({ className, children, ...props }) => {
+  const { t, locale } = useI18n();
+  const entry = glossaryEntry(props["data-glossary-id"]);
+  if (!entry) return <span className={className}>{children}</span>;
+
+  return (
+    <span className="glossary-term" tabIndex={0}>
+      {children}
+      <span className="glossary-tooltip" role="tooltip">
+        <b>{entry.term[locale] || entry.term.en}</b>
+        <span className="glossary-tooltip-definition">
+          {entry.definition[locale] || entry.definition.en}
+        </span>
+        <span className="glossary-tooltip-terms">
+          {LOCALES.filter((l) => entry.term[l.code]).map((l) => (
+            <span key={l.code} lang={l.code} dir={l.dir}>
+              {l.label}: {entry.term[l.code]}
+            </span>
+          ))}
+        </span>
+        <span className="glossary-tooltip-source">
+          {t("glossary.source", GLOSSARY_DATASET)}
+        </span>
+      </span>
+    </span>
+  );
+};
+
+export default GlossaryTerm;
@@ -0,0 +1,111 @@
+import React, { useMemo } from "react";
+import ScenarioChart from "./ScenarioChart";
+import { buildProfileCharts } from "./charts";
+import { profileDisplayUnit } from "./loadProfile";
+import { useI18n } from "./i18n";
+
+// A CSV attachment recognised as a load or generation time series: what
+// was detected, key statistics and preview charts. Load profiles can be
+// picked as the scenario's demand (`onUse`).
+
+const TIME_FORMAT = {
+  year: "numeric",
+  month: "short",
+  day: "numeric",
+  hour: "2-digit",
+  minute: "2-digit",
+  timeZone: "UTC",
+};
+
+const LoadProfileCard = ({ name, profile, selected, onUse }) => {
+  const { t, formatNumber, formatDate } = useI18n();
+  const display = profileDisplayUnit(profile);
+  const charts = useMemo(
+    () => buildProfileCharts(profile, profileDisplayUnit(profile)),
+    [profile]
+  );
+  const s = profile.stats;
+
+  const power = (mw) =>
+    `${formatNumber(mw * display.scale, { maximumFractionDigits: 2 })} ${
+      display.unit
+    }`;
+  const energy = (mwh) =>
+    mwh < 1
+      ? `${formatNumber(mwh * 1000, { maximumFractionDigits: 1 })} kWh`
+      : `${formatNumber(mwh, { maximumFractionDigits: 1 })} MWh`;
+  // Profile times are wall-clock, stored as "YYYY-MM-DD HH:00"
+  const time = (text) => formatDate(Date.parse(`${text}Z`), TIME_FORMAT);
+
+  const rows = [
+    [
+      t("profile.period"),
+      profile.start
+        ? `${time(profile.start)} – ${time(profile.end)}`
+        : t("profile.days", { count: formatNumber(profile.days) }),
+    ],
+    [
+      t("profile.interval"),
+      t("profile.minutes", { count: formatNumber(profile.intervalMinutes) }) +
+        (profile.intervalAssumed ? ` (${t("profile.assumed")})` : ""),
+    ],
+    [
+      t("profile.columns"),
+      `${profile.timeColumn ?? "—"} · ${profile.valueColumn}`,
+    ],
+    [
+      t("profile.unit"),
+      profile.unit + (profile.unitAssumed ? ` (${t("profile.assumed")})` : ""),
+    ],
+    [
+      t("profile.peak"),
+      power(s.peakMW) + (s.peakAt ? ` · ${time(s.peakAt)}` : ""),
+    ],
+    [t("profile.mean"), power(s.meanMW)],
+    [t("profile.minimum"), power(s.minMW)],
+    [t("profile.energy"), energy(s.energyMWh)],
+    [
+      t(profile.kind === "load" ? "profile.loadFactor" : "profile.capacityUse"),
+      `${formatNumber(s.loadFactorPct)}%`,
+    ],
+  ];
+  if (profile.gapHours > 0) {
+    rows.push([t("profile.gaps"), formatNumber(profile.gapHours)]);
+  }
+
+  return (
+    <div className="load-profile">
+      <div className="load-profile-head">
+        📈 <b>{name}</b> · {t(`profile.${profile.kind}`)}
+        {profile.truncated && (
+          <span className="load-profile-note"> · {t("profile.truncated")}</span>
+        )}
+      </div>
+      <dl className="load-profile-stats">
+        {rows.map(([label, value]) => (
+          <React.Fragment key={label}>
+            <dt>{label}</dt>
+            <dd>{value}</dd>
+          </React.Fragment>
+        ))}
+      </dl>
+      <div className="scenario-charts">
+        {charts.map((chart) => (
+          <ScenarioChart key={chart.id} chart={chart} />
+        ))}
+      </div>
+      {onUse && (
+        <button
+          type="button"
+          className="scenario-small-btn"
+          disabled={selected}
+          onClick={onUse}
+        >
+          {selected ? t("profile.inUse") : t("profile.useAsDemand")}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default LoadProfileCard;
@@ -0,0 +1,151 @@
+import React from "react";
+import { LOCALES, useI18n } from "./i18n";
+
+// Buttons under a bubble: branch switcher, copy, edit (questions),
+// regenerate (last reply), translate and the bilingual toggle (replies),
+// read aloud and the template badge.
+// `onEdit` / `onRegenerate` / `onTranslate` are null where the action
+// doesn't apply.
+// Structured scenario reports are read aloud from their TTS summary.
+const MessageActions = ({
+  msg,
+  branch,
+  busy,
+  copied,
+  translating,
+  speech,
+  onCopy,
+  onEdit,
+  onRegenerate,
+  onTranslate,
+  onToggleBilingual,
+  onShowBranch,
+}) => {
+  const { t, formatNumber } = useI18n();
+  const reading = speech.messageId === msg.id;
+  const shown = msg.translationView?.language || "";
+
+  return (
+    <div className="message-actions">
+      {branch && (
+        <span className="message-branches">
+          <button
+            type="button"
+            title={t("chat.previousBranch")}
+            disabled={busy || branch.index === 0}
+            onClick={() => onShowBranch(branch.index - 1)}
+          >
+            ‹
+          </button>
+          <span>
+            {t("chat.branch", {
+              index: formatNumber(branch.index + 1),
+              count: formatNumber(branch.count),
+            })}
+          </span>
+          <button
+            type="button"
+            title={t("chat.nextBranch")}
+            disabled={busy || branch.index === branch.count - 1}
+            onClick={() => onShowBranch(branch.index + 1)}
+          >
+            ›
+          </button>
+        </span>
+      )}
+      <button
+        type="button"
+        title={copied ? t("chat.copied") : t("chat.copy")}
+        onClick={onCopy}
+      >
+        {copied ? "✓" : "📋"}
+      </button>
+      {onEdit && (
+        <button
+          type="button"
+          title={t("chat.edit")}
+          disabled={busy}
+          onClick={onEdit}
+        >
+          ✏️
+        </button>
+      )}
+      {onRegenerate && (
+        <button
+          type="button"
+          title={t("chat.regenerate")}
+          disabled={busy}
+          onClick={onRegenerate}
+        >
+          🔄
+        </button>
+      )}
+      {onTranslate && (
+        <select
+          className="message-translate"
+          title={
+            translating
+              ? t("translate.translating")
+              : t("translate.translateTo")
+          }
+          value={shown}
+          disabled={translating}
+          onChange={(e) => onTranslate(e.target.value)}
+        >
+          <option value="">
+            {translating
+              ? `⏳ ${t("translate.translating")}`
+              : shown
+                ? `🌐 ${t("translate.showOriginal")}`
+                : `🌐 ${t("translate.translateTo")}`}
+          </option>
+          {LOCALES.map((l) => (
+            <option key={l.code} value={l.code}>
+              {l.label}
+              {msg.translations?.[l.code] ? " ✓" : ""}
+            </option>
+          ))}
+        </select>
+      )}
+      {shown && onToggleBilingual && (
+        <button
+          type="button"
+          title={t("translate.sideBySide")}
+          aria-pressed={Boolean(msg.translationView.bilingual)}
+          className={msg.translationView.bilingual ? "active" : ""}
+          onClick={onToggleBilingual}
+        >
+          ⇆
+        </button>
+      )}
+      {msg.role === "assistant" && speech.supported && (
+        <button
+          type="button"
+          title={reading ? t("chat.stopReading") : t("chat.readAloud")}
+          onClick={() =>
+            reading
+              ? speech.stop()
+              : speech.speak(msg.id, msg.report?.ttsSummary || msg.text)
+          }
+        >
+          {reading ? "🔇" : "🔊"}
+        </button>
+      )}
+      {msg.generatedBy && (
+        <span
+          className="message-meta"
+          title={t("chat.generatedBy", {
+            template: msg.generatedBy.template,
+            version: msg.generatedBy.templateVersion,
+            provider: msg.generatedBy.provider,
+            model: msg.generatedBy.model,
+          })}
+        >
+          {msg.generatedBy.template} v{msg.generatedBy.templateVersion}
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default MessageActions;
@@ -0,0 +1,53 @@
+import React, { useMemo } from "react";
+import { useI18n } from "./i18n";
+import { missingFigures, translationLocale } from "./translation";
+
+// The bubble body when a translation is shown: the translation alone, or
+// original and translation side by side (`bilingual`). `children` is the
+// original as the bubble renders it; `renderText` renders Markdown.
+const MessageTranslation = ({ msg, renderText, children }) => {
+  const { t } = useI18n();
+  const view = msg.translationView;
+  const translation = view && msg.translations?.[view.language];
+  const locale = view && translationLocale(view.language);
+  const missing = useMemo(
+    () => (translation ? missingFigures(msg.text, translation.text) : []),
+    [msg.text, translation]
+  );
+
+  if (!translation || !locale) return children;
+
+  const translated = (
+    <div className="message-translation" lang={locale.code} dir={locale.dir}>
+      {renderText(translation.text)}
+    </div>
+  );
+
+  return (
+    <>
+      {view.bilingual ? (
+        <div className="message-bilingual">
+          <div>
+            <div className="message-bilingual-label">
+              {t("translate.original")}
+            </div>
+            {children}
+          </div>
+          <div>
+            <div className="message-bilingual-label">{locale.label}</div>
+            {translated}
+          </div>
+        </div>
+      ) : (
+        translated
+      )}
+      {missing.length > 0 && (
+        <div className="message-translation-warning">
+          ⚠️ {t("translate.figuresChanged", { figures: missing.join(", ") })}
+        </div>
+      )}
+    </>
+  );
+};
+
+export default MessageTranslation;
@@ -0,0 +1,62 @@
+import React from "react";
+import { useI18n } from "./i18n";
+import { referenceAnchor } from "./references";
+
+// Reference-dataset entries a reply was given, numbered like its [R1]
+// citations, each with its value, year, dataset id and source link.
+// Fallbacks (a world average standing in for a missing country) are
+// labelled as such.
+const ReferenceList = ({ messageId, references }) => {
+  const { t, formatNumber } = useI18n();
+  const { dataset, entries } = references;
+
+  return (
+    <details className="message-references" open>
+      <summary>
+        📊{" "}
+        {t("reference.title", {
+          count: formatNumber(entries.length),
+          dataset: dataset.name || "",
+          version: dataset.version ?? "",
+        })}
+      </summary>
+      <ol>
+        {entries.map((entry) => (
+          <li key={entry.ref} id={referenceAnchor(messageId, entry.ref)}>
+            <code>[{entry.ref}]</code> {entry.title}:{" "}
+            <b>
+              {typeof entry.value === "number"
+                ? formatNumber(entry.value, { maximumFractionDigits: 3 })
+                : entry.value}{" "}
+              {entry.unit}
+            </b>{" "}
+            ({formatNumber(entry.year, { useGrouping: false })})
+            {entry.note && (
+              <span className="message-references-note"> {entry.note}</span>
+            )}
+            {entry.fallback && (
+              <span className="message-references-fallback">
+                {" "}
+                ⚠️ {t("reference.fallback")}
+              </span>
+            )}
+            <div className="message-references-source">
+              {t("reference.source")}:{" "}
+              {entry.source.url ? (
+                <a href={entry.source.url} target="_blank" rel="noreferrer">
+                  {entry.source.publisher}, {entry.source.title}
+                </a>
+              ) : (
+                `${entry.source.publisher}, ${entry.source.title}`
+              )}{" "}
+              ({formatNumber(entry.source.year, { useGrouping: false })}) ·{" "}
+              <code title={t("reference.entryId")}>{entry.id}</code>
+            </div>
+          </li>
+        ))}
+      </ol>
+    </details>
+  );
+};
+
+export default ReferenceList;
@@ -0,0 +1,241 @@
+import React, { useRef } from "react";
+import { useI18n } from "./i18n";
+import { downloadBlob } from "./download";
+
+// Inline SVG chart for the JSON specs produced by charts.js.
+// Colours are written as attributes (not CSS variables) so an exported
+// SVG/PNG looks the same outside the app.
+
+const WIDTH = 560;
+const HEIGHT = 230;
+const PAD = { top: 14, right: 14, bottom: 44, left: 52 };
+const BG = "#0a0e0a";
+const AXIS = "#3d5a3d";
+const TEXT = "#d4f7a6";
+
+const niceMax = (value) => {
+  if (value <= 0) return 1;
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  const steps = [1, 2, 2.5, 5, 10];
+  const step = steps.find((s) => s * magnitude >= value) || 10;
+  return step * magnitude;
+};
+
+const exportSvg = (svgEl, filename, format) => {
+  const xml = new XMLSerializer().serializeToString(svgEl);
+  const svgBlob = new Blob([xml], { type: "image/svg+xml;charset=utf-8" });
+
+  if (format === "svg") {
+    downloadBlob(svgBlob, `${filename}.svg`);
+    return;
+  }
+
+  // PNG: rasterise the SVG at 2x through a canvas
+  const url = URL.createObjectURL(svgBlob);
+  const img = new Image();
+  img.onload = () => {
+    const canvas = document.createElement("canvas");
+    canvas.width = WIDTH * 2;
+    canvas.height = HEIGHT * 2;
+    const ctx = canvas.getContext("2d");
+    ctx.scale(2, 2);
+    ctx.drawImage(img, 0, 0, WIDTH, HEIGHT);
+    URL.revokeObjectURL(url);
+    canvas.toBlob((blob) => blob && downloadBlob(blob, `${filename}.png`));
+  };
+  img.onerror = () => URL.revokeObjectURL(url);
+  img.src = url;
+};
+
+const ScenarioChart = ({ chart }) => {
+  const svgRef = useRef(null);
+  const { t, formatNumber } = useI18n();
+
+  // Chart specs are stored in English; names are translated when drawn
+  const title = t(`chart.${chart.id}`, { fallback: chart.title });
+  const seriesName = (name) => t(`series.${name}`, { fallback: name });
+  const categoryLabel = (label) =>
+    t(`chartLabel.${label}`, { fallback: label });
+  const formatTick = (value) =>
+    formatNumber(value, { notation: value >= 1000 ? "compact" : "standard" });
+
+  const plotW = WIDTH - PAD.left - PAD.right;
+  const plotH = HEIGHT - PAD.top - PAD.bottom;
+  const allValues = chart.series.flatMap((s) => s.values);
+  const maxY = niceMax(Math.max(0, ...allValues));
+  const y = (v) => PAD.top + plotH - (Math.max(0, v) / maxY) * plotH;
+  const ticks = [0, 0.25, 0.5, 0.75, 1].map((f) => f * maxY);
+  const n = chart.labels.length;
+  const legendStep = Math.min(120, (WIDTH - PAD.left) / chart.series.length);
+
+  const renderLine = () => {
+    const x = (i) => PAD.left + (n === 1 ? plotW / 2 : (i / (n - 1)) * plotW);
+    const labelEvery = Math.ceil(n / 8);
+
+    return (
+      <>
+        {chart.labels.map((label, i) =>
+          i % labelEvery === 0 ? (
+            <text
+              key={label}
+              x={x(i)}
+              y={HEIGHT - PAD.bottom + 14}
+              fill={TEXT}
+              fontSize="10"
+              textAnchor="middle"
+            >
+              {label}
+            </text>
+          ) : null
+        )}
+        {chart.series.map((s) => {
+          const points = s.values.map((v, i) => `${x(i)},${y(v)}`).join(" ");
+          return (
+            <g key={s.name}>
+              {s.area && (
+                <polygon
+                  points={`${x(0)},${y(0)} ${points} ${x(n - 1)},${y(0)}`}
+                  fill={s.color}
+                  fillOpacity="0.18"
+                />
+              )}
+              <polyline
+                points={points}
+                fill="none"
+                stroke={s.color}
+                strokeWidth="2"
+                strokeLinejoin="round"
+              />
+            </g>
+          );
+        })}
+      </>
+    );
+  };
+
+  const renderBars = () => {
+    const s = chart.series[0];
+    const slot = plotW / n;
+    const barW = Math.min(48, slot * 0.6);
+
+    return chart.labels.map((label, i) => {
+      const v = s.values[i] || 0;
+      const cx = PAD.left + slot * i + slot / 2;
+      return (
+        <g key={label}>
+          <rect
+            x={cx - barW / 2}
+            y={y(v)}
+            width={barW}
+            height={PAD.top + plotH - y(v)}
+            rx="4"
+            fill={s.colors?.[i] || s.color}
+          />
+          <text
+            x={cx}
+            y={y(v) - 4}
+            fill={TEXT}
+            fontSize="10"
+            textAnchor="middle"
+          >
+            {formatTick(v)}
+          </text>
+          <text
+            x={cx}
+            y={HEIGHT - PAD.bottom + 14}
+            fill={TEXT}
+            fontSize="10"
+            textAnchor="middle"
+          >
+            {categoryLabel(label)}
+          </text>
+        </g>
+      );
+    });
+  };
+
+  const filename = chart.id || "chart";
+
+  return (
+    <figure className="scenario-chart">
+      <figcaption className="scenario-chart-head">
+        <span>{title}</span>
+        <span className="scenario-chart-actions">
+          <button
+            type="button"
+            onClick={() => exportSvg(svgRef.current, filename, "png")}
+          >
+            PNG
+          </button>
+          <button
+            type="button"
+            onClick={() => exportSvg(svgRef.current, filename, "svg")}
+          >
+            SVG
+          </button>
+        </span>
+      </figcaption>
+
+      <svg
+        ref={svgRef}
+        xmlns="http://www.w3.org/2000/svg"
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        width="100%"
+        role="img"
+        aria-label={title}
+        fontFamily="system-ui, sans-serif"
+      >
+        <rect width={WIDTH} height={HEIGHT} fill={BG} />
+
+        {ticks.map((t) => (
+          <g key={t}>
+            <line
+              x1={PAD.left}
+              x2={WIDTH - PAD.right}
+              y1={y(t)}
+              y2={y(t)}
+              stroke={AXIS}
+              strokeDasharray={t === 0 ? undefined : "3 4"}
+            />
+            <text
+              x={PAD.left - 6}
+              y={y(t) + 3}
+              fill={TEXT}
+              fontSize="10"
+              textAnchor="end"
+            >
+              {formatTick(t)}
+            </text>
+          </g>
+        ))}
+        <text
+          x={12}
+          y={PAD.top + plotH / 2}
+          fill={TEXT}
+          fontSize="10"
+          textAnchor="middle"
+          transform={`rotate(-90 12 ${PAD.top + plotH / 2})`}
+        >
+          {chart.unit}
+        </text>
+
+        {chart.type === "bar" ? renderBars() : renderLine()}
+
+        {chart.type === "line" &&
+          chart.series.map((s, i) => (
+            <g
+              key={s.name}
+              transform={`translate(${PAD.left + i * legendStep}, ${HEIGHT - 14})`}
+            >
+              <rect width="10" height="10" y="-9" rx="2" fill={s.color} />
+              <text x="14" fill={TEXT} fontSize="10">
+                {seriesName(s.name)}
+              </text>
+            </g>
+          ))}
+      </svg>
+    </figure>
+  );
+};
+
+export default ScenarioChart;
@@ -0,0 +1,67 @@
+import React from "react";
+import { useI18n } from "./i18n";
+
+// Diff table for a compareScenarios() result. The first scenario is the
+// baseline; other columns show their change against it.
+
+const ScenarioComparison = ({ comparison }) => {
+  const { t, formatNumber } = useI18n();
+  const { scenarios, rows } = comparison;
+
+  const formatDelta = (delta) =>
+    formatNumber(delta, { signDisplay: "exceptZero" });
+
+  return (
+    <div className="scenario-compare">
+      <table>
+        <thead>
+          <tr>
+            <th>{t("compare.metric")}</th>
+            {scenarios.map((s, i) => (
+              <th key={`${s.name}-${i}`}>
+                {s.name}
+                {i === 0 && (
+                  <span className="compare-baseline">
+                    {t("compare.baseline")}
+                  </span>
+                )}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => (
+            <tr key={row.key}>
+              <td className="compare-metric">
+                {t(`metric.${row.key}`, { fallback: row.label })}
+                <span className="compare-unit">{row.unit}</span>
+              </td>
+              {row.values.map((value, i) => {
+                const delta = value - row.values[0];
+                const improved =
+                  row.better === "higher" ? delta > 0 : delta < 0;
+                return (
+                  <td
+                    key={i}
+                    className={row.bestIndexes.includes(i) ? "best" : ""}
+                  >
+                    {formatNumber(value)}
+                    {i > 0 && delta !== 0 && (
+                      <span
+                        className={`compare-delta ${improved ? "good" : "bad"}`}
+                      >
+                        {formatDelta(delta)}
+                      </span>
+                    )}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default ScenarioComparison;
@@ -0,0 +1,78 @@
+import React from "react";
+import { useI18n } from "./i18n";
+
+// Cards for a structured scenario reply (see scenarioReport.js). Section
+// headings come from the UI language; the content is the model's.
+
+const ScenarioReport = ({ report }) => {
+  const { t, formatNumber } = useI18n();
+
+  return (
+    <div className="scenario-report">
+      <h2 className="scenario-report-title">⚡ {report.title}</h2>
+
+      <section className="scenario-report-card">
+        <h3>{t("report.scenario")}</h3>
+        <p>{report.scenario}</p>
+      </section>
+
+      {report.loadVsGeneration.length > 0 && (
+        <section className="scenario-report-card">
+          <h3>{t("report.loadVsGeneration")}</h3>
+          <div className="scenario-report-figures">
+            {report.loadVsGeneration.map((f, i) => (
+              <div key={i} className="scenario-report-figure">
+                <b>
+                  {formatNumber(f.value)} <small>{f.unit}</small>
+                </b>
+                <span>{f.label}</span>
+                {f.note && <em>{f.note}</em>}
+              </div>
+            ))}
+          </div>
+        </section>
+      )}
+
+      {report.risks.length > 0 && (
+        <section className="scenario-report-card">
+          <h3>{t("report.risks")}</h3>
+          <ul className="scenario-report-risks">
+            {report.risks.map((r, i) => (
+              <li key={i}>
+                <span className={`severity severity-${r.severity}`}>
+                  {t(`report.severity.${r.severity}`)}
+                </span>
+                <b>{r.title}</b> {r.detail}
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      {report.recommendations.length > 0 && (
+        <section className="scenario-report-card">
+          <h3>{t("report.recommendations")}</h3>
+          <ol>
+            {report.recommendations.map((step, i) => (
+              <li key={i}>{step}</li>
+            ))}
+          </ol>
+        </section>
+      )}
+
+      {report.chartNotes && (
+        <section className="scenario-report-card">
+          <h3>{t("report.charts")}</h3>
+          <p>{report.chartNotes}</p>
+        </section>
+      )}
+
+      <section className="scenario-report-card scenario-report-tts">
+        <h3>🔊 {t("report.ttsSummary")}</h3>
+        <p>{report.ttsSummary}</p>
+      </section>
+    </div>
+  );
+};
+
+export default ScenarioReport;
@@ -0,0 +1,74 @@
+import React, { useEffect, useState } from "react";
+import ConversationReport from "./ConversationReport";
+import { fetchShare } from "./share";
+import { useI18n } from "./i18n";
+
+// Read-only view of a shared conversation (/share/:id), shown in place of
+// the chat. The snapshot is rendered like the HTML report, with scenario
+// parameters, charts and sources; "Fork" copies it into the viewer's own
+// history as a normal chat. App remounts it (and its error boundary)
+// for each shareId.
+const SharedView = ({ shareId, onFork, onClose }) => {
+  const { t, formatDate } = useI18n();
+  const [share, setShare] = useState({ status: "loading" });
+
+  useEffect(() => {
+    const controller = new AbortController();
+    fetchShare(shareId, controller.signal)
+      .then((result) =>
+        setShare(
+          result.error
+            ? { status: "error", error: result.error }
+            : { status: "ready", ...result }
+        )
+      )
+      .catch(() => {
+        // aborted: the view was closed
+      });
+    return () => controller.abort();
+  }, [shareId]);
+
+  return (
+    <section className="shared-view">
+      <div className="shared-view-bar">
+        <span>🔗 {t("share.readOnly")}</span>
+        <div className="shared-view-actions">
+          <button
+            type="button"
+            className="scenario-small-btn"
+            disabled={share.status !== "ready"}
+            onClick={() => onFork(share.conversation)}
+          >
+            ⑂ {t("share.fork")}
+          </button>
+          <button
+            type="button"
+            className="scenario-small-btn"
+            onClick={onClose}
+          >
+            {t("share.backToChats")}
+          </button>
+        </div>
+      </div>
+
+      {share.status === "loading" && (
+        <div className="shared-view-status">{t("share.loading")}</div>
+      )}
+      {share.status === "error" && (
+        <div className="shared-view-status" role="alert">
+          ⚠️ {t(`apiError.${share.error}`)}
+        </div>
+      )}
+      {share.status === "ready" && (
+        <ConversationReport
+          conversation={share.conversation}
+          meta={t("share.sharedOn", {
+            date: formatDate(share.createdAt, { dateStyle: "long" }),
+          })}
+        />
+      )}
+    </section>
+  );
+};
+
+export default SharedView;
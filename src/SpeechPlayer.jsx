@@ -0,0 +1,65 @@
+import React from "react";
+import { SPEECH_RATES } from "./useSpeech";
+import { useI18n } from "./i18n";
+
+// Controls + sentence list shown in a bubble while it is being read aloud
+const SpeechPlayer = ({ speech }) => {
+  const { t, formatNumber } = useI18n();
+
+  return (
+    <div className="speech-player">
+      <div className="speech-controls">
+        {speech.paused ? (
+          <button
+            type="button"
+            onClick={speech.resume}
+            title={t("speech.resume")}
+          >
+            ▶
+          </button>
+        ) : (
+          <button
+            type="button"
+            onClick={speech.pause}
+            title={t("speech.pause")}
+          >
+            ❚❚
+          </button>
+        )}
+        <button type="button" onClick={speech.stop} title={t("speech.stop")}>
+          ■
+        </button>
+        <select
+          value={speech.rate}
+          onChange={(e) => speech.changeRate(Number(e.target.value))}
+          title={t("speech.speed")}
+        >
+          {SPEECH_RATES.map((r) => (
+            <option key={r} value={r}>
+              {formatNumber(r, { maximumFractionDigits: 2 })}×
+            </option>
+          ))}
+        </select>
+        <span className="speech-lang">{speech.lang}</span>
+        {speech.voiceMissing && (
+          <span className="speech-warning">
+            {t("speech.voiceMissing", { language: speech.lang })}
+          </span>
+        )}
+      </div>
+
+      <p className="speech-text">
+        {speech.sentences.map((sentence, i) => (
+          <span
+            key={i}
+            className={i === speech.index ? "speech-current" : undefined}
+          >
+            {sentence}{" "}
+          </span>
+        ))}
+      </p>
+    </div>
+  );
+};
+
+export default SpeechPlayer;
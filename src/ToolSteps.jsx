@@ -0,0 +1,59 @@
+import React from "react";
+import { useI18n } from "./i18n";
+
+// Calculator calls made while answering (tool calling, see
+// netlify/lib/energyTools.js), each as an expandable step with its inputs
+// and result. Field names are the calculators' own keys.
+
+const ToolSteps = ({ steps }) => {
+  const { t, formatNumber } = useI18n();
+
+  const formatValue = (value) => {
+    if (typeof value === "number") return formatNumber(value);
+    if (typeof value === "boolean") return value ? t("tool.yes") : t("tool.no");
+    return String(value);
+  };
+
+  const fields = (values) => (
+    <dl>
+      {Object.entries(values || {}).map(([key, value]) => (
+        <React.Fragment key={key}>
+          <dt>{t(`tool.field.${key}`, { fallback: key })}</dt>
+          <dd>{formatValue(value)}</dd>
+        </React.Fragment>
+      ))}
+    </dl>
+  );
+
+  return (
+    <div className="tool-steps">
+      {steps.map((step, i) => (
+        <details
+          key={i}
+          className={`tool-step ${step.error ? "tool-step-failed" : ""}`}
+        >
+          <summary>
+            🧮 {t(`tool.${step.name}`, { fallback: step.name })}
+            {step.error && ` · ${t("tool.failed")}`}
+          </summary>
+          <div className="tool-step-body">
+            <div>
+              <h4>{t("tool.inputs")}</h4>
+              {fields(step.args)}
+            </div>
+            <div>
+              <h4>{t("tool.result")}</h4>
+              {step.error ? (
+                <p className="tool-step-error">{step.error}</p>
+              ) : (
+                fields(step.result)
+              )}
+            </div>
+          </div>
+        </details>
+      ))}
+    </div>
+  );
+};
+
+export default ToolSteps;
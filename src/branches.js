@@ -0,0 +1,89 @@
+// Alternative continuations of a conversation (regenerated replies,
+// edited questions). `conv.messages` is always the path on screen, so
+// everything else keeps reading a flat list. `conv.branches` maps the id
+// of the message a path forks after to { tails, active }: the message
+// lists that can follow it. The active tail lives in `conv.messages`, so
+// its slot in `tails` is null until the user switches away.
+
+// Drop the rolling summary if the messages it covers are no longer shown
+const withPath = (conv, messages) => {
+  const throughId = conv.contextSummary?.throughId;
+  const keepSummary = !throughId || messages.some((m) => m.id === throughId);
+  return {
+    ...conv,
+    messages,
+    contextSummary: keepSummary ? conv.contextSummary : undefined,
+  };
+};
+
+const forkKey = (conv, index) => conv.messages[index - 1]?.id;
+
+// { index, count } for the fork that starts at messages[index], or null
+export const branchInfo = (conv, index) => {
+  const fork = conv.branches?.[forkKey(conv, index)];
+  return fork && fork.tails.length > 1
+    ? { index: fork.active, count: fork.tails.length }
+    : null;
+};
+
+// Replace messages[index…] with `newTail`, keeping the old messages as a
+// branch the user can switch back to
+export const forkAt = (conv, index, newTail) => {
+  const key = forkKey(conv, index);
+  const fork = conv.branches?.[key] || { tails: [null], active: 0 };
+  const tails = fork.tails.map((tail, i) =>
+    i === fork.active ? conv.messages.slice(index) : tail
+  );
+  tails.push(null);
+
+  return withPath(
+    {
+      ...conv,
+      branches: {
+        ...conv.branches,
+        [key]: { tails, active: tails.length - 1 },
+      },
+    },
+    [...conv.messages.slice(0, index), ...newTail]
+  );
+};
+
+// Show branch `target` of the fork that starts at messages[index]
+export const switchBranch = (conv, index, target) => {
+  const key = forkKey(conv, index);
+  const fork = conv.branches?.[key];
+  if (!fork || target === fork.active || !fork.tails[target]) return conv;
+
+  const tails = fork.tails.map((tail, i) => {
+    if (i === fork.active) return conv.messages.slice(index);
+    return i === target ? null : tail;
+  });
+
+  return withPath(
+    {
+      ...conv,
+      branches: { ...conv.branches, [key]: { tails, active: target } },
+    },
+    [...conv.messages.slice(0, index), ...fork.tails[target]]
+  );
+};
+
+// Every message list stored on a conversation: the visible path and all
+// inactive branches (for code that rewrites messages wherever they live)
+export const mapAllMessages = async (conv, fn) => {
+  const mapList = (list) => Promise.all(list.map(fn));
+  if (!conv.branches) {
+    return { ...conv, messages: await mapList(conv.messages) };
+  }
+
+  const branches = {};
+  for (const [key, fork] of Object.entries(conv.branches)) {
+    branches[key] = {
+      ...fork,
+      tails: await Promise.all(
+        fork.tails.map((tail) => (tail ? mapList(tail) : tail))
+      ),
+    };
+  }
+  return { ...conv, messages: await mapList(conv.messages), branches };
+};
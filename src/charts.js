@@ -0,0 +1,186 @@
+// Structured chart data for scenario answers. Kept as plain JSON so it can
+// be stored with the message in history and re-rendered later.
+
+export const CHART_COLORS = {
+  load: "#f4ff4e",
+  solar: "#bef22d",
+  grid: "#ff6b6b",
+  storage: "#34d399",
+  ev: "#7dd3fc",
+  wind: "#a5b4fc",
+  heatPump: "#fca5a5",
+  curtailed: "#8fb569",
+};
+
+const hourLabels = () =>
+  Array.from({ length: 24 }, (_, h) => `${String(h).padStart(2, "0")}h`);
+
+// Build the standard chart set from a simulateScenario() result
+export const buildScenarioCharts = (result) => {
+  const day = result.averageDay;
+  const a = result.annual;
+
+  const loadSeries = [
+    {
+      name: "Load",
+      color: CHART_COLORS.load,
+      values: day.map((s) => s.load),
+    },
+    {
+      name: "Solar",
+      color: CHART_COLORS.solar,
+      values: day.map((s) => s.solar),
+    },
+  ];
+  if (result.inputs.windMW > 0) {
+    loadSeries.push({
+      name: "Wind",
+      color: CHART_COLORS.wind,
+      values: day.map((s) => s.wind),
+    });
+  }
+  loadSeries.push({
+    name: "EV charging",
+    color: CHART_COLORS.ev,
+    values: day.map((s) => s.evLoad),
+  });
+  if (result.inputs.heatPumpPercent > 0) {
+    loadSeries.push({
+      name: "Heat pumps",
+      color: CHART_COLORS.heatPump,
+      values: day.map((s) => s.heatPumpLoad),
+    });
+  }
+  loadSeries.push({
+    name: "Grid import",
+    color: CHART_COLORS.grid,
+    values: day.map((s) => s.gridImport),
+  });
+
+  const charts = [
+    {
+      id: "load-vs-generation",
+      type: "line",
+      title: "Average day: load vs generation",
+      unit: "MW",
+      labels: hourLabels(),
+      series: loadSeries,
+    },
+    {
+      id: "energy-mix",
+      type: "bar",
+      title: "Annual energy mix",
+      unit: "MWh",
+      labels: [
+        "Renewables (direct)",
+        "Storage",
+        "Grid import",
+        "Unmet",
+        "Curtailed",
+      ],
+      series: [
+        {
+          name: "Energy",
+          colors: [
+            CHART_COLORS.solar,
+            CHART_COLORS.storage,
+            CHART_COLORS.grid,
+            CHART_COLORS.load,
+            CHART_COLORS.curtailed,
+          ],
+          values: [
+            a.renewableUsedDirectMWh,
+            a.storageDischargeMWh,
+            a.gridImportMWh,
+            a.unmetMWh,
+            a.curtailedMWh,
+          ],
+        },
+      ],
+    },
+  ];
+
+  // State of charge only makes sense with a battery
+  if (result.inputs.storageMWh > 0) {
+    charts.splice(1, 0, {
+      id: "storage-soc",
+      type: "line",
+      title: "Average day: storage state of charge",
+      unit: "MWh",
+      labels: hourLabels(),
+      series: [
+        {
+          name: "State of charge",
+          color: CHART_COLORS.storage,
+          values: day.map((s) => s.soc),
+          area: true,
+        },
+      ],
+    });
+  }
+
+  return charts;
+};
+
+// Up to a week is drawn hour by hour, longer profiles as daily averages
+const PROFILE_HOURLY_DAYS = 7;
+
+// Preview and average day of an uploaded CSV profile (loadProfile.js), in
+// kW or MW depending on its size
+export const buildProfileCharts = (profile, { unit, scale }) => {
+  const name = profile.kind === "load" ? "Load" : "Generation";
+  const color =
+    profile.kind === "load" ? CHART_COLORS.load : CHART_COLORS.solar;
+  const startMs = profile.start ? Date.parse(`${profile.start}Z`) : null;
+  const dayLabel = (d) =>
+    startMs === null
+      ? `D${d + 1}`
+      : new Date(startMs + d * 86400000).toISOString().slice(5, 10);
+  const scaled = (values) =>
+    values.map((v) => Number((v * scale).toPrecision(4)));
+
+  const preview =
+    profile.days <= PROFILE_HOURLY_DAYS
+      ? {
+          id: "profile-hourly",
+          title: "Uploaded profile (hourly)",
+          labels: profile.hourlyMW.map(
+            (_, h) =>
+              `${dayLabel(Math.floor(h / 24))} ${String(h % 24).padStart(2, "0")}h`
+          ),
+          values: scaled(profile.hourlyMW),
+        }
+      : {
+          id: "profile-daily",
+          title: "Uploaded profile (daily average)",
+          labels: Array.from({ length: profile.days }, (_, d) => dayLabel(d)),
+          values: scaled(
+            Array.from(
+              { length: profile.days },
+              (_, d) =>
+                profile.hourlyMW
+                  .slice(d * 24, d * 24 + 24)
+                  .reduce((a, b) => a + b, 0) / 24
+            )
+          ),
+        };
+
+  return [
+    {
+      id: preview.id,
+      type: "line",
+      title: preview.title,
+      unit,
+      labels: preview.labels,
+      series: [{ name, color, values: preview.values }],
+    },
+    {
+      id: "profile-average-day",
+      type: "line",
+      title: "Uploaded profile: average day",
+      unit,
+      labels: hourLabels(),
+      series: [{ name, color, values: scaled(profile.averageDay), area: true }],
+    },
+  ];
+};
@@ -0,0 +1,169 @@
+// Context-window budgeting for chat requests.
+// Older turns are folded into a rolling summary stored on the conversation,
+// so long chats stay within a fixed token budget and under the server's
+// message limit. Token counts are estimates: the browser has no tokenizer,
+// and we only need to be close.
+
+import { DEFAULT_MAX_MESSAGES } from "../netlify/lib/chatLimits.js";
+
+// Budget for everything sent with one request (history, documents, images)
+export const CONTEXT_TOKEN_BUDGET = 8000;
+// Messages per request, including the summary; the server answers 413
+// above its limit, so a long chat of short turns must fold too
+export const MAX_REQUEST_MESSAGES = DEFAULT_MAX_MESSAGES;
+// When over budget, fold old turns until the request is this share of it,
+// so we summarize once every few turns instead of on every send.
+const FOLD_TARGET_RATIO = 0.6;
+// The newest messages always go out verbatim
+export const RECENT_MESSAGES_KEPT = 6;
+// Each turn is clipped before it is sent to the summarizer, and the whole
+// transcript stays well under the server's per-message limit.
+const SUMMARY_TURN_CHARS = 4000;
+const SUMMARY_REQUEST_CHARS = 40000;
+
+// Per-message framing overhead and a flat cost per image part
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const IMAGE_TOKENS = 800;
+
+// ~4 characters per token for Latin script; Bengali, Devanagari, Arabic
+// and CJK text takes far fewer characters per token.
+export const estimateTokens = (text) => {
+  let latin = 0;
+  let other = 0;
+  for (const ch of String(text || "")) {
+    if (ch.codePointAt(0) < 0x250) latin++;
+    else other++;
+  }
+  return Math.ceil(latin / 4 + other / 1.5);
+};
+
+// Tokens for one API message (string content or text/image parts)
+export const estimateMessageTokens = (message) => {
+  const content = message.content;
+  if (!Array.isArray(content)) {
+    return MESSAGE_OVERHEAD_TOKENS + estimateTokens(content);
+  }
+  return content.reduce(
+    (sum, part) =>
+      sum +
+      (part.type === "image_url" ? IMAGE_TOKENS : estimateTokens(part.text)),
+    MESSAGE_OVERHEAD_TOKENS
+  );
+};
+
+// Messages carrying simulation figures the model must keep seeing
+export const carriesScenarioData = (msg) =>
+  Boolean(msg.scenarioRun || msg.comparisonRun);
+
+// Index of the last message covered by the summary (-1 if none)
+export const summarizedThroughIndex = (conv) => {
+  const throughId = conv.contextSummary?.throughId;
+  return throughId ? conv.messages.findIndex((m) => m.id === throughId) : -1;
+};
+
+// The summary goes out as a labelled user message: the server only
+// accepts user/assistant roles and owns the system prompt.
+export const summaryMessage = (summary) => ({
+  role: "user",
+  content:
+    `[Summary of the earlier conversation, for context only]\n\n` +
+    summary.text,
+});
+
+// Decide what a request includes. `apiMessages` is parallel to
+// `conv.messages`; `pinned` holds indexes that must be sent verbatim
+// (latest scenario data, attachments). Returns the indexes to send and,
+// if the token budget or message limit is exceeded, the range of messages
+// to fold into the summary before sending.
+export const planContext = (
+  conv,
+  apiMessages,
+  pinned,
+  budget = CONTEXT_TOKEN_BUDGET,
+  maxMessages = MAX_REQUEST_MESSAGES
+) => {
+  const tokens = apiMessages.map(estimateMessageTokens);
+  const through = summarizedThroughIndex(conv);
+  const recentStart = Math.max(0, apiMessages.length - RECENT_MESSAGES_KEPT);
+  const summaryTokens = conv.contextSummary
+    ? estimateMessageTokens(summaryMessage(conv.contextSummary))
+    : 0;
+
+  const isSent = (idx, foldedThrough) => idx > foldedThrough || pinned.has(idx);
+  const totalFor = (foldedThrough) =>
+    tokens.reduce(
+      (sum, n, idx) => (isSent(idx, foldedThrough) ? sum + n : sum),
+      summaryTokens
+    );
+
+  // One slot is kept for the summary message
+  const maxSent = maxMessages - 1;
+  const countFor = (foldedThrough) =>
+    apiMessages.filter((_, idx) => isSent(idx, foldedThrough)).length;
+
+  const estimatedTokens = totalFor(through);
+  const withinLimits =
+    estimatedTokens <= budget && countFor(through) <= maxSent;
+  if (withinLimits || through >= recentStart - 1) {
+    return {
+      send: apiMessages
+        .map((_, idx) => idx)
+        .filter((idx) => isSent(idx, through)),
+      fold: null,
+      estimatedTokens,
+    };
+  }
+
+  // Fold the oldest unsummarized messages, stopping before the recent ones
+  let foldThrough = through;
+  let total = estimatedTokens;
+  let count = countFor(through);
+  while (
+    foldThrough < recentStart - 1 &&
+    (total > budget * FOLD_TARGET_RATIO || count > maxSent * FOLD_TARGET_RATIO)
+  ) {
+    foldThrough++;
+    if (!pinned.has(foldThrough)) {
+      total -= tokens[foldThrough];
+      count--;
+    }
+  }
+  // Leave room for the summary itself to grow a little
+  total += 200;
+
+  return {
+    send: apiMessages
+      .map((_, idx) => idx)
+      .filter((idx) => isSent(idx, foldThrough)),
+    fold: { from: through + 1, through: foldThrough },
+    estimatedTokens: total,
+  };
+};
+
+// Plain-text transcript of the messages being folded, for the summarizer.
+// Pinned messages are included too: they are summarized now even though
+// they are still sent verbatim, so nothing is lost once they unpin.
+export const buildSummaryRequest = (conv, fold) => {
+  const folded = conv.messages.slice(fold.from, fold.through + 1);
+  const maxChars = Math.min(
+    SUMMARY_TURN_CHARS,
+    Math.floor(SUMMARY_REQUEST_CHARS / folded.length)
+  );
+  const turns = folded
+    .map((msg) => {
+      let text = msg.apiText || msg.text || "";
+      if (text.length > maxChars) {
+        text = text.slice(0, maxChars) + " […]";
+      }
+      const names = (msg.attachments || []).map((att) => att.name);
+      if (names.length) text += `\n[Attachments: ${names.join("; ")}]`;
+      return `${msg.role === "user" ? "User" : "Assistant"}: ${text}`;
+    })
+    .join("\n\n");
+
+  return (
+    `Update the running summary of this conversation.\n\n` +
+    `[Current summary]\n${conv.contextSummary?.text || "(none yet)"}\n\n` +
+    `[New turns to fold in]\n${turns}`
+  );
+};
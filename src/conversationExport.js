@@ -0,0 +1,351 @@
+// Conversation export (Markdown, lossless JSON, print-ready HTML report)
+// and import of the JSON format, so a chat can be handed to a teammate.
+
+import React from "react";
+import { SCENARIO_FIELDS } from "./scenarioFields";
+import { formatComparison } from "./scenarioCompare";
+import { isScenarioReport } from "./scenarioReport";
+import { cleanReferences, formatReferenceEntry } from "./references";
+import { isLoadProfile } from "./loadProfile";
+import {
+  cleanTranslations,
+  cleanTranslationView,
+  translationLocale,
+} from "./translation";
+import { downloadBlob } from "./download";
+import {
+  isChart,
+  isComparison,
+  isScenarioRun,
+  isSource,
+} from "../netlify/lib/messageShapes.js";
+import { I18nContext } from "./i18n";
+
+export const EXPORT_FORMAT = "ml-energy-conversation";
+// Bump when the JSON layout changes; importers reject newer versions
+export const EXPORT_VERSION = 1;
+
+// ----- Files -----
+
+export const downloadFile = (filename, content, type) =>
+  downloadBlob(new Blob([content], { type }), filename);
+
+// "Solar for Khulna?" → "solar-for-khulna-2026-10-19.md" (letters in any
+// script are kept)
+export const exportFilename = (title, ext) => {
+  const slug = String(title || "")
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 48)
+    .toLowerCase();
+  const date = new Date().toISOString().slice(0, 10);
+  return `${slug || "chat"}-${date}.${ext}`;
+};
+
+// ----- JSON (lossless) -----
+
+// Everything is kept (attachments, scenario inputs and results, charts,
+// sources, references, translations, the rolling summary, alternative
+// branches) except
+// flags that only matter mid-stream.
+export const toJsonExport = (conv) =>
+  JSON.stringify(
+    {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      conversation: {
+        ...conv,
+        messages: conv.messages.map((m) => {
+          const { streaming, ...rest } = m;
+          return streaming ? { ...rest, stopped: true } : rest;
+        }),
+      },
+    },
+    null,
+    2
+  );
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// Imported files come from other people: keep only attachments the UI can
+// show safely (no javascript: URLs) and drop payloads whose shape the
+// renderers would choke on.
+const cleanAttachment = (att) => {
+  if (!isObject(att) || typeof att.name !== "string") return null;
+  if (att.kind === "image") {
+    return /^data:image\/[\w.+-]+;base64,/.test(att.dataUrl || "")
+      ? att
+      : { ...att, dataUrl: undefined };
+  }
+  if (att.kind === "text") {
+    const clean = { ...att, content: String(att.content || "") };
+    if (!isLoadProfile(att.profile)) delete clean.profile;
+    return clean;
+  }
+  return null;
+};
+
+const cleanMessage = (msg, index) => {
+  if (!isObject(msg) || !["user", "assistant"].includes(msg.role)) {
+    return null;
+  }
+  const clean = {
+    ...msg,
+    id: typeof msg.id === "string" ? msg.id : `msg-import-${index}`,
+    text: String(msg.text ?? ""),
+  };
+  delete clean.streaming;
+  clean.attachments = Array.isArray(msg.attachments)
+    ? msg.attachments.map(cleanAttachment).filter(Boolean)
+    : [];
+  if (!Array.isArray(msg.charts) || !msg.charts.every(isChart)) {
+    delete clean.charts;
+  }
+  if (!isComparison(msg.comparison)) delete clean.comparison;
+  if (!isScenarioRun(msg.scenarioRun)) delete clean.scenarioRun;
+  if (!Array.isArray(msg.sources) || !msg.sources.every(isSource)) {
+    delete clean.sources;
+  }
+  if (!isScenarioReport(msg.report)) delete clean.report;
+  const references = cleanReferences(msg.references);
+  if (references) clean.references = references;
+  else delete clean.references;
+  const translations = cleanTranslations(msg.translations);
+  if (translations) clean.translations = translations;
+  else delete clean.translations;
+  clean.translationView = cleanTranslationView(
+    msg.translationView,
+    translations
+  );
+  if (
+    !Array.isArray(msg.toolSteps) ||
+    !msg.toolSteps.every((s) => isObject(s) && typeof s.name === "string")
+  ) {
+    delete clean.toolSteps;
+  }
+  return clean;
+};
+
+// Inactive branches get the same checks as the visible messages. A fork
+// must keep exactly one empty slot, for the tail currently on screen.
+const cleanBranches = (branches) => {
+  if (!isObject(branches)) return undefined;
+  const clean = {};
+  for (const [key, fork] of Object.entries(branches)) {
+    if (!Array.isArray(fork?.tails) || fork.tails[fork.active] !== null) {
+      continue;
+    }
+    const tails = fork.tails.map((tail) =>
+      Array.isArray(tail) ? tail.map(cleanMessage).filter(Boolean) : null
+    );
+    if (tails.filter((tail) => tail === null).length !== 1) continue;
+    clean[key] = { tails, active: fork.active };
+  }
+  return clean;
+};
+
+// Parse a JSON export. Returns { conversation } with a fresh id, or
+// { error } with a code for the UI (export.error.<code>).
+export const parseJsonExport = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { error: "notJson" };
+  }
+  if (!isObject(data) || data.format !== EXPORT_FORMAT) {
+    return { error: "wrongFormat" };
+  }
+  if (!(data.version <= EXPORT_VERSION)) return { error: "newerVersion" };
+
+  const conv = data.conversation;
+  const messages = Array.isArray(conv?.messages)
+    ? conv.messages.map(cleanMessage).filter(Boolean)
+    : [];
+  if (messages.length === 0) return { error: "empty" };
+
+  const now = new Date();
+  return {
+    conversation: {
+      ...conv,
+      id: `conv-${now.getTime()}-${Math.random().toString(16).slice(2)}`,
+      title: typeof conv.title === "string" ? conv.title : "",
+      createdAt: conv.createdAt || now.toISOString(),
+      updatedAt: now.toISOString(),
+      importedAt: now.toISOString(),
+      pinned: false,
+      messages,
+      branches: cleanBranches(conv.branches),
+    },
+  };
+};
+
+// ----- Markdown -----
+
+// Scenario panel values as [label, value] rows (blank optional fields
+// are left out)
+export const scenarioParameterRows = (inputs, { t }) => {
+  const rows = [];
+  if (inputs.location) rows.push([t("scenario.location"), inputs.location]);
+  for (const field of SCENARIO_FIELDS) {
+    const raw = String(inputs[field.key] ?? "").trim();
+    if (raw === "") continue;
+    rows.push([
+      t(`field.${field.key}`, { fallback: field.label }),
+      `${raw}${field.unit ? ` ${field.unit}` : ""}`,
+    ]);
+  }
+  return rows;
+};
+
+export const toMarkdown = (conv, i18n) => {
+  const { t, formatDate } = i18n;
+  const title = conv.title || t("sidebar.newChat");
+  const out = [
+    `# ${title}`,
+    "",
+    `*${t("export.exportedOn", {
+      date: formatDate(new Date(), { dateStyle: "long" }),
+    })}*`,
+  ];
+
+  for (const msg of conv.messages) {
+    out.push(
+      "",
+      "---",
+      "",
+      `## ${msg.role === "user" ? t("export.user") : t("export.assistant")}`,
+      "",
+      msg.text
+    );
+
+    if (msg.attachments?.length) {
+      out.push(
+        "",
+        `*${t("export.attachments")}: ${msg.attachments
+          .map((a) => a.name)
+          .join(", ")}*`
+      );
+    }
+
+    if (msg.scenarioRun?.inputs) {
+      out.push(
+        "",
+        `**${t("export.scenarioParameters")}**`,
+        "",
+        `| ${t("export.parameter")} | ${t("export.value")} |`,
+        "|---|---|",
+        ...scenarioParameterRows(msg.scenarioRun.inputs, i18n).map(
+          ([label, value]) => `| ${label} | ${value} |`
+        )
+      );
+    }
+
+    if (msg.comparison) {
+      out.push("", formatComparison(msg.comparison));
+    }
+
+    if (msg.sources?.length) {
+      out.push(
+        "",
+        `**${t("chat.sources", { count: msg.sources.length })}**`,
+        "",
+        ...msg.sources.map(
+          (s) =>
+            `* [${s.ref}] ${s.file} › ${s.section} (${t("chat.lines", {
+              from: s.lines[0],
+              to: s.lines[1],
+            })})`
+        )
+      );
+    }
+
+    if (msg.references) {
+      out.push(
+        "",
+        `**${t("reference.title", {
+          count: msg.references.entries.length,
+          dataset: msg.references.dataset.name || "",
+          version: msg.references.dataset.version ?? "",
+        })}**`,
+        "",
+        ...msg.references.entries.map((e) => `* ${formatReferenceEntry(e)}`)
+      );
+    }
+
+    for (const [code, translation] of Object.entries(msg.translations || {})) {
+      out.push(
+        "",
+        `**${t("translate.heading", {
+          language: translationLocale(code)?.label || code,
+        })}**`,
+        "",
+        translation.text
+      );
+    }
+  }
+
+  return out.join("\n") + "\n";
+};
+
+// ----- HTML report -----
+
+const REPORT_CSS = `
+body { font-family: "Noto Sans", "Noto Sans Bengali", "Noto Sans Devanagari", "Noto Sans Arabic", system-ui, sans-serif; color: #1a1f1a; max-width: 820px; margin: 32px auto; padding: 0 24px; line-height: 1.55; }
+h1 { margin-bottom: 4px; }
+.report-meta { color: #5b6b5b; font-size: 0.9rem; margin-bottom: 24px; }
+.report-message { border-top: 1px solid #d9e2d9; padding: 16px 0; break-inside: avoid-page; }
+.report-role { font-size: 0.8rem; font-weight: 700; text-transform: uppercase; letter-spacing: 0.08em; color: #4b7a1e; }
+.report-attachments { font-size: 0.85rem; color: #5b6b5b; }
+.report-attachments img { max-width: 240px; max-height: 180px; display: block; margin: 6px 0; border-radius: 6px; }
+table { border-collapse: collapse; margin: 10px 0; font-size: 0.9rem; }
+th, td { border: 1px solid #cfd8cf; padding: 4px 8px; text-align: start; }
+pre, code { background: #f2f5f2; border-radius: 4px; }
+pre { padding: 8px; overflow-x: auto; }
+blockquote { margin: 8px 0; padding-inline-start: 12px; border-inline-start: 3px solid #bef22d; color: #3d4a3d; }
+.scenario-chart { margin: 12px 0; break-inside: avoid; }
+.scenario-chart svg { max-width: 100%; height: auto; }
+.scenario-chart-actions { display: none; }
+.report-translation { margin-top: 12px; padding-inline-start: 12px; border-inline-start: 3px solid #d9e2d9; }
+.compare-baseline { margin-inline-start: 6px; font-size: 0.75rem; color: #5b6b5b; }
+@media print { body { margin: 0; max-width: none; } a { color: inherit; } }
+`;
+
+// Standalone HTML document rendered with the app's own components.
+// react-dom/server is loaded only when a report is actually exported.
+export const toHtmlReport = async (conv, i18n) => {
+  const [{ renderToStaticMarkup }, { default: ConversationReport }] =
+    await Promise.all([
+      import("react-dom/server"),
+      import("./ConversationReport"),
+    ]);
+
+  const body = renderToStaticMarkup(
+    React.createElement(
+      I18nContext.Provider,
+      { value: i18n },
+      React.createElement(ConversationReport, { conversation: conv })
+    )
+  );
+  const title = conv.title || i18n.t("sidebar.newChat");
+  const escapedTitle = title.replace(
+    /[&<>"]/g,
+    (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]
+  );
+
+  return `<!doctype html>
+<html lang="${i18n.locale}" dir="${i18n.dir}">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>${escapedTitle}</title>
+<style>${REPORT_CSS}</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+};
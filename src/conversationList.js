@@ -0,0 +1,84 @@
+// Sidebar helpers: grouping conversations by recency and full-text search
+// across every stored conversation.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Characters of context shown on each side of a search hit
+const SNIPPET_CONTEXT = 32;
+// Hits listed per conversation (the total is still counted)
+const MAX_HITS_PER_CONVERSATION = 3;
+
+export const lastActivity = (conv) =>
+  new Date(conv.updatedAt || conv.createdAt).getTime() || 0;
+
+// Pinned chats first, then Today / Last week / Older by last activity.
+// Empty groups are left out; ids double as i18n keys (sidebar.<id>).
+export const groupConversations = (conversations, now = Date.now()) => {
+  const startOfToday = new Date(now);
+  startOfToday.setHours(0, 0, 0, 0);
+  const weekAgo = startOfToday.getTime() - 6 * DAY_MS;
+
+  const groups = [
+    { id: "pinned", items: [] },
+    { id: "today", items: [] },
+    { id: "lastWeek", items: [] },
+    { id: "older", items: [] },
+  ];
+  const [pinned, today, lastWeek, older] = groups;
+
+  [...conversations]
+    .sort((a, b) => lastActivity(b) - lastActivity(a))
+    .forEach((conv) => {
+      const at = lastActivity(conv);
+      if (conv.pinned) pinned.items.push(conv);
+      else if (at >= startOfToday.getTime()) today.items.push(conv);
+      else if (at >= weekAgo) lastWeek.items.push(conv);
+      else older.items.push(conv);
+    });
+
+  return groups.filter((g) => g.items.length > 0);
+};
+
+const normalize = (text) => String(text || "").toLocaleLowerCase();
+
+// Split `text` around the first match so the UI can wrap it in <mark>
+const snippetAt = (text, index, length) => {
+  const start = Math.max(0, index - SNIPPET_CONTEXT);
+  const end = Math.min(text.length, index + length + SNIPPET_CONTEXT);
+  return {
+    before: (start > 0 ? "…" : "") + text.slice(start, index),
+    match: text.slice(index, index + length),
+    after: text.slice(index + length, end) + (end < text.length ? "…" : ""),
+  };
+};
+
+// Case-insensitive substring search over titles and message text.
+// Returns [{ conv, hits: [{ messageId, snippet }], count }],
+// most recently active first.
+export const searchConversations = (conversations, query) => {
+  const needle = normalize(query.trim());
+  if (!needle) return [];
+
+  const results = [];
+  for (const conv of conversations) {
+    const titleHit = normalize(conv.title).includes(needle);
+    const hits = [];
+    let count = 0;
+
+    for (const msg of conv.messages) {
+      const text = (msg.text || "").replace(/\s+/g, " ");
+      const index = normalize(text).indexOf(needle);
+      if (index === -1) continue;
+      count++;
+      if (hits.length < MAX_HITS_PER_CONVERSATION) {
+        hits.push({
+          messageId: msg.id,
+          snippet: snippetAt(text, index, needle.length),
+        });
+      }
+    }
+
+    if (titleHit || count > 0) results.push({ conv, hits, count });
+  }
+
+  return results.sort((a, b) => lastActivity(b.conv) - lastActivity(a.conv));
+};
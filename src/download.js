@@ -0,0 +1,11 @@
+// Save a Blob as a file through a temporary object URL (chart images,
+// conversation exports).
+
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
@@ -0,0 +1,53 @@
+// Glossary tooltips in rendered messages. The terms and the matcher are the
+// server's (netlify/lib/glossary.js), so a tooltip appears for exactly the
+// concepts the prompt would list. `remarkGlossary` wraps the first mention
+// of each concept in a message as <span data-glossary-id="…">, which
+// GlossaryTerm.jsx turns into the tooltip.
+
+import { glossaryMatches } from "../netlify/lib/glossary.js";
+
+export { glossaryEntry, GLOSSARY_DATASET } from "../netlify/lib/glossary.js";
+
+// No tooltips inside links or code
+const SKIP = new Set(["link", "linkReference", "code", "inlineCode"]);
+
+const termNode = (text, id) => ({
+  type: "glossaryTerm",
+  data: {
+    hName: "span",
+    hProperties: { className: ["glossary-term"], dataGlossaryId: id },
+  },
+  children: [{ type: "text", value: text }],
+});
+
+const splitText = (node, seen) => {
+  const parts = [];
+  let last = 0;
+  for (const { index, text, entry } of glossaryMatches(node.value)) {
+    if (seen.has(entry.id)) continue;
+    seen.add(entry.id);
+    if (index > last) {
+      parts.push({ type: "text", value: node.value.slice(last, index) });
+    }
+    parts.push(termNode(text, entry.id));
+    last = index + text.length;
+  }
+  if (!parts.length) return [node];
+  if (last < node.value.length) {
+    parts.push({ type: "text", value: node.value.slice(last) });
+  }
+  return parts;
+};
+
+export const remarkGlossary = () => (tree) => {
+  const seen = new Set();
+  const walk = (node) => {
+    if (!node.children || SKIP.has(node.type)) return;
+    node.children = node.children.flatMap((child) => {
+      if (child.type === "text") return splitText(child, seen);
+      walk(child);
+      return [child];
+    });
+  };
+  walk(tree);
+};
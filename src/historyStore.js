@@ -0,0 +1,256 @@
+// Chat history in IndexedDB: one record per conversation, with attachment
+// payloads (image pixels, document text) stored as separate blobs.
+// Until v1 the whole history was one JSON string in localStorage, which
+// ran into the ~5 MB quota once a few photos were attached.
+
+import { mapAllMessages } from "./branches";
+
+const DB_NAME = "ml-energy-assistant";
+
+// Schema migrations, applied in order from the database's current version.
+// To change the schema, append a step; never edit one that has shipped.
+const MIGRATIONS = [
+  // 1: conversations + attachment blobs keyed by [convId, attachmentId]
+  (db) => {
+    db.createObjectStore("conversations", { keyPath: "id" });
+    db.createObjectStore("attachments", {
+      keyPath: ["convId", "attachmentId"],
+    });
+    db.createObjectStore("meta", { keyPath: "key" });
+  },
+];
+const DB_VERSION = MIGRATIONS.length;
+
+// The pre-IndexedDB history, imported once and then removed
+export const LEGACY_STORAGE_KEY = "ml-chat-conversations-v1";
+const LEGACY_IMPORT_KEY = `import:${LEGACY_STORAGE_KEY}`;
+
+// Warn once usage passes this share of the browser's storage quota
+const NEAR_CAPACITY_RATIO = 0.8;
+
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const transactionDone = (tx) =>
+  new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+  });
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB is not available in this browser."));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        for (let v = event.oldVersion; v < DB_VERSION; v++) {
+          MIGRATIONS[v](request.result, request.transaction);
+        }
+      };
+      request.onblocked = () =>
+        console.warn("History database upgrade is waiting for other tabs");
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let a newer version of the app in another tab upgrade the schema
+        db.onversionchange = () => db.close();
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+    });
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+};
+
+const dataUrlToBlob = async (dataUrl) => (await fetch(dataUrl)).blob();
+
+const blobToDataUrl = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result || ""));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+
+// Conversation objects last written (by id) and attachment blobs already
+// stored, so a save only touches what changed since the previous one.
+const savedConversations = new Map();
+const storedAttachments = new Set();
+const attachmentKey = (convId, attachmentId) => `${convId}\n${attachmentId}`;
+
+// Split a conversation into its record (attachments without payloads) and
+// the blobs that still need writing. Inactive branches are stored the same
+// way as the visible messages.
+const prepareConversation = async (conv) => {
+  const blobs = [];
+  // An edited question shares its attachments with the original
+  const queued = new Set();
+  const record = await mapAllMessages(conv, async (msg) => {
+    if (!msg.attachments?.length) return msg;
+    const attachments = await Promise.all(
+      msg.attachments.map(async (att) => {
+        const { dataUrl, content, ...meta } = att;
+        const payload = att.kind === "image" ? dataUrl : content;
+        if (typeof payload !== "string" || !att.id) return att;
+
+        const key = attachmentKey(conv.id, att.id);
+        if (!storedAttachments.has(key) && !queued.has(key)) {
+          queued.add(key);
+          blobs.push({
+            convId: conv.id,
+            attachmentId: att.id,
+            blob:
+              att.kind === "image"
+                ? await dataUrlToBlob(payload)
+                : new Blob([payload], { type: att.mime || "text/plain" }),
+          });
+        }
+        return meta;
+      })
+    );
+    return { ...msg, attachments };
+  });
+  return { record, blobs };
+};
+
+// Put payloads back from their blobs (data URLs for images, text for docs)
+const hydrateConversation = (record, blobs) =>
+  mapAllMessages(record, async (msg) => {
+    if (!msg.attachments?.length) return msg;
+    const attachments = await Promise.all(
+      msg.attachments.map(async (att) => {
+        const blob = blobs.get(attachmentKey(record.id, att.id));
+        if (!blob) return att;
+        return att.kind === "image"
+          ? { ...att, dataUrl: await blobToDataUrl(blob) }
+          : { ...att, content: await blob.text() };
+      })
+    );
+    return { ...msg, attachments };
+  });
+
+const writeChanges = async (conversations) => {
+  const db = await openDb();
+  const ids = new Set(conversations.map((c) => c.id));
+  const changed = conversations.filter(
+    (c) => savedConversations.get(c.id) !== c
+  );
+  const removed = [...savedConversations.keys()].filter((id) => !ids.has(id));
+  if (changed.length === 0 && removed.length === 0) return;
+
+  // Blob conversion is async, so finish it before opening the transaction
+  // (IndexedDB commits a transaction as soon as it has nothing to do).
+  const prepared = await Promise.all(changed.map(prepareConversation));
+
+  const tx = db.transaction(["conversations", "attachments"], "readwrite");
+  const convStore = tx.objectStore("conversations");
+  const attStore = tx.objectStore("attachments");
+  prepared.forEach(({ record, blobs }) => {
+    convStore.put(record);
+    blobs.forEach((entry) => attStore.put(entry));
+  });
+  removed.forEach((id) => {
+    convStore.delete(id);
+    attStore.delete(IDBKeyRange.bound([id], [id, []]));
+  });
+  await transactionDone(tx);
+
+  changed.forEach((c) => savedConversations.set(c.id, c));
+  prepared.forEach(({ blobs }) =>
+    blobs.forEach((b) =>
+      storedAttachments.add(attachmentKey(b.convId, b.attachmentId))
+    )
+  );
+  removed.forEach((id) => {
+    savedConversations.delete(id);
+    for (const key of storedAttachments) {
+      if (key.startsWith(`${id}\n`)) storedAttachments.delete(key);
+    }
+  });
+};
+
+// Saves run one after another so two of them never race on the same record
+let saveQueue = Promise.resolve();
+
+// Persist the current list: writes new or changed conversations (by object
+// identity, since state updates are immutable) and deletes removed ones.
+export const saveConversations = (conversations) => {
+  const run = saveQueue.catch(() => {}).then(() => writeChanges(conversations));
+  saveQueue = run;
+  return run;
+};
+
+// One-time import of the localStorage history written by earlier versions
+const importLegacyHistory = async (db) => {
+  const meta = db.transaction("meta").objectStore("meta");
+  if (await promisify(meta.get(LEGACY_IMPORT_KEY))) return;
+
+  let legacy = [];
+  try {
+    legacy = JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEY) || "[]");
+  } catch (err) {
+    console.error("Could not read the old chat history:", err);
+  }
+  if (!Array.isArray(legacy)) legacy = [];
+
+  const valid = legacy.filter((c) => c?.id && Array.isArray(c.messages));
+  await saveConversations(valid);
+
+  const tx = db.transaction("meta", "readwrite");
+  tx.objectStore("meta").put({
+    key: LEGACY_IMPORT_KEY,
+    conversations: valid.length,
+    importedAt: new Date().toISOString(),
+  });
+  await transactionDone(tx);
+  localStorage.removeItem(LEGACY_STORAGE_KEY);
+};
+
+// All stored conversations with their attachments restored
+export const loadConversations = async () => {
+  const db = await openDb();
+  await importLegacyHistory(db);
+
+  const tx = db.transaction(["conversations", "attachments"]);
+  const [records, blobEntries] = await Promise.all([
+    promisify(tx.objectStore("conversations").getAll()),
+    promisify(tx.objectStore("attachments").getAll()),
+  ]);
+
+  const blobs = new Map(
+    blobEntries.map((e) => [attachmentKey(e.convId, e.attachmentId), e.blob])
+  );
+  const conversations = await Promise.all(
+    records.map((r) => hydrateConversation(r, blobs))
+  );
+
+  savedConversations.clear();
+  storedAttachments.clear();
+  conversations.forEach((c) => savedConversations.set(c.id, c));
+  blobs.forEach((_, key) => storedAttachments.add(key));
+  return conversations;
+};
+
+// { usage, quota, nearCapacity } in bytes, or null if the browser can't say
+export const checkStorageUsage = async () => {
+  if (typeof navigator === "undefined" || !navigator.storage?.estimate) {
+    return null;
+  }
+  const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+  return {
+    usage,
+    quota,
+    nearCapacity: quota > 0 && usage / quota >= NEAR_CAPACITY_RATIO,
+  };
+};
@@ -0,0 +1,110 @@
+// UI localisation: translation catalogs, text direction and locale-aware
+// number / date formatting. Replies from the model are multilingual on
+// their own; this only covers the app's own strings.
+
+import { createContext, useContext } from "react";
+import en from "./locales/en";
+import bn from "./locales/bn";
+import hi from "./locales/hi";
+import ar from "./locales/ar";
+
+// `name` is the English name, used in prompts (e.g. translation targets)
+export const LOCALES = [
+  { code: "en", label: "English", name: "English", dir: "ltr" },
+  { code: "bn", label: "বাংলা", name: "Bangla (Bengali)", dir: "ltr" },
+  { code: "hi", label: "हिन्दी", name: "Hindi", dir: "ltr" },
+  { code: "ar", label: "العربية", name: "Arabic", dir: "rtl" },
+];
+
+const CATALOGS = { en, bn, hi, ar };
+
+export const LOCALE_STORAGE_KEY = "ml-ui-locale";
+
+// Saved choice, else the browser language if we have a catalog for it
+export const loadInitialLocale = () => {
+  try {
+    const saved = localStorage.getItem(LOCALE_STORAGE_KEY);
+    if (saved && CATALOGS[saved]) return saved;
+  } catch {
+    // storage unavailable (private mode etc.)
+  }
+  const nav =
+    typeof navigator !== "undefined" ? navigator.language.split("-")[0] : "";
+  return CATALOGS[nav] ? nav : "en";
+};
+
+const interpolate = (text, vars) =>
+  vars
+    ? text.replace(/\{(\w+)\}/g, (m, name) =>
+        vars[name] !== undefined ? String(vars[name]) : m
+      )
+    : text;
+
+// Digits and decimal sign the locale writes numbers with (e.g. ০-৯ for bn)
+const numberSymbols = (locale) => {
+  const plain = new Intl.NumberFormat(locale, { useGrouping: false });
+  const digits = Array.from({ length: 10 }, (_, d) => plain.format(d));
+  const decimal =
+    new Intl.NumberFormat(locale)
+      .formatToParts(1.5)
+      .find((p) => p.type === "decimal")?.value || ".";
+  return { digits, decimal };
+};
+
+// Build the helpers for one locale. `t(key, vars)` falls back to English,
+// then to `vars.fallback`, then to the key itself.
+export const makeI18n = (locale) => {
+  const catalog = CATALOGS[locale] || en;
+  const meta = LOCALES.find((l) => l.code === locale) || LOCALES[0];
+  const { digits, decimal } = numberSymbols(locale);
+
+  const t = (key, vars) => {
+    const text = catalog[key] ?? en[key] ?? vars?.fallback ?? key;
+    return interpolate(text, vars);
+  };
+
+  const formatNumber = (value, options) =>
+    Number.isFinite(Number(value))
+      ? Number(value).toLocaleString(locale, {
+          maximumFractionDigits: 1,
+          ...options,
+        })
+      : String(value ?? "");
+
+  const formatDate = (value, options) =>
+    new Date(value).toLocaleDateString(locale, options);
+
+  // For editable inputs: swap digits only (no grouping) so that what the
+  // user types round-trips exactly through fromLocaleDigits(). Only a "."
+  // between digits is a decimal point, so "load.csv" keeps its dot.
+  const toLocaleDigits = (text) =>
+    String(text ?? "")
+      .replace(/(\d)\.(?=\d)/g, `$1${decimal}`)
+      .replace(/[0-9]/g, (d) => digits[d]);
+
+  const fromLocaleDigits = (text) => {
+    let out = String(text ?? "");
+    digits.forEach((d, i) => {
+      out = out.split(d).join(String(i));
+    });
+    // Arabic-Indic digits typed on another locale's keyboard
+    out = out.replace(/[٠-٩]/g, (d) => d.charCodeAt(0) - 0x0660);
+    out = out.replace(/[০-৯]/g, (d) => d.charCodeAt(0) - 0x09e6);
+    out = out.replace(/[०-९]/g, (d) => d.charCodeAt(0) - 0x0966);
+    return out.split(decimal).join(".").replace(/٫/g, ".");
+  };
+
+  return {
+    locale,
+    dir: meta.dir,
+    t,
+    formatNumber,
+    formatDate,
+    toLocaleDigits,
+    fromLocaleDigits,
+  };
+};
+
+export const I18nContext = createContext(makeI18n("en"));
+
+export const useI18n = () => useContext(I18nContext);
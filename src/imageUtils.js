@@ -0,0 +1,72 @@
+// Client-side image downscaling so photos of meters / bills / inverters
+// stay small enough to upload to the model and keep in chat history.
+
+const MAX_IMAGE_DIMENSION = 1024;
+const JPEG_QUALITY = 0.82;
+
+// The formats the model API (and netlify/lib/requestGuards.js) accept.
+// Anything else is re-encoded as JPEG, never sent as-is.
+const SUPPORTED_IMAGE_TYPES = new Set([
+  "image/png",
+  "image/jpeg",
+  "image/gif",
+  "image/webp",
+]);
+
+const readAsDataUrl = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result || ""));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+
+// Resize to fit MAX_IMAGE_DIMENSION and re-encode as JPEG.
+// Returns { dataUrl, width, height, mime }, or { error: "image_unsupported" }
+// for files the browser cannot decode into a bitmap (e.g. SVG, or HEIC
+// outside Safari): those could not be sent to the model.
+export const downscaleImage = async (file) => {
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file);
+  } catch (err) {
+    console.warn("Could not decode image:", err);
+    return { error: "image_unsupported" };
+  }
+
+  const scale = Math.min(
+    1,
+    MAX_IMAGE_DIMENSION / Math.max(bitmap.width, bitmap.height)
+  );
+  const width = Math.round(bitmap.width * scale);
+  const height = Math.round(bitmap.height * scale);
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d");
+  // JPEG has no alpha: flatten transparent PNGs onto white
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, width, height);
+  ctx.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close?.();
+
+  const dataUrl = canvas.toDataURL("image/jpeg", JPEG_QUALITY);
+
+  // Tiny already-compressed files can grow when re-encoded
+  if (
+    scale === 1 &&
+    SUPPORTED_IMAGE_TYPES.has(file.type) &&
+    file.size &&
+    dataUrl.length * 0.75 > file.size
+  ) {
+    return {
+      dataUrl: await readAsDataUrl(file),
+      width,
+      height,
+      mime: file.type,
+    };
+  }
+
+  return { dataUrl, width, height, mime: "image/jpeg" };
+};
@@ -0,0 +1,349 @@
+// CSV time series attached to a message (load or generation): column and
+// unit detection, resampling to an hourly MW series, statistics for the
+// message card and the prompt, and the series the scenario engine can use
+// instead of its generic demand shape.
+//
+// Only whole days are kept (from the first midnight when there are
+// timestamps), so a short profile repeats cleanly over the simulated year.
+
+const HOUR_MS = 3600 * 1000;
+const HOURS_PER_DAY = 24;
+// A leap year of hourly values; longer files are cut
+export const MAX_PROFILE_HOURS = 8784;
+// Finer intervals are averaged into hours; coarser ones (daily totals…)
+// can't give an hourly shape
+const MAX_INTERVAL_MINUTES = 60;
+const MIN_ROWS = 24;
+
+const TIME_HEADER =
+  /time|date|timestamp|hour|period|interval|সময়|তারিখ|ঘণ্টা|समय|दिनांक|तारीख|घंटा|وقت|تاريخ|ساعة/i;
+const VALUE_HEADER =
+  /load|demand|consumption|usage|power|energy|generation|output|production|[kmg]?wh?\b|লোড|চাহিদা|ব্যবহার|উৎপাদন|लोड|मांग|खपत|उत्पादन|حمل|طلب|استهلاك|إنتاج|توليد/i;
+const GENERATION_HEADER =
+  /generation|generated|production|produced|output|yield|solar|pv|wind|উৎপাদন|সৌর|बिजली उत्पादन|उत्पादन|सौर|إنتاج|توليد|شمسي/i;
+
+// Factor to MW (power) or MWh (energy) for unit tokens found in a header
+const UNITS = {
+  w: { factor: 1e-6, energy: false, label: "W" },
+  kw: { factor: 1e-3, energy: false, label: "kW" },
+  mw: { factor: 1, energy: false, label: "MW" },
+  gw: { factor: 1e3, energy: false, label: "GW" },
+  wh: { factor: 1e-6, energy: true, label: "Wh" },
+  kwh: { factor: 1e-3, energy: true, label: "kWh" },
+  mwh: { factor: 1, energy: true, label: "MWh" },
+  gwh: { factor: 1e3, energy: true, label: "GWh" },
+};
+// Meter exports are most often in kW
+const ASSUMED_UNIT = "kw";
+
+// ----- CSV -----
+
+const detectDelimiter = (line) => {
+  const counts = [",", ";", "\t"].map((d) => [d, line.split(d).length]);
+  return counts.reduce((best, c) => (c[1] > best[1] ? c : best))[0];
+};
+
+// Minimal RFC 4180 line splitter (quoted fields, "" escapes)
+const splitLine = (line, delimiter) => {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === delimiter) {
+      fields.push(field.trim());
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+};
+
+// "1,234.5" or, in semicolon files, "1234,5"
+const parseNumber = (raw, delimiter) => {
+  if (!raw) return NaN;
+  const text =
+    delimiter !== "," && /^-?\d+,\d+$/.test(raw)
+      ? raw.replace(",", ".")
+      : raw.replace(/,/g, "");
+  return /^-?\d*\.?\d+(e-?\d+)?$/i.test(text) ? Number(text) : NaN;
+};
+
+// ----- Timestamps -----
+
+const ISO_TIME =
+  /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?)?/;
+const DMY_TIME =
+  /^(\d{1,2})[/.](\d{1,2})[/.](\d{4})(?:[ T,]+(\d{1,2}):(\d{2})(?::(\d{2}))?)?/;
+
+// Wall-clock times as UTC milliseconds (time zones are ignored: a profile
+// is read as local time). `dayFirst` settles 03/04/2025.
+const parseTimestamp = (raw, dayFirst) => {
+  let m = raw.match(ISO_TIME);
+  let year, month, day;
+  if (m) {
+    [year, month, day] = [m[1], m[2], m[3]];
+  } else {
+    m = raw.match(DMY_TIME);
+    if (!m) return NaN;
+    [day, month, year] = dayFirst ? [m[1], m[2], m[3]] : [m[2], m[1], m[3]];
+  }
+  const [hour = 0, minute = 0, second = 0] = [m[4], m[5], m[6]].map((v) =>
+    Number(v || 0)
+  );
+  if (Number(month) < 1 || Number(month) > 12 || Number(day) > 31) return NaN;
+  return Date.UTC(year, month - 1, day, hour, minute, second);
+};
+
+// Day-first unless some date only makes sense month-first (04/13/2025)
+const guessDayFirst = (values) =>
+  !values.some((v) => {
+    const m = v.match(DMY_TIME);
+    return m && Number(m[2]) > 12;
+  });
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+const unitOf = (header) => {
+  const m = header.toLowerCase().match(/(?:^|[^a-z])([kmg]?wh?)(?:$|[^a-z])/);
+  return m ? m[1] : null;
+};
+
+// Four significant digits keeps a year of values small in storage
+const compact = (value) => Number(value.toPrecision(4));
+
+const formatHour = (ms) =>
+  new Date(ms).toISOString().slice(0, 13).replace("T", " ") + ":00";
+
+// Parse `text` as a time series. Returns { profile } or { error } with a
+// code: "noRows", "noValues", "badTimes", "coarse" or "tooShort".
+export const detectLoadProfile = (text) => {
+  const lines = String(text || "")
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .filter((line) => line.trim());
+  if (lines.length < 2) return { error: "noRows" };
+
+  const delimiter = detectDelimiter(lines[0]);
+  let rows = lines.map((line) => splitLine(line, delimiter));
+  const firstIsHeader = rows[0].every((cell) =>
+    Number.isNaN(parseNumber(cell, delimiter))
+  );
+  const headers = firstIsHeader
+    ? rows[0]
+    : rows[0].map((_, i) => `column ${i + 1}`);
+  if (firstIsHeader) rows = rows.slice(1);
+  if (rows.length < MIN_ROWS) return { error: "tooShort" };
+
+  // Columns where (almost) every cell is a number
+  const numericShare = headers.map(
+    (_, col) =>
+      rows.filter((r) => !Number.isNaN(parseNumber(r[col], delimiter))).length /
+      rows.length
+  );
+  const timeValues = (col) => rows.map((r) => r[col] || "");
+  const timeCol = headers.findIndex(
+    (h, col) =>
+      timeValues(col).every((v) => ISO_TIME.test(v) || DMY_TIME.test(v)) ||
+      (TIME_HEADER.test(h) && numericShare[col] < 0.95)
+  );
+  // Hour-of-year index columns ("hour", 0…8759) count as time too
+  const hourIndexCol =
+    timeCol === -1
+      ? headers.findIndex(
+          (h, col) =>
+            TIME_HEADER.test(h) &&
+            !unitOf(h) &&
+            rows.every((r) => /^\d+$/.test(r[col] || ""))
+        )
+      : -1;
+
+  const candidates = headers
+    .map((h, col) => ({ h, col }))
+    .filter(
+      ({ col }) =>
+        col !== timeCol && col !== hourIndexCol && numericShare[col] >= 0.95
+    );
+  if (!candidates.length) return { error: "noValues" };
+  const valueCol = (
+    candidates.find(({ h }) => VALUE_HEADER.test(h)) || candidates[0]
+  ).col;
+  const header = headers[valueCol];
+
+  // Times in hours from the start
+  let times;
+  let intervalMinutes = MAX_INTERVAL_MINUTES;
+  let intervalAssumed = false;
+  let startMs = null;
+  if (timeCol !== -1) {
+    const raw = timeValues(timeCol);
+    const dayFirst = guessDayFirst(raw);
+    const ms = raw.map((v) => parseTimestamp(v, dayFirst));
+    if (ms.some(Number.isNaN)) return { error: "badTimes" };
+    const steps = ms.slice(1).map((t, i) => t - ms[i]);
+    if (steps.some((s) => s <= 0)) return { error: "badTimes" };
+    intervalMinutes = median(steps) / 60000;
+    // Hourly slots start on the hour of the first reading
+    startMs = ms[0] - (ms[0] % HOUR_MS);
+    times = ms.map((t) => (t - startMs) / HOUR_MS);
+  } else if (hourIndexCol !== -1) {
+    times = rows.map(
+      (r) => Number(r[hourIndexCol]) - Number(rows[0][hourIndexCol])
+    );
+    intervalMinutes = 60 * median(times.slice(1).map((t, i) => t - times[i]));
+  } else {
+    intervalAssumed = true;
+    times = rows.map((_, i) => i);
+  }
+  if (intervalMinutes > MAX_INTERVAL_MINUTES) return { error: "coarse" };
+
+  const unitKey = unitOf(header) || ASSUMED_UNIT;
+  const unit = UNITS[unitKey];
+  const intervalHours = intervalMinutes / 60;
+
+  // Hourly buckets: mean power, or energy summed over the hour
+  const sums = [];
+  const counts = [];
+  rows.forEach((r, i) => {
+    const value = parseNumber(r[valueCol], delimiter);
+    if (Number.isNaN(value)) return;
+    const slot = Math.floor(times[i] + 1e-9);
+    sums[slot] = (sums[slot] || 0) + value * unit.factor;
+    counts[slot] = (counts[slot] || 0) + 1;
+  });
+  let gapHours = 0;
+  let last = 0;
+  const hourly = Array.from({ length: sums.length }, (_, h) => {
+    if (!counts[h]) {
+      gapHours++;
+      return last;
+    }
+    // Energy readings: mean MWh per reading ÷ interval = average MW
+    last = unit.energy
+      ? (sums[h] / counts[h]) * (1 / intervalHours)
+      : sums[h] / counts[h];
+    return last;
+  });
+
+  // Whole days from the first midnight
+  const skip =
+    startMs === null
+      ? 0
+      : (HOURS_PER_DAY - new Date(startMs).getUTCHours()) % HOURS_PER_DAY;
+  const days = Math.floor(
+    Math.min(hourly.length - skip, MAX_PROFILE_HOURS) / HOURS_PER_DAY
+  );
+  if (days < 1) return { error: "tooShort" };
+  const hourlyMW = hourly
+    .slice(skip, skip + days * HOURS_PER_DAY)
+    .map((v) => compact(Math.max(0, v)));
+  const firstMs = startMs === null ? null : startMs + skip * HOUR_MS;
+
+  let peak = 0;
+  hourlyMW.forEach((v, h) => {
+    if (v > hourlyMW[peak]) peak = h;
+  });
+  const energyMWh = hourlyMW.reduce((a, b) => a + b, 0);
+  const meanMW = energyMWh / hourlyMW.length;
+  const averageDay = Array.from({ length: HOURS_PER_DAY }, (_, h) => {
+    let sum = 0;
+    for (let d = 0; d < days; d++) sum += hourlyMW[d * HOURS_PER_DAY + h];
+    return compact(sum / days);
+  });
+  const kind = GENERATION_HEADER.test(header) ? "generation" : "load";
+
+  return {
+    profile: {
+      kind,
+      timeColumn:
+        timeCol !== -1
+          ? headers[timeCol]
+          : hourIndexCol !== -1
+            ? headers[hourIndexCol]
+            : null,
+      valueColumn: header,
+      unit: unit.label,
+      unitAssumed: !unitOf(header),
+      intervalMinutes: compact(intervalMinutes),
+      intervalAssumed,
+      start: firstMs === null ? null : formatHour(firstMs),
+      end:
+        firstMs === null
+          ? null
+          : formatHour(firstMs + (hourlyMW.length - 1) * HOUR_MS),
+      days,
+      gapHours,
+      truncated: hourly.length - skip > MAX_PROFILE_HOURS,
+      stats: {
+        peakMW: hourlyMW[peak],
+        peakAt: firstMs === null ? null : formatHour(firstMs + peak * HOUR_MS),
+        peakHour: peak,
+        minMW: Math.min(...hourlyMW),
+        meanMW: compact(meanMW),
+        energyMWh: compact(energyMWh),
+        loadFactorPct: hourlyMW[peak]
+          ? compact((meanMW / hourlyMW[peak]) * 100)
+          : 0,
+      },
+      averageDay,
+      hourlyMW,
+    },
+  };
+};
+
+export const isLoadProfile = (profile) =>
+  profile !== null &&
+  typeof profile === "object" &&
+  ["load", "generation"].includes(profile.kind) &&
+  Array.isArray(profile.hourlyMW) &&
+  profile.hourlyMW.length >= HOURS_PER_DAY &&
+  profile.hourlyMW.every(Number.isFinite) &&
+  Array.isArray(profile.averageDay) &&
+  typeof profile.stats === "object";
+
+// kW for small (building-level) profiles, MW otherwise
+export const profileDisplayUnit = (profile) =>
+  profile.stats.peakMW < 1
+    ? { unit: "kW", scale: 1000 }
+    : { unit: "MW", scale: 1 };
+
+// The scenario panel's reference to a load profile, carried in the
+// scenario values (and so in saved scenarios and runs)
+export const toScenarioProfile = (attachment) => ({
+  attachmentId: attachment.id,
+  name: attachment.name,
+  days: attachment.profile.days,
+  energyMWh: attachment.profile.stats.energyMWh,
+  hourlyMW: attachment.profile.hourlyMW,
+});
+
+// One line for the model prompt (English, like the rest of the prompt)
+export const formatProfileSummary = (name, profile) => {
+  const s = profile.stats;
+  const period = profile.start
+    ? `${profile.start} to ${profile.end}`
+    : `${profile.days} day(s)`;
+  return (
+    `${profile.kind === "load" ? "Load" : "Generation"} profile ${name}: ` +
+    `column "${profile.valueColumn}" in ${profile.unit}${profile.unitAssumed ? " (unit assumed)" : ""}, ` +
+    `${profile.intervalMinutes}-minute readings resampled to hourly, ${period}; ` +
+    `peak ${s.peakMW} MW${s.peakAt ? ` at ${s.peakAt}` : ""}, mean ${s.meanMW} MW, ` +
+    `minimum ${s.minMW} MW, energy ${s.energyMWh} MWh, load factor ${s.loadFactorPct}%`
+  );
+};
@@ -0,0 +1,329 @@
+// Arabic UI strings (right-to-left; missing keys fall back to English)
+
+const ar = {
+  "app.name": "مساعد الطاقة متعدد اللغات",
+  "app.subtitle":
+    "اسأل بأي لغة. أرفق الصور والمستندات. استخدم محاكاة السيناريو لتحليل سريع لما يحدث لو.",
+  "app.backToPortal": "العودة إلى البوابة",
+  "app.language": "لغة الواجهة",
+
+  "sidebar.newChat": "محادثة جديدة",
+  "sidebar.search": "ابحث في المحادثات…",
+  "sidebar.results": "النتائج ({count})",
+  "sidebar.noResults": "لا توجد محادثات تطابق بحثك.",
+  "sidebar.pinned": "المثبتة",
+  "sidebar.today": "اليوم",
+  "sidebar.lastWeek": "الأسبوع الماضي",
+  "sidebar.older": "أقدم",
+  "sidebar.pin": "تثبيت",
+  "sidebar.unpin": "إلغاء التثبيت",
+  "sidebar.rename": "إعادة تسمية",
+  "sidebar.delete": "حذف",
+  "sidebar.deleted": "تم حذف “{title}”",
+  "sidebar.undo": "تراجع",
+
+  "welcome.text":
+    "## ⚡ مرحبًا بك في مساعد الطاقة متعدد اللغات.\n\n" +
+    "اسأل عن أي شيء يتعلق بالطاقة (الشمسية، الرياح، السيارات الكهربائية، الشبكة، السياسات، إلخ) بالعربية أو الإنجليزية أو أي لغة. \n\n" +
+    "> يمكنك أيضًا إرفاق صور / مستندات، أو استخدام لوحة **محاكاة السيناريو** على اليسار.",
+
+  "chat.you": "أنت",
+  "chat.assistant": "AI",
+  "chat.placeholder":
+    "اسأل أي شيء عن الطاقة… (Enter للإرسال، Shift+Enter لسطر جديد)",
+  "chat.attach": "إرفاق صور / ملفات نصية",
+  "chat.voiceInput": "الإدخال الصوتي ({language})",
+  "chat.voiceLanguage": "لغة الإدخال الصوتي",
+  "chat.dictationOn": "الإملاء المتواصل مفعّل (انقر لإيقافه)",
+  "chat.dictationOff": "الإملاء المتواصل متوقف (انقر لتفعيله)",
+  "chat.send": "إرسال",
+  "chat.stop": "إيقاف التوليد",
+  "chat.stopped": "تم الإيقاف",
+  "chat.sources": "المصادر ({count})",
+  "chat.lines": "الأسطر {from}–{to}",
+  "chat.readAloud": "قراءة بصوت عالٍ",
+  "chat.stopReading": "إيقاف القراءة",
+  "chat.copy": "نسخ",
+  "chat.copied": "تم النسخ",
+  "chat.edit": "تعديل وإعادة الإرسال",
+  "chat.cancelEdit": "إلغاء",
+  "chat.saveAndSend": "حفظ وإرسال",
+  "chat.regenerate": "إعادة إنشاء الرد",
+  "chat.branch": "{index}/{count}",
+  "chat.previousBranch": "النسخة السابقة",
+  "chat.nextBranch": "النسخة التالية",
+  "chat.generatedBy":
+    'قالب التعليمات "{template}" الإصدار {version} · {provider} / {model}',
+  "chat.analyseAttachments": "يرجى تحليل الملفات / الصور المرفقة.",
+  "chat.noResponse": "تعذّر عليّ إنشاء رد.",
+  "chat.error": "حدث خطأ أثناء التواصل مع النموذج.",
+  "chat.requestFailed": "فشل الطلب (الحالة {status})",
+  "chat.fileError": "حدثت مشكلة أثناء قراءة أحد الملفات.",
+  "chat.imageUnsupported":
+    "تعذّرت قراءة {names}. أرفق الصور بصيغة PNG أو JPEG أو GIF أو WebP.",
+  "chat.removeAttachment": "إزالة",
+  "chat.footer": "مساعد الطاقة متعدد اللغات",
+
+  "context.summarized": "تم تلخيص السياق السابق ({count} رسالة)",
+
+  "apiError.rate_limited":
+    "طلبات كثيرة جدًا. يرجى الانتظار {retryAfter} ثانية ثم المحاولة مرة أخرى.",
+  "apiError.payload_too_large":
+    "هذا الطلب كبير جدًا (الحد {limitKB} كيلوبايت). أزل بعض المرفقات أو ابدأ محادثة جديدة.",
+  "apiError.too_many_messages":
+    "هذه المحادثة أطول من أن تُرسل (الحد الأقصى {limit} رسالة). ابدأ محادثة جديدة للمتابعة.",
+  "apiError.conversation_too_long":
+    "تحتوي هذه المحادثة على نص كثير جدًا (الحد {limit} حرف). ابدأ محادثة جديدة للمتابعة.",
+  "apiError.message_too_long":
+    "إحدى الرسائل طويلة جدًا (الحد {limit} حرف). اختصرها أو أرفقها كمستند.",
+  "apiError.too_many_images":
+    "صور كثيرة جدًا في هذه المحادثة (الحد {limit}). ابدأ محادثة جديدة لإرسال المزيد.",
+  "apiError.image_too_large": "إحدى الصور أكبر من أن تُرسل. جرّب صورة أصغر.",
+  "apiError.origin_not_allowed":
+    "هذا الموقع غير مسموح له باستخدام واجهة المساعد.",
+  "apiError.invalid_request": "تم رفض الطلب: {error}",
+  "apiError.invalid_structured_reply":
+    "كان تقرير السيناريو من النموذج غير مكتمل حتى بعد إعادة المحاولة. يُرجى تشغيل السيناريو مرة أخرى.",
+  "apiError.share_not_found":
+    "هذا الرابط المشترك غير موجود. تحقّق من نسخه بالكامل.",
+  "apiError.invalid_share": "لا يمكن عرض هذه المحادثة المشتركة.",
+  "apiError.share_unavailable":
+    "الروابط المشتركة غير متاحة حاليًا. يُرجى المحاولة لاحقًا.",
+
+  "export.export": "تصدير",
+  "export.markdown": "Markdown (.md)",
+  "export.json": "JSON كامل (.json)",
+  "export.html": "تقرير قابل للطباعة (.html)",
+  "export.import": "استيراد محادثة",
+  "export.failed": "تعذّر تصدير المحادثة.",
+  "export.exportedOn": "تم التصدير في {date}",
+  "export.user": "أنت",
+  "export.assistant": "المساعد",
+  "export.attachments": "المرفقات",
+  "export.scenarioParameters": "معلمات السيناريو",
+  "export.parameter": "المعلمة",
+  "export.value": "القيمة",
+  "export.error.notJson": "هذا الملف ليس JSON صالحًا.",
+  "export.error.wrongFormat": "هذا الملف ليس محادثة مصدّرة من هذا التطبيق.",
+  "export.error.newerVersion":
+    "تم تصدير هذه المحادثة بإصدار أحدث من التطبيق. حدّث التطبيق وحاول مرة أخرى.",
+  "export.error.empty": "لا يحتوي هذا التصدير على أي رسائل.",
+
+  "share.createLink": "مشاركة رابط للقراءة فقط",
+  "share.creating": "جارٍ إنشاء الرابط…",
+  "share.linkCopied": "تم نسخ الرابط:",
+  "share.linkReady": "شارك هذا الرابط:",
+  "share.readOnly": "محادثة مشتركة · للقراءة فقط",
+  "share.sharedOn": "تمت المشاركة في {date}",
+  "share.loading": "جارٍ تحميل المحادثة المشتركة…",
+  "share.fork": "نسخ إلى محادثاتي",
+  "share.backToChats": "العودة إلى محادثاتي",
+
+  "storage.nearCapacity":
+    "مساحة تخزين المتصفح ممتلئة تقريبًا (تم استخدام {used} من {quota} ميغابايت). احذف المحادثات القديمة لمواصلة حفظ السجل.",
+  "storage.saveFailed":
+    "تعذّر حفظ سجل المحادثات. قد تكون مساحة تخزين المتصفح ممتلئة؛ احذف بعض المحادثات القديمة وحاول مرة أخرى.",
+  "storage.unavailable":
+    "لا يستطيع هذا المتصفح تخزين سجل المحادثات، لذا ستُفقد المحادثات عند إعادة تحميل الصفحة.",
+
+  "voice.unsupported":
+    "التعرّف على الكلام غير مدعوم في هذا المتصفح. جرّب Chrome أو Edge.",
+  "voice.tryingFallback":
+    "{language} ({code}) غير متاحة هنا، جارٍ تجربة {fallback}…",
+  "voice.languageUnsupported":
+    "لا يستطيع هذا المتصفح التعرّف على {language}. جرّب Chrome أو Edge، أو اختر لغة أخرى.",
+  "voice.blocked": "الوصول إلى الميكروفون محظور لهذا الموقع.",
+  "voice.noMicrophone": "لم يتم العثور على ميكروفون.",
+  "voice.network": "تعذّر الوصول إلى خدمة الكلام.",
+  "voice.noSpeech": "لم أفهم ذلك — حاول مرة أخرى.",
+  "voice.dismiss": "إغلاق",
+
+  "speech.resume": "استئناف",
+  "speech.pause": "إيقاف مؤقت",
+  "speech.stop": "إيقاف",
+  "speech.speed": "السرعة",
+  "speech.voiceMissing":
+    "لا يوجد صوت مثبّت للغة {language}، يتم استخدام صوت المتصفح الافتراضي",
+
+  "scenario.title": "محاكاة السيناريو",
+  "scenario.subtitle":
+    "تحليل ماذا لو للطاقة الشمسية والرياح والسيارات الكهربائية والمضخات الحرارية والتخزين. تظهر النتائج في المحادثة.",
+  "scenario.custom": "سيناريو مخصص",
+  "scenario.location": "الموقع",
+  "scenario.locationPlaceholder": "مثال: الإسكندرية، مصر",
+  "scenario.demandProfile": "ملف الطلب",
+  "scenario.genericDemand": "افتراضات عامة",
+  "scenario.run": "تشغيل السيناريو",
+  "scenario.running": "جارٍ التشغيل…",
+  "scenario.namePlaceholder": "سمِّ هذا السيناريو…",
+  "scenario.save": "حفظ",
+  "scenario.load": "تحميل في اللوحة",
+  "scenario.delete": "حذف",
+  "scenario.defaultName": "سيناريو {n}",
+  "scenario.compareSelected": "مقارنة المحدد ({count})",
+  "scenario.tip":
+    "نصيحة: يمكنك متابعة الأسئلة في المحادثة (مثلًا: “قارن هذا بـ 30 ميغاواط شمسية” أو “اشرح بالإنجليزية”).",
+  "scenario.runSummary": "محاكاة سيناريو الطاقة: {summary}",
+  "scenario.compareRequest": "مقارنة السيناريوهات: {names}",
+  "scenario.vs": " مقابل ",
+
+  "summary.solar": "شمسية",
+  "summary.wind": "رياح",
+  "summary.ev": "سيارات كهربائية",
+  "summary.heatPump": "مضخات حرارية",
+  "summary.storage": "تخزين",
+  "summary.demand": "الطلب",
+
+  "field.solar": "الطاقة الشمسية",
+  "field.wind": "طاقة الرياح",
+  "field.ev": "انتشار السيارات الكهربائية",
+  "field.heatPump": "انتشار المضخات الحرارية",
+  "field.storage": "سعة التخزين",
+  "field.storagePower": "قدرة التخزين",
+  "field.demand": "الطلب الأساسي",
+  "field.importLimit": "حد الاستيراد من الشبكة",
+  "field.exportLimit": "حد التصدير إلى الشبكة",
+  "field.latitude": "خط العرض",
+  "field.year": "السنة",
+
+  "hint.storagePower": "فارغ = السعة ÷ ساعتين",
+  "hint.importLimit": "فارغ = بلا حد",
+  "hint.exportLimit": "فارغ = بلا حد",
+
+  "preset.rural-microgrid": "شبكة مصغّرة لقرية ريفية",
+  "preset.city-district-2030": "حي حضري 2030",
+  "preset.industrial-park": "منطقة صناعية",
+  "preset.island-grid": "شبكة جزيرة (بلا استيراد)",
+
+  "error.required": "مطلوب",
+  "error.notNumber": "يجب أن يكون رقمًا",
+  "error.notInteger": "يجب أن يكون عددًا صحيحًا",
+  "error.range": "يجب أن يكون بين {min} و{max} {unit}",
+  "error.needsStorage": "يتطلب سعة تخزين أكبر من 0",
+  "error.durationTooShort": "مدة أقل من 15 دقيقة غير واقعية",
+
+  "metrics.selfSufficiency": "الاكتفاء الذاتي",
+  "metrics.curtailment": "الفاقد المقلّص",
+  "metrics.peakNetDemand": "ذروة صافي الطلب",
+  "metrics.unmetLoad": "الحمل غير المُلبّى",
+
+  "report.scenario": "السيناريو",
+  "report.loadVsGeneration": "الحمل المتوقع مقابل التوليد",
+  "report.risks": "المخاطر والاختناقات الرئيسية",
+  "report.recommendations": "توصيات خطوة بخطوة",
+  "report.charts": "قراءة المخططات",
+  "report.ttsSummary": "ملخص منطوق",
+  "report.severity.low": "منخفض",
+  "report.severity.medium": "متوسط",
+  "report.severity.high": "مرتفع",
+
+  "tool.pv_yield": "حاسبة إنتاج الطاقة الشمسية",
+  "tool.battery_autonomy": "حاسبة استقلالية البطارية",
+  "tool.ev_fleet_charging": "حاسبة شحن أسطول المركبات الكهربائية",
+  "tool.convert_energy": "تحويل وحدات الطاقة",
+  "tool.inputs": "المدخلات",
+  "tool.result": "النتيجة",
+  "tool.failed": "فشل",
+  "tool.yes": "نعم",
+  "tool.no": "لا",
+  "tool.field.capacityKW": "القدرة (kW)",
+  "tool.field.capacityFactorPct": "معامل القدرة (%)",
+  "tool.field.annualKWh": "الطاقة السنوية (kWh)",
+  "tool.field.annualMWh": "الطاقة السنوية (MWh)",
+  "tool.field.averageDailyKWh": "المتوسط اليومي (kWh)",
+  "tool.field.specificYieldKWhPerKWp": "الإنتاج النوعي (kWh/kWp)",
+  "tool.field.capacityKWh": "سعة البطارية (kWh)",
+  "tool.field.loadKW": "الحمل (kW)",
+  "tool.field.depthOfDischargePct": "عمق التفريغ (%)",
+  "tool.field.dischargeEfficiencyPct": "كفاءة التفريغ (%)",
+  "tool.field.deliverableKWh": "الطاقة المتاحة (kWh)",
+  "tool.field.autonomyHours": "الاستقلالية (ساعات)",
+  "tool.field.vehicles": "المركبات",
+  "tool.field.kmPerDay": "المسافة اليومية (km)",
+  "tool.field.kWhPer100km": "الاستهلاك (kWh/100 km)",
+  "tool.field.chargerKW": "قدرة الشاحن (kW)",
+  "tool.field.chargingWindowHours": "نافذة الشحن (ساعات)",
+  "tool.field.chargingEfficiencyPct": "كفاءة الشحن (%)",
+  "tool.field.perVehicleDailyKWh": "طاقة المركبة اليومية (kWh)",
+  "tool.field.fleetDailyKWh": "طاقة الأسطول اليومية (kWh)",
+  "tool.field.fleetAnnualMWh": "طاقة الأسطول السنوية (MWh)",
+  "tool.field.hoursToChargeEachVehicle": "زمن شحن كل مركبة (ساعات)",
+  "tool.field.unmanagedPeakKW": "الذروة دون إدارة (kW)",
+  "tool.field.managedPeakKW": "الذروة مع الإدارة (kW)",
+  "tool.field.fitsChargingWindow": "يتسع ضمن نافذة الشحن",
+  "tool.field.value": "القيمة",
+  "tool.field.from": "من",
+  "tool.field.to": "إلى",
+  "tool.field.unit": "الوحدة",
+
+  "reference.title": "بيانات مرجعية · {dataset} v{version} ({count})",
+  "reference.source": "المصدر",
+  "reference.entryId": "إدخال مجموعة البيانات",
+  "reference.fallback":
+    "رقم عام: لا يحتوي مجموعة البيانات على إدخال خاص بهذا السؤال.",
+
+  "translate.translateTo": "ترجمة إلى…",
+  "translate.translating": "جارٍ الترجمة…",
+  "translate.showOriginal": "عرض النص الأصلي",
+  "translate.original": "الأصل",
+  "translate.sideBySide": "جنبًا إلى جنب مع الأصل",
+  "translate.heading": "الترجمة · {language}",
+  "translate.figuresChanged":
+    "راجع الترجمة: هذه الأرقام من الأصل مفقودة أو تغيّرت: {figures}",
+  "translate.failed": "فشلت الترجمة: {error}",
+
+  "glossary.source": "المسرد · {name} v{version}",
+
+  "profile.load": "ملف الحمل",
+  "profile.generation": "ملف التوليد",
+  "profile.period": "الفترة",
+  "profile.days": "{count} يوم",
+  "profile.interval": "الفاصل الزمني",
+  "profile.minutes": "{count} دقيقة",
+  "profile.assumed": "مفترض",
+  "profile.columns": "الأعمدة (الوقت · القيمة)",
+  "profile.unit": "الوحدة",
+  "profile.peak": "الذروة",
+  "profile.mean": "المتوسط",
+  "profile.minimum": "الحد الأدنى",
+  "profile.energy": "الطاقة",
+  "profile.loadFactor": "عامل الحمل",
+  "profile.capacityUse": "المتوسط / الذروة",
+  "profile.gaps": "ساعات مفقودة تم ملؤها",
+  "profile.truncated": "السنة الأولى فقط",
+  "profile.useAsDemand": "استخدامه كطلب السيناريو",
+  "profile.inUse": "طلب السيناريو ✓",
+
+  "chart.load-vs-generation": "يوم متوسط: الحمل مقابل التوليد",
+  "chart.storage-soc": "يوم متوسط: حالة شحن التخزين",
+  "chart.energy-mix": "مزيج الطاقة السنوي",
+  "chart.profile-hourly": "الملف المرفوع (كل ساعة)",
+  "chart.profile-daily": "الملف المرفوع (متوسط يومي)",
+  "chart.profile-average-day": "الملف المرفوع: يوم متوسط",
+  "series.Load": "الحمل",
+  "series.Solar": "شمسية",
+  "series.Wind": "رياح",
+  "series.EV charging": "شحن السيارات الكهربائية",
+  "series.Heat pumps": "مضخات حرارية",
+  "series.Grid import": "استيراد من الشبكة",
+  "series.State of charge": "حالة الشحن",
+  "series.Generation": "التوليد",
+  "chartLabel.Renewables (direct)": "متجددة (مباشرة)",
+  "chartLabel.Storage": "تخزين",
+  "chartLabel.Grid import": "استيراد من الشبكة",
+  "chartLabel.Unmet": "غير مُلبّى",
+  "chartLabel.Curtailed": "مقلَّص",
+
+  "compare.metric": "المؤشر",
+  "compare.baseline": "الأساس",
+  "metric.selfSufficiencyPct": "الاكتفاء الذاتي",
+  "metric.curtailedPct": "الفاقد المقلّص",
+  "metric.peakGridImportMW": "ذروة الاستيراد من الشبكة",
+  "metric.gridImportMWh": "الاستيراد من الشبكة",
+  "metric.unmetMWh": "الحمل غير المُلبّى",
+  "metric.costUSD": "التكلفة السنوية",
+  "metric.costPerMWh": "التكلفة لكل MWh",
+  "metric.emissionsT": "انبعاثات CO₂ من الشبكة",
+};
+
+export default ar;
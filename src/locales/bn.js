@@ -0,0 +1,331 @@
+// Bangla UI strings (missing keys fall back to English)
+
+const bn = {
+  "app.name": "বহুভাষিক জ্বালানি সহকারী",
+  "app.subtitle":
+    "যেকোনো ভাষায় প্রশ্ন করুন। ছবি ও নথি সংযুক্ত করুন। দ্রুত what-if বিশ্লেষণের জন্য সিনারিও সিমুলেশন ব্যবহার করুন।",
+  "app.backToPortal": "পোর্টালে ফিরে যান",
+  "app.language": "ইন্টারফেসের ভাষা",
+
+  "sidebar.newChat": "নতুন চ্যাট",
+  "sidebar.search": "চ্যাট খুঁজুন…",
+  "sidebar.results": "ফলাফল ({count})",
+  "sidebar.noResults": "আপনার অনুসন্ধানের সাথে কোনো চ্যাট মেলেনি।",
+  "sidebar.pinned": "পিন করা",
+  "sidebar.today": "আজ",
+  "sidebar.lastWeek": "গত সপ্তাহ",
+  "sidebar.older": "পুরোনো",
+  "sidebar.pin": "পিন করুন",
+  "sidebar.unpin": "পিন সরান",
+  "sidebar.rename": "নাম বদলান",
+  "sidebar.delete": "মুছুন",
+  "sidebar.deleted": "“{title}” মুছে ফেলা হয়েছে",
+  "sidebar.undo": "ফিরিয়ে আনুন",
+
+  "welcome.text":
+    "## ⚡ বহুভাষিক জ্বালানি সহকারীতে স্বাগতম।\n\n" +
+    "জ্বালানি নিয়ে যেকোনো প্রশ্ন করুন (সৌর, বায়ু, ইভি, গ্রিড, নীতি ইত্যাদি) — বাংলা, ইংরেজি বা যেকোনো ভাষায়। \n\n" +
+    "> আপনি ছবি / নথি সংযুক্ত করতে পারেন, অথবা ডান পাশের **সিনারিও সিমুলেশন** প্যানেল ব্যবহার করতে পারেন।",
+
+  "chat.you": "আ",
+  "chat.assistant": "AI",
+  "chat.placeholder":
+    "জ্বালানি নিয়ে যেকোনো কিছু জিজ্ঞেস করুন… (পাঠাতে Enter, নতুন লাইনের জন্য Shift+Enter)",
+  "chat.attach": "ছবি / টেক্সট ফাইল সংযুক্ত করুন",
+  "chat.voiceInput": "ভয়েস ইনপুট ({language})",
+  "chat.voiceLanguage": "ভয়েস ইনপুটের ভাষা",
+  "chat.dictationOn": "একটানা ডিক্টেশন চালু (বন্ধ করতে ক্লিক করুন)",
+  "chat.dictationOff": "একটানা ডিক্টেশন বন্ধ (চালু করতে ক্লিক করুন)",
+  "chat.send": "পাঠান",
+  "chat.stop": "উত্তর তৈরি থামান",
+  "chat.stopped": "থামানো হয়েছে",
+  "chat.sources": "সূত্র ({count})",
+  "chat.lines": "লাইন {from}–{to}",
+  "chat.readAloud": "পড়ে শোনান",
+  "chat.stopReading": "পড়া বন্ধ করুন",
+  "chat.copy": "কপি করুন",
+  "chat.copied": "কপি হয়েছে",
+  "chat.edit": "সম্পাদনা করে আবার পাঠান",
+  "chat.cancelEdit": "বাতিল",
+  "chat.saveAndSend": "সংরক্ষণ করে পাঠান",
+  "chat.regenerate": "উত্তর আবার তৈরি করুন",
+  "chat.branch": "{index}/{count}",
+  "chat.previousBranch": "আগের সংস্করণ",
+  "chat.nextBranch": "পরের সংস্করণ",
+  "chat.generatedBy":
+    'প্রম্পট টেমপ্লেট "{template}" v{version} · {provider} / {model}',
+  "chat.analyseAttachments": "সংযুক্ত ফাইল / ছবিগুলো বিশ্লেষণ করুন।",
+  "chat.noResponse": "আমি কোনো উত্তর তৈরি করতে পারিনি।",
+  "chat.error": "মডেলের সাথে যোগাযোগে সমস্যা হয়েছে।",
+  "chat.requestFailed": "অনুরোধ ব্যর্থ হয়েছে (স্ট্যাটাস {status})",
+  "chat.fileError": "একটি ফাইল পড়তে সমস্যা হয়েছে।",
+  "chat.imageUnsupported":
+    "{names} পড়া যায়নি। ছবি PNG, JPEG, GIF বা WebP হিসেবে সংযুক্ত করুন।",
+  "chat.removeAttachment": "সরান",
+  "chat.footer": "বহুভাষিক জ্বালানি সহকারী",
+
+  "context.summarized": "আগের প্রসঙ্গ সংক্ষেপ করা হয়েছে ({count}টি বার্তা)",
+
+  "apiError.rate_limited":
+    "অনেক বেশি অনুরোধ। অনুগ্রহ করে {retryAfter} সেকেন্ড অপেক্ষা করে আবার চেষ্টা করুন।",
+  "apiError.payload_too_large":
+    "এই অনুরোধটি অনেক বড় (সীমা {limitKB} KB)। কিছু সংযুক্তি সরান অথবা নতুন চ্যাট শুরু করুন।",
+  "apiError.too_many_messages":
+    "এই চ্যাটটি পাঠানোর জন্য অনেক দীর্ঘ (সর্বোচ্চ {limit}টি বার্তা)। চালিয়ে যেতে নতুন চ্যাট শুরু করুন।",
+  "apiError.conversation_too_long":
+    "এই চ্যাটে পাঠানোর জন্য অনেক বেশি লেখা আছে (সীমা {limit} অক্ষর)। চালিয়ে যেতে নতুন চ্যাট শুরু করুন।",
+  "apiError.message_too_long":
+    "একটি বার্তা অনেক দীর্ঘ (সীমা {limit} অক্ষর)। সংক্ষিপ্ত করুন অথবা নথি হিসেবে সংযুক্ত করুন।",
+  "apiError.too_many_images":
+    "এই চ্যাটে অনেক বেশি ছবি (সীমা {limit})। আরও পাঠাতে নতুন চ্যাট শুরু করুন।",
+  "apiError.image_too_large":
+    "একটি ছবি পাঠানোর জন্য অনেক বড়। ছোট ছবি ব্যবহার করুন।",
+  "apiError.origin_not_allowed":
+    "এই সাইটটি সহকারী API ব্যবহারের অনুমতিপ্রাপ্ত নয়।",
+  "apiError.invalid_request": "অনুরোধটি প্রত্যাখ্যাত হয়েছে: {error}",
+  "apiError.invalid_structured_reply":
+    "আবার চেষ্টা করার পরেও মডেলের পরিস্থিতি প্রতিবেদন অসম্পূর্ণ ছিল। অনুগ্রহ করে পরিস্থিতিটি আবার চালান।",
+  "apiError.share_not_found":
+    "এই শেয়ার করা লিংকটি নেই। লিংকটি পুরোপুরি কপি হয়েছে কিনা দেখুন।",
+  "apiError.invalid_share": "এই শেয়ার করা কথোপকথনটি দেখানো যাচ্ছে না।",
+  "apiError.share_unavailable":
+    "শেয়ার লিংক এখন পাওয়া যাচ্ছে না। অনুগ্রহ করে পরে আবার চেষ্টা করুন।",
+
+  "export.export": "এক্সপোর্ট",
+  "export.markdown": "Markdown (.md)",
+  "export.json": "JSON, সম্পূর্ণ (.json)",
+  "export.html": "মুদ্রণযোগ্য রিপোর্ট (.html)",
+  "export.import": "চ্যাট ইমপোর্ট করুন",
+  "export.failed": "চ্যাটটি এক্সপোর্ট করা যায়নি।",
+  "export.exportedOn": "এক্সপোর্টের তারিখ {date}",
+  "export.user": "আপনি",
+  "export.assistant": "সহকারী",
+  "export.attachments": "সংযুক্তি",
+  "export.scenarioParameters": "সিনারিও প্যারামিটার",
+  "export.parameter": "প্যারামিটার",
+  "export.value": "মান",
+  "export.error.notJson": "এই ফাইলটি বৈধ JSON নয়।",
+  "export.error.wrongFormat":
+    "এই ফাইলটি এই অ্যাপ থেকে এক্সপোর্ট করা চ্যাট নয়।",
+  "export.error.newerVersion":
+    "এই চ্যাটটি অ্যাপের নতুন সংস্করণ থেকে এক্সপোর্ট করা হয়েছে। অ্যাপ আপডেট করে আবার চেষ্টা করুন।",
+  "export.error.empty": "এই এক্সপোর্টে কোনো বার্তা নেই।",
+
+  "share.createLink": "শুধু-দেখার লিংক শেয়ার করুন",
+  "share.creating": "লিংক তৈরি হচ্ছে…",
+  "share.linkCopied": "লিংক কপি হয়েছে:",
+  "share.linkReady": "এই লিংকটি শেয়ার করুন:",
+  "share.readOnly": "শেয়ার করা কথোপকথন · শুধু দেখার জন্য",
+  "share.sharedOn": "শেয়ার করা হয়েছে {date}",
+  "share.loading": "শেয়ার করা কথোপকথন লোড হচ্ছে…",
+  "share.fork": "আমার চ্যাটে কপি করুন",
+  "share.backToChats": "আমার চ্যাটে ফিরে যান",
+
+  "storage.nearCapacity":
+    "ব্রাউজারের স্টোরেজ প্রায় পূর্ণ ({quota} MB-এর মধ্যে {used} MB ব্যবহৃত)। ইতিহাস সংরক্ষণ চালিয়ে যেতে পুরোনো চ্যাট মুছুন।",
+  "storage.saveFailed":
+    "আপনার চ্যাটের ইতিহাস সংরক্ষণ করা যায়নি। ব্রাউজারের স্টোরেজ পূর্ণ হতে পারে; কিছু পুরোনো চ্যাট মুছে আবার চেষ্টা করুন।",
+  "storage.unavailable":
+    "এই ব্রাউজার চ্যাটের ইতিহাস সংরক্ষণ করতে পারে না, তাই পেজ রিলোড করলে চ্যাট হারিয়ে যাবে।",
+
+  "voice.unsupported":
+    "এই ব্রাউজারে কণ্ঠস্বর শনাক্তকরণ সমর্থিত নয়। Chrome বা Edge ব্যবহার করে দেখুন।",
+  "voice.tryingFallback":
+    "{language} ({code}) এখানে পাওয়া যাচ্ছে না, {fallback} দিয়ে চেষ্টা করা হচ্ছে…",
+  "voice.languageUnsupported":
+    "এই ব্রাউজার {language} শনাক্ত করতে পারে না। Chrome বা Edge ব্যবহার করুন, অথবা অন্য ভাষা বেছে নিন।",
+  "voice.blocked": "এই সাইটের জন্য মাইক্রোফোন ব্যবহারের অনুমতি বন্ধ।",
+  "voice.noMicrophone": "কোনো মাইক্রোফোন পাওয়া যায়নি।",
+  "voice.network": "স্পিচ সার্ভিসে সংযোগ করা যায়নি।",
+  "voice.noSpeech": "বুঝতে পারিনি — আবার চেষ্টা করুন।",
+  "voice.dismiss": "বন্ধ করুন",
+
+  "speech.resume": "আবার চালান",
+  "speech.pause": "বিরতি",
+  "speech.stop": "থামান",
+  "speech.speed": "গতি",
+  "speech.voiceMissing":
+    "{language} ভয়েস ইনস্টল নেই, ব্রাউজারের ডিফল্ট ভয়েস ব্যবহার করা হচ্ছে",
+
+  "scenario.title": "সিনারিও সিমুলেশন",
+  "scenario.subtitle":
+    "সৌর, বায়ু, ইভি, হিট পাম্প ও স্টোরেজের what-if বিশ্লেষণ। ফলাফল চ্যাটে দেখা যাবে।",
+  "scenario.custom": "নিজস্ব সিনারিও",
+  "scenario.location": "অবস্থান",
+  "scenario.locationPlaceholder": "যেমন: খুলনা, বাংলাদেশ",
+  "scenario.demandProfile": "চাহিদার প্রোফাইল",
+  "scenario.genericDemand": "সাধারণ অনুমান",
+  "scenario.run": "সিনারিও চালান",
+  "scenario.running": "চলছে…",
+  "scenario.namePlaceholder": "এই সিনারিওর নাম দিন…",
+  "scenario.save": "সংরক্ষণ",
+  "scenario.load": "প্যানেলে লোড করুন",
+  "scenario.delete": "মুছুন",
+  "scenario.defaultName": "সিনারিও {n}",
+  "scenario.compareSelected": "নির্বাচিতগুলো তুলনা করুন ({count})",
+  "scenario.tip":
+    "টিপ: আপনি চ্যাটে পরবর্তী প্রশ্নও লিখতে পারেন (যেমন, “৩০ মেগাওয়াট সৌরের সাথে তুলনা করুন” বা “ইংরেজিতে ব্যাখ্যা করুন”)।",
+  "scenario.runSummary": "জ্বালানি সিনারিও সিমুলেশন: {summary}",
+  "scenario.compareRequest": "সিনারিও তুলনা: {names}",
+  "scenario.vs": " বনাম ",
+
+  "summary.solar": "সৌর",
+  "summary.wind": "বায়ু",
+  "summary.ev": "ইভি",
+  "summary.heatPump": "হিট পাম্প",
+  "summary.storage": "স্টোরেজ",
+  "summary.demand": "চাহিদা",
+
+  "field.solar": "সৌর",
+  "field.wind": "বায়ু",
+  "field.ev": "ইভি গ্রহণের হার",
+  "field.heatPump": "হিট পাম্প গ্রহণের হার",
+  "field.storage": "স্টোরেজ শক্তি",
+  "field.storagePower": "স্টোরেজ ক্ষমতা",
+  "field.demand": "মূল চাহিদা",
+  "field.importLimit": "গ্রিড আমদানি সীমা",
+  "field.exportLimit": "গ্রিড রপ্তানি সীমা",
+  "field.latitude": "অক্ষাংশ",
+  "field.year": "বছর",
+
+  "hint.storagePower": "ফাঁকা = শক্তি ÷ ২ ঘণ্টা",
+  "hint.importLimit": "ফাঁকা = সীমাহীন",
+  "hint.exportLimit": "ফাঁকা = সীমাহীন",
+
+  "preset.rural-microgrid": "গ্রামীণ মাইক্রোগ্রিড",
+  "preset.city-district-2030": "শহর এলাকা ২০৩০",
+  "preset.industrial-park": "শিল্প পার্ক",
+  "preset.island-grid": "দ্বীপ গ্রিড (আমদানি নেই)",
+
+  "error.required": "আবশ্যক",
+  "error.notNumber": "একটি সংখ্যা হতে হবে",
+  "error.notInteger": "পূর্ণসংখ্যা হতে হবে",
+  "error.range": "{min}–{max} {unit} এর মধ্যে হতে হবে",
+  "error.needsStorage": "স্টোরেজ শক্তি > ০ প্রয়োজন",
+  "error.durationTooShort": "১৫ মিনিটের কম স্থায়িত্ব বাস্তবসম্মত নয়",
+
+  "metrics.selfSufficiency": "স্বয়ংসম্পূর্ণতা",
+  "metrics.curtailment": "কার্টেইলমেন্ট",
+  "metrics.peakNetDemand": "সর্বোচ্চ নিট চাহিদা",
+  "metrics.unmetLoad": "অপূরণ লোড",
+
+  "report.scenario": "পরিস্থিতি",
+  "report.loadVsGeneration": "প্রত্যাশিত লোড বনাম উৎপাদন",
+  "report.risks": "প্রধান ঝুঁকি ও বাধা",
+  "report.recommendations": "ধাপে ধাপে সুপারিশ",
+  "report.charts": "চার্ট যেভাবে পড়বেন",
+  "report.ttsSummary": "কথ্য সারসংক্ষেপ",
+  "report.severity.low": "কম",
+  "report.severity.medium": "মাঝারি",
+  "report.severity.high": "বেশি",
+
+  "tool.pv_yield": "পিভি উৎপাদন ক্যালকুলেটর",
+  "tool.battery_autonomy": "ব্যাটারি স্বনির্ভরতা ক্যালকুলেটর",
+  "tool.ev_fleet_charging": "ইভি বহর চার্জিং ক্যালকুলেটর",
+  "tool.convert_energy": "শক্তির একক রূপান্তর",
+  "tool.inputs": "ইনপুট",
+  "tool.result": "ফলাফল",
+  "tool.failed": "ব্যর্থ",
+  "tool.yes": "হ্যাঁ",
+  "tool.no": "না",
+  "tool.field.capacityKW": "ক্ষমতা (kW)",
+  "tool.field.capacityFactorPct": "ক্যাপাসিটি ফ্যাক্টর (%)",
+  "tool.field.annualKWh": "বার্ষিক শক্তি (kWh)",
+  "tool.field.annualMWh": "বার্ষিক শক্তি (MWh)",
+  "tool.field.averageDailyKWh": "দৈনিক গড় (kWh)",
+  "tool.field.specificYieldKWhPerKWp": "নির্দিষ্ট উৎপাদন (kWh/kWp)",
+  "tool.field.capacityKWh": "ব্যাটারির ক্ষমতা (kWh)",
+  "tool.field.loadKW": "লোড (kW)",
+  "tool.field.depthOfDischargePct": "ডিসচার্জের গভীরতা (%)",
+  "tool.field.dischargeEfficiencyPct": "ডিসচার্জ দক্ষতা (%)",
+  "tool.field.deliverableKWh": "সরবরাহযোগ্য শক্তি (kWh)",
+  "tool.field.autonomyHours": "স্বনির্ভরতা (ঘণ্টা)",
+  "tool.field.vehicles": "যানবাহন",
+  "tool.field.kmPerDay": "দৈনিক দূরত্ব (km)",
+  "tool.field.kWhPer100km": "খরচ (kWh/100 km)",
+  "tool.field.chargerKW": "চার্জারের শক্তি (kW)",
+  "tool.field.chargingWindowHours": "চার্জিংয়ের সময়সীমা (ঘণ্টা)",
+  "tool.field.chargingEfficiencyPct": "চার্জিং দক্ষতা (%)",
+  "tool.field.perVehicleDailyKWh": "প্রতি যানবাহনে দৈনিক শক্তি (kWh)",
+  "tool.field.fleetDailyKWh": "বহরের দৈনিক শক্তি (kWh)",
+  "tool.field.fleetAnnualMWh": "বহরের বার্ষিক শক্তি (MWh)",
+  "tool.field.hoursToChargeEachVehicle": "প্রতি যানবাহনের চার্জিং সময় (ঘণ্টা)",
+  "tool.field.unmanagedPeakKW": "সর্বোচ্চ, অনিয়ন্ত্রিত (kW)",
+  "tool.field.managedPeakKW": "সর্বোচ্চ, নিয়ন্ত্রিত (kW)",
+  "tool.field.fitsChargingWindow": "চার্জিং সময়সীমায় সম্ভব",
+  "tool.field.value": "মান",
+  "tool.field.from": "থেকে",
+  "tool.field.to": "প্রতি",
+  "tool.field.unit": "একক",
+
+  "reference.title": "রেফারেন্স ডেটা · {dataset} v{version} ({count})",
+  "reference.source": "উৎস",
+  "reference.entryId": "ডেটাসেট এন্ট্রি",
+  "reference.fallback":
+    "সাধারণ মান: এই প্রশ্নের জন্য ডেটাসেটে নির্দিষ্ট কোনো এন্ট্রি নেই।",
+
+  "translate.translateTo": "অনুবাদ করুন…",
+  "translate.translating": "অনুবাদ হচ্ছে…",
+  "translate.showOriginal": "মূল লেখা দেখান",
+  "translate.original": "মূল",
+  "translate.sideBySide": "মূল লেখার পাশাপাশি",
+  "translate.heading": "অনুবাদ · {language}",
+  "translate.figuresChanged":
+    "অনুবাদটি যাচাই করুন: মূল লেখার এই সংখ্যাগুলো নেই বা বদলে গেছে: {figures}",
+  "translate.failed": "অনুবাদ ব্যর্থ হয়েছে: {error}",
+
+  "glossary.source": "পরিভাষা · {name} v{version}",
+
+  "profile.load": "লোড প্রোফাইল",
+  "profile.generation": "উৎপাদন প্রোফাইল",
+  "profile.period": "সময়কাল",
+  "profile.days": "{count} দিন",
+  "profile.interval": "ব্যবধান",
+  "profile.minutes": "{count} মিনিট",
+  "profile.assumed": "অনুমিত",
+  "profile.columns": "কলাম (সময় · মান)",
+  "profile.unit": "একক",
+  "profile.peak": "সর্বোচ্চ",
+  "profile.mean": "গড়",
+  "profile.minimum": "সর্বনিম্ন",
+  "profile.energy": "শক্তি",
+  "profile.loadFactor": "লোড ফ্যাক্টর",
+  "profile.capacityUse": "গড় / সর্বোচ্চ",
+  "profile.gaps": "পূরণ করা অনুপস্থিত ঘণ্টা",
+  "profile.truncated": "শুধু প্রথম বছর",
+  "profile.useAsDemand": "সিনারিওর চাহিদা হিসেবে ব্যবহার করুন",
+  "profile.inUse": "সিনারিওর চাহিদা ✓",
+
+  "chart.load-vs-generation": "গড় দিন: লোড বনাম উৎপাদন",
+  "chart.storage-soc": "গড় দিন: স্টোরেজের চার্জ অবস্থা",
+  "chart.energy-mix": "বার্ষিক জ্বালানি মিশ্রণ",
+  "chart.profile-hourly": "আপলোড করা প্রোফাইল (ঘণ্টাভিত্তিক)",
+  "chart.profile-daily": "আপলোড করা প্রোফাইল (দৈনিক গড়)",
+  "chart.profile-average-day": "আপলোড করা প্রোফাইল: গড় দিন",
+  "series.Load": "লোড",
+  "series.Solar": "সৌর",
+  "series.Wind": "বায়ু",
+  "series.EV charging": "ইভি চার্জিং",
+  "series.Heat pumps": "হিট পাম্প",
+  "series.Grid import": "গ্রিড আমদানি",
+  "series.State of charge": "চার্জ অবস্থা",
+  "series.Generation": "উৎপাদন",
+  "chartLabel.Renewables (direct)": "নবায়নযোগ্য (সরাসরি)",
+  "chartLabel.Storage": "স্টোরেজ",
+  "chartLabel.Grid import": "গ্রিড আমদানি",
+  "chartLabel.Unmet": "অপূরণ",
+  "chartLabel.Curtailed": "কার্টেইলড",
+
+  "compare.metric": "মাপকাঠি",
+  "compare.baseline": "ভিত্তি",
+  "metric.selfSufficiencyPct": "স্বয়ংসম্পূর্ণতা",
+  "metric.curtailedPct": "কার্টেইলমেন্ট",
+  "metric.peakGridImportMW": "সর্বোচ্চ গ্রিড আমদানি",
+  "metric.gridImportMWh": "গ্রিড আমদানি",
+  "metric.unmetMWh": "অপূরণ লোড",
+  "metric.costUSD": "বার্ষিক খরচ",
+  "metric.costPerMWh": "প্রতি MWh খরচ",
+  "metric.emissionsT": "গ্রিড CO₂ নিঃসরণ",
+};
+
+export default bn;
@@ -0,0 +1,354 @@
+// English UI strings. This is the reference catalog: other locales fall
+// back to it key by key. Placeholders are written as {name}.
+
+const en = {
+  // App shell
+  "app.name": "Multilingual Energy Assistant",
+  "app.subtitle":
+    "Ask in any language. Attach images & documents. Use scenario simulation for quick what-if analysis.",
+  "app.backToPortal": "Back to Portal",
+  "app.language": "Interface language",
+
+  // Sidebar
+  "sidebar.newChat": "New chat",
+  "sidebar.search": "Search chats…",
+  "sidebar.results": "Results ({count})",
+  "sidebar.noResults": "No chats match your search.",
+  "sidebar.pinned": "Pinned",
+  "sidebar.today": "Today",
+  "sidebar.lastWeek": "Last week",
+  "sidebar.older": "Older",
+  "sidebar.pin": "Pin",
+  "sidebar.unpin": "Unpin",
+  "sidebar.rename": "Rename",
+  "sidebar.delete": "Delete",
+  "sidebar.deleted": "Deleted “{title}”",
+  "sidebar.undo": "Undo",
+
+  "welcome.text":
+    "## ⚡ Welcome to the Multilingual Energy Assistant.\n\n" +
+    "Ask anything about energy (solar, wind, EV, grid, policies, etc.) in English, Bangla, or any language. \n\n" +
+    "> You can also attach images / documents, or use the **Scenario Simulation** panel on the right.",
+
+  // Chat
+  "chat.you": "U",
+  "chat.assistant": "AI",
+  "chat.placeholder":
+    "Ask anything about energy… (Enter to send, Shift+Enter for new line)",
+  "chat.attach": "Attach images / text files",
+  "chat.voiceInput": "Voice input ({language})",
+  "chat.voiceLanguage": "Voice input language",
+  "chat.dictationOn": "Continuous dictation on (click to turn off)",
+  "chat.dictationOff": "Continuous dictation off (click to turn on)",
+  "chat.send": "Send",
+  "chat.stop": "Stop generating",
+  "chat.stopped": "Stopped",
+  "chat.sources": "Sources ({count})",
+  "chat.lines": "lines {from}–{to}",
+  "chat.readAloud": "Read aloud",
+  "chat.stopReading": "Stop reading",
+  "chat.copy": "Copy",
+  "chat.copied": "Copied",
+  "chat.edit": "Edit and resend",
+  "chat.cancelEdit": "Cancel",
+  "chat.saveAndSend": "Save & send",
+  "chat.regenerate": "Regenerate reply",
+  "chat.branch": "{index}/{count}",
+  "chat.previousBranch": "Previous version",
+  "chat.nextBranch": "Next version",
+  "chat.generatedBy":
+    'Prompt template "{template}" v{version} · {provider} / {model}',
+  "chat.analyseAttachments": "Please analyse the attached file(s) / image(s).",
+  "chat.noResponse": "I couldn’t generate a response.",
+  "chat.error": "Something went wrong talking to the model.",
+  "chat.requestFailed": "Request failed with status {status}",
+  "chat.fileError": "There was a problem reading one of the files.",
+  "chat.imageUnsupported":
+    "Could not read {names}. Attach images as PNG, JPEG, GIF or WebP.",
+  "chat.removeAttachment": "Remove",
+  "chat.footer": "Multilingual Energy Assistant",
+
+  // Rolling summary of older turns
+  "context.summarized": "Earlier context summarized ({count} messages)",
+
+  // Errors returned by /api/chat and /api/share (by code)
+  "apiError.rate_limited":
+    "Too many requests. Please wait {retryAfter} s and try again.",
+  "apiError.payload_too_large":
+    "This request is too large (limit {limitKB} KB). Remove some attachments or start a new chat.",
+  "apiError.too_many_messages":
+    "This chat is too long to send ({limit} messages max). Start a new chat to continue.",
+  "apiError.conversation_too_long":
+    "This chat has too much text to send (limit {limit} characters). Start a new chat to continue.",
+  "apiError.message_too_long":
+    "A message is too long (limit {limit} characters). Shorten it or attach it as a document.",
+  "apiError.too_many_images":
+    "Too many images in this chat (limit {limit}). Start a new chat to send more.",
+  "apiError.image_too_large":
+    "An image is too large to send. Try a smaller picture.",
+  "apiError.origin_not_allowed":
+    "This site is not allowed to use the assistant API.",
+  "apiError.invalid_request": "The request was rejected: {error}",
+  "apiError.invalid_structured_reply":
+    "The model's scenario report was incomplete, even after a retry. Please run the scenario again.",
+  "apiError.share_not_found":
+    "This shared link doesn't exist. Check that it was copied completely.",
+  "apiError.invalid_share": "This shared conversation can't be shown.",
+  "apiError.share_unavailable":
+    "Shared links are unavailable right now. Please try again later.",
+
+  // Export / import
+  "export.export": "Export",
+  "export.markdown": "Markdown (.md)",
+  "export.json": "JSON, complete (.json)",
+  "export.html": "Printable report (.html)",
+  "export.import": "Import chat",
+  "export.failed": "The chat could not be exported.",
+  "export.exportedOn": "Exported on {date}",
+  "export.user": "You",
+  "export.assistant": "Assistant",
+  "export.attachments": "Attachments",
+  "export.scenarioParameters": "Scenario parameters",
+  "export.parameter": "Parameter",
+  "export.value": "Value",
+  "export.error.notJson": "This file is not valid JSON.",
+  "export.error.wrongFormat": "This file is not a chat exported from this app.",
+  "export.error.newerVersion":
+    "This chat was exported by a newer version of the app. Update the app and try again.",
+  "export.error.empty": "This export contains no messages.",
+
+  // Read-only share links
+  "share.createLink": "Share read-only link",
+  "share.creating": "Creating link…",
+  "share.linkCopied": "Link copied:",
+  "share.linkReady": "Share this link:",
+  "share.readOnly": "Shared conversation · read-only",
+  "share.sharedOn": "Shared on {date}",
+  "share.loading": "Loading shared conversation…",
+  "share.fork": "Fork into my chats",
+  "share.backToChats": "Back to my chats",
+
+  // Chat history storage
+  "storage.nearCapacity":
+    "Browser storage is almost full ({used} of {quota} MB used). Delete old chats to keep saving your history.",
+  "storage.saveFailed":
+    "Your chat history could not be saved. Browser storage may be full; delete some old chats and try again.",
+  "storage.unavailable":
+    "This browser cannot store chat history, so chats will be lost when you reload the page.",
+
+  // Voice input notices
+  "voice.unsupported":
+    "Speech recognition is not supported in this browser. Try Chrome or Edge.",
+  "voice.tryingFallback":
+    "{language} ({code}) is not available here, trying {fallback}…",
+  "voice.languageUnsupported":
+    "This browser cannot recognise {language}. Try Chrome or Edge, or pick another language.",
+  "voice.blocked": "Microphone access is blocked for this site.",
+  "voice.noMicrophone": "No microphone was found.",
+  "voice.network": "The speech service could not be reached.",
+  "voice.noSpeech": "Didn’t catch that — try again.",
+  "voice.dismiss": "Dismiss",
+
+  // Read-aloud player
+  "speech.resume": "Resume",
+  "speech.pause": "Pause",
+  "speech.stop": "Stop",
+  "speech.speed": "Speed",
+  "speech.voiceMissing":
+    "No {language} voice installed, using the browser default",
+
+  // Scenario panel
+  "scenario.title": "Scenario Simulation",
+  "scenario.subtitle":
+    "What-if analysis for solar, wind, EVs, heat pumps & storage. Results appear in the chat.",
+  "scenario.custom": "Custom scenario",
+  "scenario.location": "Location",
+  "scenario.locationPlaceholder": "e.g. Khulna, Bangladesh",
+  "scenario.demandProfile": "Demand profile",
+  "scenario.genericDemand": "Generic assumptions",
+  "scenario.run": "Run Scenario",
+  "scenario.running": "Running…",
+  "scenario.namePlaceholder": "Name this scenario…",
+  "scenario.save": "Save",
+  "scenario.load": "Load into panel",
+  "scenario.delete": "Delete",
+  "scenario.defaultName": "Scenario {n}",
+  "scenario.compareSelected": "Compare selected ({count})",
+  "scenario.tip":
+    "Tip: you can still type follow-up questions in the chat (e.g., “Compare this to 30 MW solar” or “Explain in Bangla”).",
+  "scenario.runSummary": "Energy scenario simulation: {summary}",
+  "scenario.compareRequest": "Compare scenarios: {names}",
+  "scenario.vs": " vs ",
+
+  // One-line scenario summary
+  "summary.solar": "Solar",
+  "summary.wind": "Wind",
+  "summary.ev": "EV",
+  "summary.heatPump": "Heat pumps",
+  "summary.storage": "Storage",
+  "summary.demand": "Demand",
+
+  // Scenario fields
+  "field.solar": "Solar",
+  "field.wind": "Wind",
+  "field.ev": "EV adoption",
+  "field.heatPump": "Heat pump adoption",
+  "field.storage": "Storage energy",
+  "field.storagePower": "Storage power",
+  "field.demand": "Baseline demand",
+  "field.importLimit": "Grid import limit",
+  "field.exportLimit": "Grid export limit",
+  "field.latitude": "Latitude",
+  "field.year": "Year",
+
+  "hint.storagePower": "blank = energy ÷ 2 h",
+  "hint.importLimit": "blank = unlimited",
+  "hint.exportLimit": "blank = unlimited",
+
+  "preset.rural-microgrid": "Rural village microgrid",
+  "preset.city-district-2030": "City district 2030",
+  "preset.industrial-park": "Industrial park",
+  "preset.island-grid": "Island grid (no import)",
+
+  // Validation messages (codes from validateScenario)
+  "error.required": "Required",
+  "error.notNumber": "Must be a number",
+  "error.notInteger": "Must be a whole number",
+  "error.range": "Must be {min}–{max} {unit}",
+  "error.needsStorage": "Needs storage energy > 0",
+  "error.durationTooShort": "Duration under 15 min is unrealistic",
+
+  // Metric chips under a scenario run
+  "metrics.selfSufficiency": "Self-sufficiency",
+  "metrics.curtailment": "Curtailment",
+  "metrics.peakNetDemand": "Peak net demand",
+  "metrics.unmetLoad": "Unmet load",
+
+  // Structured scenario report cards
+  "report.scenario": "Scenario",
+  "report.loadVsGeneration": "Expected load vs generation",
+  "report.risks": "Key risks & bottlenecks",
+  "report.recommendations": "Step-by-step recommendations",
+  "report.charts": "Reading the charts",
+  "report.ttsSummary": "Spoken summary",
+  "report.severity.low": "Low",
+  "report.severity.medium": "Medium",
+  "report.severity.high": "High",
+
+  // Calculator steps (tool calling)
+  "tool.pv_yield": "PV yield calculator",
+  "tool.battery_autonomy": "Battery autonomy calculator",
+  "tool.ev_fleet_charging": "EV fleet charging calculator",
+  "tool.convert_energy": "Energy unit conversion",
+  "tool.inputs": "Inputs",
+  "tool.result": "Result",
+  "tool.failed": "failed",
+  "tool.yes": "Yes",
+  "tool.no": "No",
+  "tool.field.capacityKW": "Capacity (kW)",
+  "tool.field.capacityFactorPct": "Capacity factor (%)",
+  "tool.field.annualKWh": "Annual energy (kWh)",
+  "tool.field.annualMWh": "Annual energy (MWh)",
+  "tool.field.averageDailyKWh": "Average per day (kWh)",
+  "tool.field.specificYieldKWhPerKWp": "Specific yield (kWh/kWp)",
+  "tool.field.capacityKWh": "Battery capacity (kWh)",
+  "tool.field.loadKW": "Load (kW)",
+  "tool.field.depthOfDischargePct": "Depth of discharge (%)",
+  "tool.field.dischargeEfficiencyPct": "Discharge efficiency (%)",
+  "tool.field.deliverableKWh": "Deliverable energy (kWh)",
+  "tool.field.autonomyHours": "Autonomy (hours)",
+  "tool.field.vehicles": "Vehicles",
+  "tool.field.kmPerDay": "Distance per day (km)",
+  "tool.field.kWhPer100km": "Consumption (kWh/100 km)",
+  "tool.field.chargerKW": "Charger power (kW)",
+  "tool.field.chargingWindowHours": "Charging window (hours)",
+  "tool.field.chargingEfficiencyPct": "Charging efficiency (%)",
+  "tool.field.perVehicleDailyKWh": "Energy per vehicle per day (kWh)",
+  "tool.field.fleetDailyKWh": "Fleet energy per day (kWh)",
+  "tool.field.fleetAnnualMWh": "Fleet energy per year (MWh)",
+  "tool.field.hoursToChargeEachVehicle": "Charging time per vehicle (hours)",
+  "tool.field.unmanagedPeakKW": "Peak, unmanaged (kW)",
+  "tool.field.managedPeakKW": "Peak, managed (kW)",
+  "tool.field.fitsChargingWindow": "Fits the charging window",
+  "tool.field.value": "Value",
+  "tool.field.from": "From",
+  "tool.field.to": "To",
+  "tool.field.unit": "Unit",
+
+  // Reference dataset citations
+  "reference.title": "Reference data · {dataset} v{version} ({count})",
+  "reference.source": "Source",
+  "reference.entryId": "Dataset entry",
+  "reference.fallback":
+    "General figure: the dataset has no entry specific to this question.",
+
+  // Reply translations
+  "translate.translateTo": "Translate to…",
+  "translate.translating": "Translating…",
+  "translate.showOriginal": "Show original",
+  "translate.original": "Original",
+  "translate.sideBySide": "Side by side with the original",
+  "translate.heading": "Translation · {language}",
+  "translate.figuresChanged":
+    "Check the translation: these figures from the original are missing or changed: {figures}",
+  "translate.failed": "Translation failed: {error}",
+
+  // Glossary tooltips
+  "glossary.source": "Glossary · {name} v{version}",
+
+  // Uploaded CSV load / generation profiles
+  "profile.load": "Load profile",
+  "profile.generation": "Generation profile",
+  "profile.period": "Period",
+  "profile.days": "{count} days",
+  "profile.interval": "Interval",
+  "profile.minutes": "{count} min",
+  "profile.assumed": "assumed",
+  "profile.columns": "Columns (time · value)",
+  "profile.unit": "Unit",
+  "profile.peak": "Peak",
+  "profile.mean": "Mean",
+  "profile.minimum": "Minimum",
+  "profile.energy": "Energy",
+  "profile.loadFactor": "Load factor",
+  "profile.capacityUse": "Mean / peak",
+  "profile.gaps": "Missing hours filled",
+  "profile.truncated": "first year only",
+  "profile.useAsDemand": "Use as scenario demand",
+  "profile.inUse": "Scenario demand ✓",
+
+  // Charts (ids and series names from charts.js)
+  "chart.load-vs-generation": "Average day: load vs generation",
+  "chart.storage-soc": "Average day: storage state of charge",
+  "chart.energy-mix": "Annual energy mix",
+  "chart.profile-hourly": "Uploaded profile (hourly)",
+  "chart.profile-daily": "Uploaded profile (daily average)",
+  "chart.profile-average-day": "Uploaded profile: average day",
+  "series.Load": "Load",
+  "series.Solar": "Solar",
+  "series.Wind": "Wind",
+  "series.EV charging": "EV charging",
+  "series.Heat pumps": "Heat pumps",
+  "series.Grid import": "Grid import",
+  "series.State of charge": "State of charge",
+  "series.Generation": "Generation",
+  "chartLabel.Renewables (direct)": "Renewables (direct)",
+  "chartLabel.Storage": "Storage",
+  "chartLabel.Grid import": "Grid import",
+  "chartLabel.Unmet": "Unmet",
+  "chartLabel.Curtailed": "Curtailed",
+
+  // Comparison table
+  "compare.metric": "Metric",
+  "compare.baseline": "baseline",
+  "metric.selfSufficiencyPct": "Self-sufficiency",
+  "metric.curtailedPct": "Curtailment",
+  "metric.peakGridImportMW": "Peak grid import",
+  "metric.gridImportMWh": "Grid import",
+  "metric.unmetMWh": "Unmet load",
+  "metric.costUSD": "Annual cost",
+  "metric.costPerMWh": "Cost per MWh",
+  "metric.emissionsT": "Grid CO₂ emissions",
+};
+
+export default en;
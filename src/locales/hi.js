@@ -0,0 +1,330 @@
+// Hindi UI strings (missing keys fall back to English)
+
+const hi = {
+  "app.name": "बहुभाषी ऊर्जा सहायक",
+  "app.subtitle":
+    "किसी भी भाषा में पूछें। चित्र और दस्तावेज़ संलग्न करें। त्वरित what-if विश्लेषण के लिए परिदृश्य सिमुलेशन का उपयोग करें।",
+  "app.backToPortal": "पोर्टल पर वापस जाएँ",
+  "app.language": "इंटरफ़ेस की भाषा",
+
+  "sidebar.newChat": "नई चैट",
+  "sidebar.search": "चैट खोजें…",
+  "sidebar.results": "परिणाम ({count})",
+  "sidebar.noResults": "आपकी खोज से कोई चैट मेल नहीं खाती।",
+  "sidebar.pinned": "पिन की गई",
+  "sidebar.today": "आज",
+  "sidebar.lastWeek": "पिछला सप्ताह",
+  "sidebar.older": "पुरानी",
+  "sidebar.pin": "पिन करें",
+  "sidebar.unpin": "पिन हटाएँ",
+  "sidebar.rename": "नाम बदलें",
+  "sidebar.delete": "हटाएँ",
+  "sidebar.deleted": "“{title}” हटाई गई",
+  "sidebar.undo": "पूर्ववत करें",
+
+  "welcome.text":
+    "## ⚡ बहुभाषी ऊर्जा सहायक में आपका स्वागत है।\n\n" +
+    "ऊर्जा के बारे में कुछ भी पूछें (सौर, पवन, ईवी, ग्रिड, नीतियाँ आदि) — हिन्दी, अंग्रेज़ी या किसी भी भाषा में। \n\n" +
+    "> आप चित्र / दस्तावेज़ भी संलग्न कर सकते हैं, या दाईं ओर के **परिदृश्य सिमुलेशन** पैनल का उपयोग कर सकते हैं।",
+
+  "chat.you": "आप",
+  "chat.assistant": "AI",
+  "chat.placeholder":
+    "ऊर्जा के बारे में कुछ भी पूछें… (भेजने के लिए Enter, नई पंक्ति के लिए Shift+Enter)",
+  "chat.attach": "चित्र / टेक्स्ट फ़ाइलें संलग्न करें",
+  "chat.voiceInput": "वॉइस इनपुट ({language})",
+  "chat.voiceLanguage": "वॉइस इनपुट की भाषा",
+  "chat.dictationOn": "लगातार डिक्टेशन चालू (बंद करने के लिए क्लिक करें)",
+  "chat.dictationOff": "लगातार डिक्टेशन बंद (चालू करने के लिए क्लिक करें)",
+  "chat.send": "भेजें",
+  "chat.stop": "उत्तर बनाना रोकें",
+  "chat.stopped": "रोका गया",
+  "chat.sources": "स्रोत ({count})",
+  "chat.lines": "पंक्तियाँ {from}–{to}",
+  "chat.readAloud": "पढ़कर सुनाएँ",
+  "chat.stopReading": "पढ़ना रोकें",
+  "chat.copy": "कॉपी करें",
+  "chat.copied": "कॉपी हो गया",
+  "chat.edit": "संपादित करके फिर भेजें",
+  "chat.cancelEdit": "रद्द करें",
+  "chat.saveAndSend": "सहेजें और भेजें",
+  "chat.regenerate": "जवाब फिर से बनाएँ",
+  "chat.branch": "{index}/{count}",
+  "chat.previousBranch": "पिछला संस्करण",
+  "chat.nextBranch": "अगला संस्करण",
+  "chat.generatedBy":
+    'प्रॉम्प्ट टेम्पलेट "{template}" v{version} · {provider} / {model}',
+  "chat.analyseAttachments": "कृपया संलग्न फ़ाइल / चित्रों का विश्लेषण करें।",
+  "chat.noResponse": "मैं उत्तर नहीं बना सका।",
+  "chat.error": "मॉडल से बात करते समय कुछ गड़बड़ हो गई।",
+  "chat.requestFailed": "अनुरोध विफल रहा (स्थिति {status})",
+  "chat.fileError": "किसी एक फ़ाइल को पढ़ने में समस्या हुई।",
+  "chat.imageUnsupported":
+    "{names} को पढ़ा नहीं जा सका। चित्र PNG, JPEG, GIF या WebP के रूप में संलग्न करें।",
+  "chat.removeAttachment": "हटाएँ",
+  "chat.footer": "बहुभाषी ऊर्जा सहायक",
+
+  "context.summarized": "पिछला संदर्भ सारांशित किया गया ({count} संदेश)",
+
+  "apiError.rate_limited":
+    "बहुत अधिक अनुरोध। कृपया {retryAfter} सेकंड प्रतीक्षा करके फिर से प्रयास करें।",
+  "apiError.payload_too_large":
+    "यह अनुरोध बहुत बड़ा है (सीमा {limitKB} KB)। कुछ अनुलग्नक हटाएँ या नई चैट शुरू करें।",
+  "apiError.too_many_messages":
+    "यह चैट भेजने के लिए बहुत लंबी है (अधिकतम {limit} संदेश)। जारी रखने के लिए नई चैट शुरू करें।",
+  "apiError.conversation_too_long":
+    "इस चैट में भेजने के लिए बहुत अधिक पाठ है (सीमा {limit} अक्षर)। जारी रखने के लिए नई चैट शुरू करें।",
+  "apiError.message_too_long":
+    "एक संदेश बहुत लंबा है (सीमा {limit} अक्षर)। उसे छोटा करें या दस्तावेज़ के रूप में संलग्न करें।",
+  "apiError.too_many_images":
+    "इस चैट में बहुत अधिक चित्र हैं (सीमा {limit})। और भेजने के लिए नई चैट शुरू करें।",
+  "apiError.image_too_large":
+    "एक चित्र भेजने के लिए बहुत बड़ा है। छोटा चित्र आज़माएँ।",
+  "apiError.origin_not_allowed":
+    "इस साइट को सहायक API उपयोग करने की अनुमति नहीं है।",
+  "apiError.invalid_request": "अनुरोध अस्वीकार किया गया: {error}",
+  "apiError.invalid_structured_reply":
+    "दोबारा कोशिश के बाद भी मॉडल की परिदृश्य रिपोर्ट अधूरी थी। कृपया परिदृश्य फिर से चलाएँ।",
+  "apiError.share_not_found":
+    "यह साझा लिंक मौजूद नहीं है। जाँचें कि लिंक पूरा कॉपी हुआ है।",
+  "apiError.invalid_share": "यह साझा बातचीत दिखाई नहीं जा सकती।",
+  "apiError.share_unavailable":
+    "साझा लिंक अभी उपलब्ध नहीं हैं। कृपया बाद में फिर कोशिश करें।",
+
+  "export.export": "निर्यात",
+  "export.markdown": "Markdown (.md)",
+  "export.json": "JSON, पूर्ण (.json)",
+  "export.html": "प्रिंट योग्य रिपोर्ट (.html)",
+  "export.import": "चैट आयात करें",
+  "export.failed": "चैट निर्यात नहीं की जा सकी।",
+  "export.exportedOn": "{date} को निर्यात किया गया",
+  "export.user": "आप",
+  "export.assistant": "सहायक",
+  "export.attachments": "अनुलग्नक",
+  "export.scenarioParameters": "परिदृश्य पैरामीटर",
+  "export.parameter": "पैरामीटर",
+  "export.value": "मान",
+  "export.error.notJson": "यह फ़ाइल मान्य JSON नहीं है।",
+  "export.error.wrongFormat": "यह फ़ाइल इस ऐप से निर्यात की गई चैट नहीं है।",
+  "export.error.newerVersion":
+    "यह चैट ऐप के नए संस्करण से निर्यात की गई है। ऐप अपडेट करके फिर से प्रयास करें।",
+  "export.error.empty": "इस निर्यात में कोई संदेश नहीं है।",
+
+  "share.createLink": "केवल-पढ़ने योग्य लिंक साझा करें",
+  "share.creating": "लिंक बन रहा है…",
+  "share.linkCopied": "लिंक कॉपी हो गया:",
+  "share.linkReady": "यह लिंक साझा करें:",
+  "share.readOnly": "साझा बातचीत · केवल पढ़ने के लिए",
+  "share.sharedOn": "{date} को साझा किया गया",
+  "share.loading": "साझा बातचीत लोड हो रही है…",
+  "share.fork": "मेरी चैट में कॉपी करें",
+  "share.backToChats": "मेरी चैट पर वापस जाएँ",
+
+  "storage.nearCapacity":
+    "ब्राउज़र स्टोरेज लगभग भर गया है ({quota} MB में से {used} MB उपयोग में)। इतिहास सहेजते रहने के लिए पुरानी चैट हटाएँ।",
+  "storage.saveFailed":
+    "आपका चैट इतिहास सहेजा नहीं जा सका। ब्राउज़र स्टोरेज भर गया हो सकता है; कुछ पुरानी चैट हटाकर फिर से प्रयास करें।",
+  "storage.unavailable":
+    "यह ब्राउज़र चैट इतिहास संग्रहीत नहीं कर सकता, इसलिए पेज रीलोड करने पर चैट खो जाएँगी।",
+
+  "voice.unsupported":
+    "इस ब्राउज़र में वाक् पहचान समर्थित नहीं है। Chrome या Edge आज़माएँ।",
+  "voice.tryingFallback":
+    "{language} ({code}) यहाँ उपलब्ध नहीं है, {fallback} आज़माया जा रहा है…",
+  "voice.languageUnsupported":
+    "यह ब्राउज़र {language} नहीं पहचान सकता। Chrome या Edge आज़माएँ, या कोई दूसरी भाषा चुनें।",
+  "voice.blocked": "इस साइट के लिए माइक्रोफ़ोन की अनुमति अवरुद्ध है।",
+  "voice.noMicrophone": "कोई माइक्रोफ़ोन नहीं मिला।",
+  "voice.network": "वाक् सेवा से संपर्क नहीं हो सका।",
+  "voice.noSpeech": "समझ नहीं आया — फिर से कोशिश करें।",
+  "voice.dismiss": "बंद करें",
+
+  "speech.resume": "फिर से चलाएँ",
+  "speech.pause": "रोकें",
+  "speech.stop": "बंद करें",
+  "speech.speed": "गति",
+  "speech.voiceMissing":
+    "{language} आवाज़ इंस्टॉल नहीं है, ब्राउज़र की डिफ़ॉल्ट आवाज़ उपयोग हो रही है",
+
+  "scenario.title": "परिदृश्य सिमुलेशन",
+  "scenario.subtitle":
+    "सौर, पवन, ईवी, हीट पंप और भंडारण का what-if विश्लेषण। परिणाम चैट में दिखेंगे।",
+  "scenario.custom": "कस्टम परिदृश्य",
+  "scenario.location": "स्थान",
+  "scenario.locationPlaceholder": "जैसे: कोलकाता, भारत",
+  "scenario.demandProfile": "मांग प्रोफ़ाइल",
+  "scenario.genericDemand": "सामान्य अनुमान",
+  "scenario.run": "परिदृश्य चलाएँ",
+  "scenario.running": "चल रहा है…",
+  "scenario.namePlaceholder": "इस परिदृश्य का नाम दें…",
+  "scenario.save": "सहेजें",
+  "scenario.load": "पैनल में लोड करें",
+  "scenario.delete": "हटाएँ",
+  "scenario.defaultName": "परिदृश्य {n}",
+  "scenario.compareSelected": "चुने हुए की तुलना करें ({count})",
+  "scenario.tip":
+    "सुझाव: आप चैट में आगे के प्रश्न भी लिख सकते हैं (जैसे, “इसकी तुलना 30 MW सौर से करें” या “अंग्रेज़ी में समझाएँ”)।",
+  "scenario.runSummary": "ऊर्जा परिदृश्य सिमुलेशन: {summary}",
+  "scenario.compareRequest": "परिदृश्यों की तुलना: {names}",
+  "scenario.vs": " बनाम ",
+
+  "summary.solar": "सौर",
+  "summary.wind": "पवन",
+  "summary.ev": "ईवी",
+  "summary.heatPump": "हीट पंप",
+  "summary.storage": "भंडारण",
+  "summary.demand": "माँग",
+
+  "field.solar": "सौर",
+  "field.wind": "पवन",
+  "field.ev": "ईवी अपनाने की दर",
+  "field.heatPump": "हीट पंप अपनाने की दर",
+  "field.storage": "भंडारण ऊर्जा",
+  "field.storagePower": "भंडारण क्षमता",
+  "field.demand": "आधार माँग",
+  "field.importLimit": "ग्रिड आयात सीमा",
+  "field.exportLimit": "ग्रिड निर्यात सीमा",
+  "field.latitude": "अक्षांश",
+  "field.year": "वर्ष",
+
+  "hint.storagePower": "खाली = ऊर्जा ÷ 2 घंटे",
+  "hint.importLimit": "खाली = असीमित",
+  "hint.exportLimit": "खाली = असीमित",
+
+  "preset.rural-microgrid": "ग्रामीण माइक्रोग्रिड",
+  "preset.city-district-2030": "शहरी क्षेत्र 2030",
+  "preset.industrial-park": "औद्योगिक पार्क",
+  "preset.island-grid": "द्वीप ग्रिड (कोई आयात नहीं)",
+
+  "error.required": "आवश्यक",
+  "error.notNumber": "संख्या होनी चाहिए",
+  "error.notInteger": "पूर्ण संख्या होनी चाहिए",
+  "error.range": "{min}–{max} {unit} के बीच होना चाहिए",
+  "error.needsStorage": "भंडारण ऊर्जा > 0 आवश्यक है",
+  "error.durationTooShort": "15 मिनट से कम अवधि अवास्तविक है",
+
+  "metrics.selfSufficiency": "आत्मनिर्भरता",
+  "metrics.curtailment": "कटौती",
+  "metrics.peakNetDemand": "अधिकतम शुद्ध माँग",
+  "metrics.unmetLoad": "अपूर्ण लोड",
+
+  "report.scenario": "परिदृश्य",
+  "report.loadVsGeneration": "अपेक्षित लोड बनाम उत्पादन",
+  "report.risks": "मुख्य जोखिम और बाधाएँ",
+  "report.recommendations": "चरण-दर-चरण सुझाव",
+  "report.charts": "चार्ट कैसे पढ़ें",
+  "report.ttsSummary": "बोला जाने वाला सारांश",
+  "report.severity.low": "कम",
+  "report.severity.medium": "मध्यम",
+  "report.severity.high": "उच्च",
+
+  "tool.pv_yield": "पीवी उत्पादन कैलकुलेटर",
+  "tool.battery_autonomy": "बैटरी स्वायत्तता कैलकुलेटर",
+  "tool.ev_fleet_charging": "ईवी बेड़ा चार्जिंग कैलकुलेटर",
+  "tool.convert_energy": "ऊर्जा इकाई रूपांतरण",
+  "tool.inputs": "इनपुट",
+  "tool.result": "परिणाम",
+  "tool.failed": "विफल",
+  "tool.yes": "हाँ",
+  "tool.no": "नहीं",
+  "tool.field.capacityKW": "क्षमता (kW)",
+  "tool.field.capacityFactorPct": "क्षमता कारक (%)",
+  "tool.field.annualKWh": "वार्षिक ऊर्जा (kWh)",
+  "tool.field.annualMWh": "वार्षिक ऊर्जा (MWh)",
+  "tool.field.averageDailyKWh": "दैनिक औसत (kWh)",
+  "tool.field.specificYieldKWhPerKWp": "विशिष्ट उत्पादन (kWh/kWp)",
+  "tool.field.capacityKWh": "बैटरी क्षमता (kWh)",
+  "tool.field.loadKW": "लोड (kW)",
+  "tool.field.depthOfDischargePct": "डिस्चार्ज की गहराई (%)",
+  "tool.field.dischargeEfficiencyPct": "डिस्चार्ज दक्षता (%)",
+  "tool.field.deliverableKWh": "उपलब्ध ऊर्जा (kWh)",
+  "tool.field.autonomyHours": "स्वायत्तता (घंटे)",
+  "tool.field.vehicles": "वाहन",
+  "tool.field.kmPerDay": "प्रतिदिन दूरी (km)",
+  "tool.field.kWhPer100km": "खपत (kWh/100 km)",
+  "tool.field.chargerKW": "चार्जर शक्ति (kW)",
+  "tool.field.chargingWindowHours": "चार्जिंग अवधि (घंटे)",
+  "tool.field.chargingEfficiencyPct": "चार्जिंग दक्षता (%)",
+  "tool.field.perVehicleDailyKWh": "प्रति वाहन दैनिक ऊर्जा (kWh)",
+  "tool.field.fleetDailyKWh": "बेड़े की दैनिक ऊर्जा (kWh)",
+  "tool.field.fleetAnnualMWh": "बेड़े की वार्षिक ऊर्जा (MWh)",
+  "tool.field.hoursToChargeEachVehicle": "प्रति वाहन चार्जिंग समय (घंटे)",
+  "tool.field.unmanagedPeakKW": "शिखर, अनियंत्रित (kW)",
+  "tool.field.managedPeakKW": "शिखर, नियंत्रित (kW)",
+  "tool.field.fitsChargingWindow": "चार्जिंग अवधि में संभव",
+  "tool.field.value": "मान",
+  "tool.field.from": "से",
+  "tool.field.to": "में",
+  "tool.field.unit": "इकाई",
+
+  "reference.title": "संदर्भ डेटा · {dataset} v{version} ({count})",
+  "reference.source": "स्रोत",
+  "reference.entryId": "डेटासेट प्रविष्टि",
+  "reference.fallback":
+    "सामान्य आँकड़ा: डेटासेट में इस प्रश्न के लिए कोई विशिष्ट प्रविष्टि नहीं है।",
+
+  "translate.translateTo": "अनुवाद करें…",
+  "translate.translating": "अनुवाद हो रहा है…",
+  "translate.showOriginal": "मूल दिखाएँ",
+  "translate.original": "मूल",
+  "translate.sideBySide": "मूल के साथ-साथ",
+  "translate.heading": "अनुवाद · {language}",
+  "translate.figuresChanged":
+    "अनुवाद जाँचें: मूल के ये आँकड़े गायब हैं या बदल गए हैं: {figures}",
+  "translate.failed": "अनुवाद विफल रहा: {error}",
+
+  "glossary.source": "शब्दावली · {name} v{version}",
+
+  "profile.load": "लोड प्रोफ़ाइल",
+  "profile.generation": "उत्पादन प्रोफ़ाइल",
+  "profile.period": "अवधि",
+  "profile.days": "{count} दिन",
+  "profile.interval": "अंतराल",
+  "profile.minutes": "{count} मिनट",
+  "profile.assumed": "अनुमानित",
+  "profile.columns": "कॉलम (समय · मान)",
+  "profile.unit": "इकाई",
+  "profile.peak": "शिखर",
+  "profile.mean": "औसत",
+  "profile.minimum": "न्यूनतम",
+  "profile.energy": "ऊर्जा",
+  "profile.loadFactor": "लोड फ़ैक्टर",
+  "profile.capacityUse": "औसत / शिखर",
+  "profile.gaps": "भरे गए छूटे घंटे",
+  "profile.truncated": "केवल पहला वर्ष",
+  "profile.useAsDemand": "परिदृश्य मांग के रूप में उपयोग करें",
+  "profile.inUse": "परिदृश्य मांग ✓",
+
+  "chart.load-vs-generation": "औसत दिन: लोड बनाम उत्पादन",
+  "chart.storage-soc": "औसत दिन: भंडारण चार्ज स्थिति",
+  "chart.energy-mix": "वार्षिक ऊर्जा मिश्रण",
+  "chart.profile-hourly": "अपलोड की गई प्रोफ़ाइल (प्रति घंटा)",
+  "chart.profile-daily": "अपलोड की गई प्रोफ़ाइल (दैनिक औसत)",
+  "chart.profile-average-day": "अपलोड की गई प्रोफ़ाइल: औसत दिन",
+  "series.Load": "लोड",
+  "series.Solar": "सौर",
+  "series.Wind": "पवन",
+  "series.EV charging": "ईवी चार्जिंग",
+  "series.Heat pumps": "हीट पंप",
+  "series.Grid import": "ग्रिड आयात",
+  "series.State of charge": "चार्ज स्थिति",
+  "series.Generation": "उत्पादन",
+  "chartLabel.Renewables (direct)": "नवीकरणीय (प्रत्यक्ष)",
+  "chartLabel.Storage": "भंडारण",
+  "chartLabel.Grid import": "ग्रिड आयात",
+  "chartLabel.Unmet": "अपूर्ण",
+  "chartLabel.Curtailed": "कटौती",
+
+  "compare.metric": "मापदंड",
+  "compare.baseline": "आधार",
+  "metric.selfSufficiencyPct": "आत्मनिर्भरता",
+  "metric.curtailedPct": "कटौती",
+  "metric.peakGridImportMW": "अधिकतम ग्रिड आयात",
+  "metric.gridImportMWh": "ग्रिड आयात",
+  "metric.unmetMWh": "अपूर्ण लोड",
+  "metric.costUSD": "वार्षिक लागत",
+  "metric.costPerMWh": "प्रति MWh लागत",
+  "metric.emissionsT": "ग्रिड CO₂ उत्सर्जन",
+};
+
+export default hi;
@@ -0,0 +1,52 @@
+// Citations of the bundled reference dataset (chat template v3, see
+// netlify/lib/referenceData.js). The function sends the entries it gave the
+// model as { dataset, entries }; replies cite them as [R1], [R2]…, which are
+// turned into links to the list under the bubble.
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+export const referenceAnchor = (messageId, ref) =>
+  `reference-${messageId}-${ref}`;
+
+// Shape check for stored and imported messages. Returns the references
+// with only http(s) source links kept, or null.
+export const cleanReferences = (references) => {
+  if (!isObject(references) || !Array.isArray(references.entries)) return null;
+  const entries = references.entries.filter(
+    (e) =>
+      isObject(e) &&
+      /^R\d+$/.test(e.ref) &&
+      typeof e.title === "string" &&
+      isObject(e.source)
+  );
+  if (!entries.length) return null;
+  return {
+    dataset: isObject(references.dataset) ? references.dataset : {},
+    entries: entries.map((e) => ({
+      ...e,
+      source: {
+        ...e.source,
+        url: /^https?:\/\//i.test(e.source.url || "") ? e.source.url : "",
+      },
+    })),
+  };
+};
+
+// "[R1]" → a Markdown link to the entry, for markers the reply may cite
+export const linkReferenceCitations = (text, messageId, references) => {
+  const refs = new Set((references?.entries || []).map((e) => e.ref));
+  return text.replace(/\[(R\d+)\](?!\()/g, (marker, ref) =>
+    refs.has(ref)
+      ? `[\\[${ref}\\]](#${referenceAnchor(messageId, ref)})`
+      : marker
+  );
+};
+
+// One line per entry, for the Markdown export
+export const formatReferenceEntry = (entry) =>
+  `[${entry.ref}] ${entry.title}: ${entry.value} ${entry.unit} (${entry.year})${
+    entry.fallback ? " (general figure, no entry specific to the question)" : ""
+  }. ${entry.source.publisher}, ${entry.source.title} (${entry.source.year})${
+    entry.source.url ? ` ${entry.source.url}` : ""
+  }`;
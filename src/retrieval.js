@@ -0,0 +1,174 @@
+// Local chunking + BM25 retrieval over document attachments.
+// Used when attached files are too large to send to the model in full.
+
+const CHUNK_TARGET_CHARS = 1200;
+
+const STOPWORDS = new Set(
+  (
+    "a an and are as at be by can do does for from has have how i in is it " +
+    "its me my of on or our should so that the their there this to was we " +
+    "what when where which who why will with you your"
+  ).split(" ")
+);
+
+export const tokenize = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{M}\p{N}]+/u)
+    .filter((t) => t.length > 1 && !STOPWORDS.has(t));
+
+// Cut a line longer than CHUNK_TARGET_CHARS (minified JSON, a paragraph
+// without breaks) into pieces, at a space where there is one near the end.
+// The first piece tops up the open chunk, the rest are ~CHUNK_TARGET_CHARS.
+const splitLongLine = (line, room) => {
+  if (line.length <= CHUNK_TARGET_CHARS) return [line];
+  const pieces = [];
+  let rest = line;
+  let limit = Math.max(room, CHUNK_TARGET_CHARS / 2);
+  while (rest.length > limit) {
+    const space = rest.lastIndexOf(" ", limit);
+    const cut = space > limit / 2 ? space + 1 : limit;
+    pieces.push(rest.slice(0, cut));
+    rest = rest.slice(cut);
+    limit = CHUNK_TARGET_CHARS;
+  }
+  pieces.push(rest);
+  return pieces;
+};
+
+// Split a document into ~CHUNK_TARGET_CHARS passages on line boundaries,
+// cutting over-long lines so no chunk is much larger than the target.
+// Each chunk remembers the Markdown heading it falls under (if any) and its
+// line range, so answers can cite "file › section".
+export const chunkDocument = (name, text) => {
+  const lines = String(text || "").split(/\r?\n/);
+  const isCsv = /\.csv$/i.test(name);
+  const csvHeader = isCsv ? lines[0] : "";
+
+  const chunks = [];
+  let current = [];
+  let currentChars = 0;
+  let startLine = 1;
+  let heading = "";
+  let chunkHeading = "";
+
+  const flush = (endLine) => {
+    const body = current.join("\n").trim();
+    if (body) {
+      const part = chunks.length + 1;
+      chunks.push({
+        id: `${name}#${part}`,
+        file: name,
+        section: chunkHeading || `Part ${part}`,
+        lines: [startLine, endLine],
+        text:
+          isCsv && startLine > 1 ? `${csvHeader}\n${body}` : body,
+      });
+    }
+    current = [];
+    currentChars = 0;
+  };
+
+  lines.forEach((line, idx) => {
+    const lineNo = idx + 1;
+    const headingMatch = line.match(/^#{1,6}\s+(.+)/);
+
+    // Start a new chunk at each heading so sections stay intact
+    if (headingMatch && current.length) {
+      flush(lineNo - 1);
+      startLine = lineNo;
+    }
+    if (headingMatch) heading = headingMatch[1].trim();
+
+    const pieces = splitLongLine(line, CHUNK_TARGET_CHARS - currentChars);
+    pieces.forEach((piece, i) => {
+      // Each further piece of a cut line opens its own chunk
+      if (i && current.length) flush(lineNo);
+      if (!current.length) {
+        startLine = lineNo;
+        chunkHeading = heading;
+      }
+
+      current.push(piece);
+      currentChars += piece.length + 1;
+
+      if (currentChars >= CHUNK_TARGET_CHARS) {
+        flush(lineNo);
+      }
+    });
+  });
+  flush(lines.length);
+
+  return chunks;
+};
+
+// Okapi BM25 ranking of chunks against a free-text query.
+export const rankChunks = (chunks, query, { k1 = 1.2, b = 0.75 } = {}) => {
+  const queryTerms = Array.from(new Set(tokenize(query)));
+  if (!chunks.length || !queryTerms.length) return [];
+
+  const docs = chunks.map((chunk) => {
+    const tf = new Map();
+    const tokens = tokenize(chunk.text);
+    for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1);
+    return { chunk, tf, length: tokens.length };
+  });
+
+  const avgLength =
+    docs.reduce((sum, d) => sum + d.length, 0) / docs.length || 1;
+
+  const docFreq = new Map();
+  for (const term of queryTerms) {
+    docFreq.set(term, docs.filter((d) => d.tf.has(term)).length);
+  }
+
+  return docs
+    .map(({ chunk, tf, length }) => {
+      let score = 0;
+      for (const term of queryTerms) {
+        const f = tf.get(term);
+        if (!f) continue;
+        const n = docFreq.get(term);
+        const idf = Math.log(1 + (docs.length - n + 0.5) / (n + 0.5));
+        score +=
+          (idf * f * (k1 + 1)) /
+          (f + k1 * (1 - b + (b * length) / avgLength));
+      }
+      return { chunk, score };
+    })
+    .filter((r) => r.score > 0)
+    .sort((a, b2) => b2.score - a.score);
+};
+
+// Pick the most relevant passages within a character budget. Falls back to
+// the opening passages of each file when the query matches nothing (e.g.
+// "summarise this document").
+export const selectPassages = (chunks, query, maxChars) => {
+  let ranked = rankChunks(chunks, query).map((r) => r.chunk);
+
+  if (!ranked.length) {
+    const byFile = new Map();
+    for (const c of chunks) {
+      if (!byFile.has(c.file)) byFile.set(c.file, []);
+      byFile.get(c.file).push(c);
+    }
+    // Round-robin the first chunks of every file
+    const queues = Array.from(byFile.values());
+    ranked = [];
+    for (let i = 0; queues.some((q) => i < q.length); i++) {
+      for (const q of queues) if (q[i]) ranked.push(q[i]);
+    }
+  }
+
+  const picked = [];
+  let used = 0;
+  for (const chunk of ranked) {
+    if (used + chunk.text.length > maxChars) continue;
+    picked.push(chunk);
+    used += chunk.text.length;
+  }
+  return picked;
+};
+
+export const formatCitation = (chunk) =>
+  `${chunk.file} › ${chunk.section} (lines ${chunk.lines[0]}–${chunk.lines[1]})`;
@@ -0,0 +1,121 @@
+// Side-by-side comparison of saved scenario configurations.
+// Every scenario is run through the same deterministic engine, so the
+// differences in the table come from the inputs alone.
+
+import { simulateScenario } from "./scenarioEngine";
+import { toEngineInputs, describeScenario } from "./scenarioFields";
+
+export const COMPARISON_METRICS = [
+  {
+    key: "selfSufficiencyPct",
+    label: "Self-sufficiency",
+    unit: "%",
+    better: "higher",
+    get: (r) => r.annual.selfSufficiencyPct,
+  },
+  {
+    key: "curtailedPct",
+    label: "Curtailment",
+    unit: "%",
+    better: "lower",
+    get: (r) => r.annual.curtailedPct,
+  },
+  {
+    key: "peakGridImportMW",
+    label: "Peak grid import",
+    unit: "MW",
+    better: "lower",
+    get: (r) => r.peaks.gridImportMW,
+  },
+  {
+    key: "gridImportMWh",
+    label: "Grid import",
+    unit: "MWh",
+    better: "lower",
+    get: (r) => r.annual.gridImportMWh,
+  },
+  {
+    key: "unmetMWh",
+    label: "Unmet load",
+    unit: "MWh",
+    better: "lower",
+    get: (r) => r.annual.unmetMWh,
+  },
+  {
+    key: "costUSD",
+    label: "Annual cost",
+    unit: "USD",
+    better: "lower",
+    get: (r) => r.annual.costUSD,
+  },
+  {
+    key: "costPerMWh",
+    label: "Cost per MWh",
+    unit: "USD/MWh",
+    better: "lower",
+    get: (r) => r.annual.costPerMWh,
+  },
+  {
+    key: "emissionsT",
+    label: "Grid CO₂ emissions",
+    unit: "t",
+    better: "lower",
+    get: (r) => r.annual.emissionsT,
+  },
+];
+
+// Run every saved scenario and collect one row per metric.
+// Returns plain JSON (no functions) so it can be stored on a message.
+export const compareScenarios = (savedScenarios) => {
+  const runs = savedScenarios.map((s) => ({
+    name: s.name,
+    inputs: s.inputs,
+    result: simulateScenario(toEngineInputs(s.inputs)),
+  }));
+
+  const rows = COMPARISON_METRICS.map((m) => {
+    const values = runs.map((run) => m.get(run.result));
+    const best =
+      m.better === "higher" ? Math.max(...values) : Math.min(...values);
+    return {
+      key: m.key,
+      label: m.label,
+      unit: m.unit,
+      better: m.better,
+      values,
+      bestIndexes: values
+        .map((v, i) => (v === best ? i : -1))
+        .filter((i) => i !== -1),
+    };
+  });
+
+  return {
+    scenarios: runs.map(({ name, inputs }) => ({ name, inputs })),
+    rows,
+  };
+};
+
+// Markdown table for the model prompt (first scenario is the baseline)
+export const formatComparison = (comparison) => {
+  const names = comparison.scenarios.map((s) => s.name);
+  const fmt = (n) => Number(n).toLocaleString("en-US");
+
+  const header = `| Metric | ${names.join(" | ")} |`;
+  const divider = `|---|${names.map(() => "---").join("|")}|`;
+  const body = comparison.rows.map(
+    (row) =>
+      `| ${row.label} (${row.unit}, ${row.better} is better) | ${row.values
+        .map(fmt)
+        .join(" | ")} |`
+  );
+
+  return [
+    ...comparison.scenarios.map(
+      (s) => `* ${s.name}: ${describeScenario(s.inputs)}`
+    ),
+    "",
+    header,
+    divider,
+    ...body,
+  ].join("\n");
+};
@@ -0,0 +1,493 @@
+// Deterministic hourly energy balance for the "Run Scenario" panel.
+// Pure functions only: same inputs → same numbers, no network, no LLM.
+// The results are handed to the model so its narrative is grounded in
+// actual arithmetic instead of invented figures.
+
+const HOURS_PER_DAY = 24;
+const DAYS_PER_YEAR = 365;
+const HOURS_PER_YEAR = HOURS_PER_DAY * DAYS_PER_YEAR;
+
+// Assumptions used when the panel does not provide a value
+export const DEFAULT_ASSUMPTIONS = {
+  annualDemandMWh: 150000, // baseline demand before EVs / heat pumps
+  latitude: 23.7,
+  year: 2025,
+  vehicleFleet: null, // vehicles in the area (null = scaled from demand)
+  evKWhPerDay: 5.9, // ~12,000 km/yr at 0.18 kWh/km
+  households: null, // heat pump % applies to this (null = scaled from demand)
+  heatPumpKWhPerDay: 8, // coldest-day use at high latitudes
+  storageHours: 2, // storage power = energy / hours
+  storageEfficiency: 0.9, // round trip
+  solarPerformanceRatio: 0.8,
+  windCapacityFactor: 0.3, // long-run average
+  gridImportLimitMW: null, // null = unlimited
+  gridExportLimitMW: 0, // surplus beyond storage is curtailed
+  // Economics (USD) and emissions, used for comparisons
+  gridPricePerMWh: 90,
+  exportPricePerMWh: 40,
+  solarCostPerMWh: 45, // levelised cost of solar output
+  windCostPerMWh: 50, // levelised cost of wind output
+  storageCostPerMWhYear: 25000, // annualised capex + O&M per MWh installed
+  gridEmissionsTPerMWh: 0.7, // tCO2 per MWh imported
+};
+
+const normalize = (values) => {
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  return values.map((v) => v / mean);
+};
+
+// Typical mixed residential/commercial day, evening peak (mean ≈ 1)
+const LOAD_SHAPE = normalize([
+  0.72, 0.68, 0.66, 0.65, 0.67, 0.75, 0.88, 0.98, 1.03, 1.05, 1.06, 1.07,
+  1.06, 1.05, 1.04, 1.05, 1.1, 1.22, 1.32, 1.3, 1.22, 1.08, 0.92, 0.8,
+]);
+
+// Mostly home charging after work, some workplace charging midday (sum = 1)
+const EV_CHARGING_SHAPE = normalize([
+  0.05, 0.04, 0.03, 0.02, 0.01, 0.01, 0.01, 0.02, 0.03, 0.03, 0.03, 0.03,
+  0.03, 0.03, 0.03, 0.03, 0.04, 0.07, 0.1, 0.11, 0.1, 0.08, 0.06, 0.06,
+]).map((v) => v / HOURS_PER_DAY);
+
+// Heat pumps: morning and evening heating peaks (sum = 1)
+const HEAT_PUMP_SHAPE = normalize([
+  0.03, 0.03, 0.03, 0.03, 0.04, 0.06, 0.08, 0.07, 0.05, 0.04, 0.03, 0.03,
+  0.03, 0.03, 0.03, 0.03, 0.04, 0.05, 0.06, 0.06, 0.05, 0.04, 0.04, 0.03,
+]).map((v) => v / HOURS_PER_DAY);
+
+// Wind blows a little harder at night
+const WIND_DIURNAL = normalize(
+  Array.from(
+    { length: HOURS_PER_DAY },
+    (_, h) => 1 + 0.2 * Math.cos((2 * Math.PI * (h - 3)) / HOURS_PER_DAY)
+  )
+);
+
+// Scale fleet / household counts with demand when not given explicitly
+// (150 GWh/yr ≈ 50,000 vehicles ≈ 40,000 households)
+const VEHICLES_PER_MWH = 1 / 3;
+const HOUSEHOLDS_PER_MWH = 1 / 3.75;
+
+// Small seeded PRNG (mulberry32) so "weather" is identical on every run
+const seededRandom = (seed) => {
+  let t = seed >>> 0;
+  return () => {
+    t += 0x6d2b79f5;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const toNumber = (value, fallback = 0) => {
+  const n = typeof value === "number" ? value : parseFloat(value);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+const round = (value, digits = 1) => {
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+};
+
+const solarDeclination = (dayOfYear) =>
+  ((23.45 * Math.PI) / 180) *
+  Math.sin(((2 * Math.PI) / 365) * (284 + dayOfYear));
+
+// Clear-sky irradiance in kW/m² on a horizontal surface (Meinel model)
+const clearSkyIrradiance = (latitudeDeg, dayOfYear, hour) => {
+  const lat = (latitudeDeg * Math.PI) / 180;
+  const decl = solarDeclination(dayOfYear);
+  const hourAngle = ((15 * (hour + 0.5 - 12)) * Math.PI) / 180;
+  const sinElevation =
+    Math.sin(lat) * Math.sin(decl) +
+    Math.cos(lat) * Math.cos(decl) * Math.cos(hourAngle);
+  if (sinElevation <= 0.01) return 0;
+  const airMass = 1 / sinElevation;
+  return 1.1 * 1.353 * Math.pow(0.7, Math.pow(airMass, 0.678)) * sinElevation;
+};
+
+// Daily clearness index: wetter mid-year (monsoon), random day-to-day spread
+const dailyClearness = (random, dayOfYear) => {
+  const seasonal =
+    0.88 - 0.22 * Math.max(0, Math.sin(((dayOfYear - 150) / 120) * Math.PI));
+  return Math.min(1, Math.max(0.2, seasonal + (random() - 0.5) * 0.35));
+};
+
+// Day-to-day wind resource around its seasonal mean (windier mid-year)
+const dailyWindFactor = (random, dayOfYear) => {
+  const seasonal = 1 + 0.25 * Math.sin(((dayOfYear - 100) / 365) * 2 * Math.PI);
+  return Math.max(0.05, seasonal * (0.35 + random() * 1.3));
+};
+
+// Heating need through the year: 1 on the coldest day, 0 mid-summer.
+// Flipped for the southern hemisphere, weaker near the equator.
+const heatingFactor = (dayOfYear, latitude) => {
+  const coldestDay = latitude >= 0 ? 15 : 197;
+  const seasonal =
+    0.5 * (1 + Math.cos((2 * Math.PI * (dayOfYear - coldestDay)) / 365));
+  return seasonal * Math.min(1, Math.abs(latitude) / 45);
+};
+
+// Mild seasonal swing in baseline demand (cooling peak around July)
+const seasonalLoadFactor = (dayOfYear) =>
+  1 + 0.12 * Math.cos((2 * Math.PI * (dayOfYear - 196)) / 365);
+
+// Baseline demand factor for each day of `year`: seasonal swing times a
+// weekend dip, scaled to mean 1 so the year adds up to annualDemandMWh
+const dailyLoadFactors = (year) => {
+  // Weekday factor needs real calendar days for the chosen year
+  const jan1Weekday = new Date(Date.UTC(year, 0, 1)).getUTCDay();
+  return normalize(
+    Array.from({ length: DAYS_PER_YEAR }, (_, d) => {
+      const weekday = (jan1Weekday + d) % 7;
+      const weekendFactor = weekday === 0 || weekday === 6 ? 0.92 : 1.02;
+      return seasonalLoadFactor(d + 1) * weekendFactor;
+    })
+  );
+};
+
+const normalizeInputs = (inputs = {}) => {
+  const a = { ...DEFAULT_ASSUMPTIONS };
+  for (const key of Object.keys(DEFAULT_ASSUMPTIONS)) {
+    if (inputs[key] !== undefined && inputs[key] !== "") {
+      a[key] = inputs[key] === null ? null : toNumber(inputs[key], a[key]);
+    }
+  }
+
+  // Uploaded hourly baseline (whole days, MW), repeated over the year. It
+  // replaces the generic shape and sets the baseline demand.
+  const loadProfileMW =
+    Array.isArray(inputs.loadProfileMW) &&
+    inputs.loadProfileMW.length >= HOURS_PER_DAY
+      ? inputs.loadProfileMW.map((v) => Math.max(0, toNumber(v)))
+      : null;
+  if (loadProfileMW) {
+    let annual = 0;
+    for (let h = 0; h < HOURS_PER_YEAR; h++) {
+      annual += loadProfileMW[h % loadProfileMW.length];
+    }
+    a.annualDemandMWh = annual;
+  }
+
+  const storageMWh = Math.max(0, toNumber(inputs.storage));
+  return {
+    ...a,
+    loadProfileMW,
+    vehicleFleet: a.vehicleFleet ?? a.annualDemandMWh * VEHICLES_PER_MWH,
+    households: a.households ?? a.annualDemandMWh * HOUSEHOLDS_PER_MWH,
+    solarMW: Math.max(0, toNumber(inputs.solar)),
+    windMW: Math.max(0, toNumber(inputs.wind)),
+    evPercent: Math.min(100, Math.max(0, toNumber(inputs.ev))),
+    heatPumpPercent: Math.min(100, Math.max(0, toNumber(inputs.heatPump))),
+    storageMWh,
+    storageMW:
+      inputs.storagePowerMW !== undefined && inputs.storagePowerMW !== ""
+        ? Math.max(0, toNumber(inputs.storagePowerMW))
+        : storageMWh / a.storageHours,
+  };
+};
+
+const describeHour = (hourOfYear, year) => {
+  const date = new Date(Date.UTC(year, 0, 1) + hourOfYear * 3600 * 1000);
+  return date.toISOString().slice(0, 13).replace("T", " ") + ":00";
+};
+
+// Run a full-year (8760 h) simulation.
+// `inputs` uses the Scenario panel's fields (`solar` / `wind` MW, `ev` /
+// `heatPump` %, `storage` MWh, `storagePowerMW`) plus any key of
+// DEFAULT_ASSUMPTIONS to override it, and optionally `loadProfileMW`
+// (hourly baseline demand from an uploaded CSV). Returns annual
+// totals, peak figures and an average-day hourly profile.
+export const simulateScenario = (inputs) => {
+  const p = normalizeInputs(inputs);
+  const random = seededRandom(20240601);
+  const windRandom = seededRandom(19870321);
+
+  const avgBaseLoadMW = p.annualDemandMWh / HOURS_PER_YEAR;
+  const evCount = (p.vehicleFleet * p.evPercent) / 100;
+  const evDailyMWh = (evCount * p.evKWhPerDay) / 1000;
+  const heatPumpCount = (p.households * p.heatPumpPercent) / 100;
+  const etaIn = Math.sqrt(p.storageEfficiency);
+  const etaOut = Math.sqrt(p.storageEfficiency);
+  const importLimit =
+    p.gridImportLimitMW === null ? Infinity : Math.max(0, p.gridImportLimitMW);
+  const exportLimit =
+    p.gridExportLimitMW === null ? Infinity : Math.max(0, p.gridExportLimitMW);
+
+  const dayLoadFactors = dailyLoadFactors(p.year);
+
+  const totals = {
+    baseDemandMWh: 0,
+    evDemandMWh: 0,
+    heatPumpDemandMWh: 0,
+    solarMWh: 0,
+    windMWh: 0,
+    renewableUsedMWh: 0,
+    storageChargeMWh: 0,
+    storageDischargeMWh: 0,
+    curtailedMWh: 0,
+    gridImportMWh: 0,
+    gridExportMWh: 0,
+    unmetMWh: 0,
+  };
+  let peakDemand = { mw: 0, hour: 0 };
+  let peakNetDemand = { mw: -Infinity, hour: 0 };
+  let peakGridImport = { mw: 0, hour: 0 };
+  let unmetHours = 0;
+
+  const day = Array.from({ length: HOURS_PER_DAY }, () => ({
+    load: 0,
+    evLoad: 0,
+    heatPumpLoad: 0,
+    solar: 0,
+    wind: 0,
+    charge: 0,
+    discharge: 0,
+    gridImport: 0,
+    curtailed: 0,
+    soc: 0,
+  }));
+
+  let soc = p.storageMWh * 0.5;
+
+  for (let d = 0; d < DAYS_PER_YEAR; d++) {
+    const dayOfYear = d + 1;
+    const clearness = dailyClearness(random, dayOfYear);
+    const windFactor = dailyWindFactor(windRandom, dayOfYear);
+    const heatPumpDailyMWh =
+      (heatPumpCount *
+        p.heatPumpKWhPerDay *
+        heatingFactor(dayOfYear, p.latitude)) /
+      1000;
+
+    for (let h = 0; h < HOURS_PER_DAY; h++) {
+      const hourOfYear = d * HOURS_PER_DAY + h;
+
+      const baseLoad = p.loadProfileMW
+        ? p.loadProfileMW[hourOfYear % p.loadProfileMW.length]
+        : avgBaseLoadMW * LOAD_SHAPE[h] * dayLoadFactors[d];
+      const evLoad = evDailyMWh * EV_CHARGING_SHAPE[h];
+      const heatPumpLoad = heatPumpDailyMWh * HEAT_PUMP_SHAPE[h];
+      const load = baseLoad + evLoad + heatPumpLoad;
+
+      const solar =
+        p.solarMW *
+        p.solarPerformanceRatio *
+        clearSkyIrradiance(p.latitude, dayOfYear, h) *
+        clearness;
+      const wind = Math.min(
+        p.windMW,
+        p.windMW * p.windCapacityFactor * windFactor * WIND_DIURNAL[h]
+      );
+      const renewable = solar + wind;
+
+      const net = load - renewable;
+      let charge = 0;
+      let discharge = 0;
+      let gridImport = 0;
+      let gridExport = 0;
+      let curtailed = 0;
+      let unmet = 0;
+
+      if (net < 0) {
+        const surplus = -net;
+        charge = Math.min(
+          surplus,
+          p.storageMW,
+          (p.storageMWh - soc) / etaIn
+        );
+        soc += charge * etaIn;
+        const rest = surplus - charge;
+        gridExport = Math.min(rest, exportLimit);
+        curtailed = rest - gridExport;
+      } else {
+        discharge = Math.min(net, p.storageMW, soc * etaOut);
+        soc -= discharge / etaOut;
+        const remaining = net - discharge;
+        gridImport = Math.min(remaining, importLimit);
+        unmet = remaining - gridImport;
+      }
+
+      totals.baseDemandMWh += baseLoad;
+      totals.evDemandMWh += evLoad;
+      totals.heatPumpDemandMWh += heatPumpLoad;
+      totals.solarMWh += solar;
+      totals.windMWh += wind;
+      totals.renewableUsedMWh += Math.min(renewable, load);
+      totals.storageChargeMWh += charge;
+      totals.storageDischargeMWh += discharge;
+      totals.curtailedMWh += curtailed;
+      totals.gridImportMWh += gridImport;
+      totals.gridExportMWh += gridExport;
+      totals.unmetMWh += unmet;
+      if (unmet > 1e-6) unmetHours++;
+
+      if (load > peakDemand.mw) peakDemand = { mw: load, hour: hourOfYear };
+      if (net > peakNetDemand.mw) peakNetDemand = { mw: net, hour: hourOfYear };
+      if (gridImport > peakGridImport.mw) {
+        peakGridImport = { mw: gridImport, hour: hourOfYear };
+      }
+
+      const slot = day[h];
+      slot.load += load;
+      slot.evLoad += evLoad;
+      slot.heatPumpLoad += heatPumpLoad;
+      slot.solar += solar;
+      slot.wind += wind;
+      slot.charge += charge;
+      slot.discharge += discharge;
+      slot.gridImport += gridImport;
+      slot.curtailed += curtailed;
+      slot.soc += soc;
+    }
+  }
+
+  const demandMWh =
+    totals.baseDemandMWh + totals.evDemandMWh + totals.heatPumpDemandMWh;
+  const renewableMWh = totals.solarMWh + totals.windMWh;
+  const localSupplyMWh = totals.renewableUsedMWh + totals.storageDischargeMWh;
+
+  const costUSD =
+    totals.gridImportMWh * p.gridPricePerMWh -
+    totals.gridExportMWh * p.exportPricePerMWh +
+    totals.solarMWh * p.solarCostPerMWh +
+    totals.windMWh * p.windCostPerMWh +
+    p.storageMWh * p.storageCostPerMWhYear;
+  const emissionsT = totals.gridImportMWh * p.gridEmissionsTPerMWh;
+  const allGridEmissionsT = demandMWh * p.gridEmissionsTPerMWh;
+
+  return {
+    inputs: {
+      solarMW: p.solarMW,
+      windMW: p.windMW,
+      evPercent: p.evPercent,
+      heatPumpPercent: p.heatPumpPercent,
+      storageMWh: p.storageMWh,
+      storageMW: round(p.storageMW, 2),
+    },
+    assumptions: {
+      annualDemandMWh: round(p.annualDemandMWh, 0),
+      // Hours in the uploaded demand profile (null = generic shape)
+      demandProfileHours: p.loadProfileMW ? p.loadProfileMW.length : null,
+      latitude: p.latitude,
+      year: p.year,
+      vehicleFleet: p.vehicleFleet,
+      evCount: Math.round(evCount),
+      evKWhPerDay: p.evKWhPerDay,
+      households: Math.round(p.households),
+      heatPumpCount: Math.round(heatPumpCount),
+      heatPumpKWhPerDay: p.heatPumpKWhPerDay,
+      windCapacityFactor: p.windCapacityFactor,
+      storageEfficiency: p.storageEfficiency,
+      solarPerformanceRatio: p.solarPerformanceRatio,
+      gridImportLimitMW: p.gridImportLimitMW,
+      gridExportLimitMW: p.gridExportLimitMW,
+      gridPricePerMWh: p.gridPricePerMWh,
+      exportPricePerMWh: p.exportPricePerMWh,
+      solarCostPerMWh: p.solarCostPerMWh,
+      windCostPerMWh: p.windCostPerMWh,
+      storageCostPerMWhYear: p.storageCostPerMWhYear,
+      gridEmissionsTPerMWh: p.gridEmissionsTPerMWh,
+    },
+    annual: {
+      demandMWh: round(demandMWh, 0),
+      baseDemandMWh: round(totals.baseDemandMWh, 0),
+      evDemandMWh: round(totals.evDemandMWh, 0),
+      heatPumpDemandMWh: round(totals.heatPumpDemandMWh, 0),
+      solarMWh: round(totals.solarMWh, 0),
+      solarCapacityFactorPct: p.solarMW
+        ? round((totals.solarMWh / (p.solarMW * HOURS_PER_YEAR)) * 100, 1)
+        : 0,
+      windMWh: round(totals.windMWh, 0),
+      windCapacityFactorPct: p.windMW
+        ? round((totals.windMWh / (p.windMW * HOURS_PER_YEAR)) * 100, 1)
+        : 0,
+      renewableUsedDirectMWh: round(totals.renewableUsedMWh, 0),
+      storageChargeMWh: round(totals.storageChargeMWh, 0),
+      storageDischargeMWh: round(totals.storageDischargeMWh, 0),
+      storageCycles: p.storageMWh
+        ? round(totals.storageDischargeMWh / p.storageMWh, 0)
+        : 0,
+      curtailedMWh: round(totals.curtailedMWh, 0),
+      curtailedPct: renewableMWh
+        ? round((totals.curtailedMWh / renewableMWh) * 100, 1)
+        : 0,
+      gridImportMWh: round(totals.gridImportMWh, 0),
+      gridExportMWh: round(totals.gridExportMWh, 0),
+      unmetMWh: round(totals.unmetMWh, 0),
+      unmetHours,
+      selfSufficiencyPct: demandMWh
+        ? round((localSupplyMWh / demandMWh) * 100, 1)
+        : 0,
+      costUSD: round(costUSD, 0),
+      costPerMWh: demandMWh ? round(costUSD / demandMWh, 2) : 0,
+      emissionsT: round(emissionsT, 0),
+      emissionsAvoidedT: round(allGridEmissionsT - emissionsT, 0),
+    },
+    peaks: {
+      demandMW: round(peakDemand.mw, 2),
+      demandHour: describeHour(peakDemand.hour, p.year),
+      netDemandMW: round(peakNetDemand.mw, 2),
+      netDemandHour: describeHour(peakNetDemand.hour, p.year),
+      gridImportMW: round(peakGridImport.mw, 2),
+      gridImportHour: describeHour(peakGridImport.hour, p.year),
+    },
+    // Average day (MW per hour slot, SOC in MWh)
+    averageDay: day.map((slot, hour) => ({
+      hour,
+      load: round(slot.load / DAYS_PER_YEAR, 2),
+      evLoad: round(slot.evLoad / DAYS_PER_YEAR, 2),
+      heatPumpLoad: round(slot.heatPumpLoad / DAYS_PER_YEAR, 2),
+      solar: round(slot.solar / DAYS_PER_YEAR, 2),
+      wind: round(slot.wind / DAYS_PER_YEAR, 2),
+      charge: round(slot.charge / DAYS_PER_YEAR, 2),
+      discharge: round(slot.discharge / DAYS_PER_YEAR, 2),
+      gridImport: round(slot.gridImport / DAYS_PER_YEAR, 2),
+      curtailed: round(slot.curtailed / DAYS_PER_YEAR, 2),
+      soc: round(slot.soc / DAYS_PER_YEAR, 2),
+    })),
+  };
+};
+
+// Compact plain-text block for the model prompt
+export const formatScenarioResults = (r) => {
+  const a = r.annual;
+  const pk = r.peaks;
+  const as = r.assumptions;
+  const fmt = (n) => Number(n).toLocaleString("en-US");
+
+  const limit = (mw) => (mw === null ? "unlimited" : `${mw} MW`);
+  const profileDays = as.demandProfileHours / 24;
+  const demandSource = !as.demandProfileHours
+    ? ""
+    : profileDays >= 365
+      ? " from the uploaded hourly load profile"
+      : ` from the uploaded ${profileDays}-day hourly load profile, repeated over the year`;
+
+  const lines = [
+    `Inputs: solar ${r.inputs.solarMW} MW, wind ${r.inputs.windMW} MW, EV adoption ${r.inputs.evPercent}% (${fmt(as.evCount)} EVs), heat pump adoption ${r.inputs.heatPumpPercent}% (${fmt(as.heatPumpCount)} heat pumps), storage ${r.inputs.storageMWh} MWh / ${r.inputs.storageMW} MW`,
+    `Assumptions: baseline demand ${fmt(as.annualDemandMWh)} MWh/yr${demandSource}, latitude ${as.latitude}°, year ${as.year}, ${as.evKWhPerDay} kWh/EV/day, ${fmt(as.households)} households, storage round-trip ${Math.round(as.storageEfficiency * 100)}%, grid import limit ${limit(as.gridImportLimitMW)}, export limit ${limit(as.gridExportLimitMW)}`,
+    ``,
+    `Annual demand: ${fmt(a.demandMWh)} MWh (baseline ${fmt(a.baseDemandMWh)}, EV charging ${fmt(a.evDemandMWh)}, heat pumps ${fmt(a.heatPumpDemandMWh)})`,
+    `Solar generation: ${fmt(a.solarMWh)} MWh (capacity factor ${a.solarCapacityFactorPct}%)`,
+    `Wind generation: ${fmt(a.windMWh)} MWh (capacity factor ${a.windCapacityFactorPct}%)`,
+    `Renewables used directly: ${fmt(a.renewableUsedDirectMWh)} MWh`,
+    `Storage: charged ${fmt(a.storageChargeMWh)} MWh, discharged ${fmt(a.storageDischargeMWh)} MWh, ~${a.storageCycles} full cycles/yr`,
+    `Curtailment: ${fmt(a.curtailedMWh)} MWh (${a.curtailedPct}% of renewable output)`,
+    `Grid import: ${fmt(a.gridImportMWh)} MWh, grid export: ${fmt(a.gridExportMWh)} MWh`,
+    `Unmet load: ${fmt(a.unmetMWh)} MWh over ${a.unmetHours} h`,
+    `Self-sufficiency (local renewables + storage): ${a.selfSufficiencyPct}%`,
+    `Annual system cost: $${fmt(a.costUSD)} ($${a.costPerMWh}/MWh served; grid $${as.gridPricePerMWh}/MWh, solar $${as.solarCostPerMWh}/MWh, wind $${as.windCostPerMWh}/MWh, storage $${fmt(as.storageCostPerMWhYear)}/MWh-yr)`,
+    `Grid CO2 emissions: ${fmt(a.emissionsT)} t (avoided vs all-grid supply: ${fmt(a.emissionsAvoidedT)} t at ${as.gridEmissionsTPerMWh} t/MWh)`,
+    `Peak demand: ${pk.demandMW} MW at ${pk.demandHour}`,
+    `Peak net demand (demand − solar − wind): ${pk.netDemandMW} MW at ${pk.netDemandHour}`,
+    `Peak grid import after storage: ${pk.gridImportMW} MW at ${pk.gridImportHour}`,
+    ``,
+    `Average-day profile (hour: load / solar / wind / storage discharge / grid import, MW):`,
+    ...r.averageDay.map(
+      (s) =>
+        `${String(s.hour).padStart(2, "0")}h: ${s.load} / ${s.solar} / ${s.wind} / ${s.discharge} / ${s.gridImport}`
+    ),
+  ];
+
+  return lines.join("\n");
+};
@@ -0,0 +1,254 @@
+// Scenario panel fields: units, allowed ranges, presets and the mapping
+// from panel values (strings, as typed) to simulateScenario() inputs.
+
+export const SCENARIO_FIELDS = [
+  { key: "solar", label: "Solar", unit: "MW", min: 0, max: 100000 },
+  { key: "wind", label: "Wind", unit: "MW", min: 0, max: 100000 },
+  { key: "ev", label: "EV adoption", unit: "%", min: 0, max: 100 },
+  { key: "heatPump", label: "Heat pump adoption", unit: "%", min: 0, max: 100 },
+  { key: "storage", label: "Storage energy", unit: "MWh", min: 0, max: 1000000 },
+  {
+    key: "storagePower",
+    label: "Storage power",
+    unit: "MW",
+    min: 0,
+    max: 100000,
+    optional: true,
+    hint: "blank = energy ÷ 2 h",
+  },
+  {
+    key: "demand",
+    label: "Baseline demand",
+    unit: "GWh/yr",
+    min: 0.01,
+    max: 1000000,
+  },
+  {
+    key: "importLimit",
+    label: "Grid import limit",
+    unit: "MW",
+    min: 0,
+    max: 100000,
+    optional: true,
+    hint: "blank = unlimited",
+  },
+  {
+    key: "exportLimit",
+    label: "Grid export limit",
+    unit: "MW",
+    min: 0,
+    max: 100000,
+    optional: true,
+    hint: "blank = unlimited",
+  },
+  { key: "latitude", label: "Latitude", unit: "°", min: -66, max: 66 },
+  {
+    key: "year",
+    label: "Year",
+    unit: "",
+    min: 2000,
+    max: 2100,
+    integer: true,
+  },
+];
+
+export const DEFAULT_SCENARIO = {
+  location: "",
+  solar: "20",
+  wind: "0",
+  ev: "15",
+  heatPump: "0",
+  storage: "5",
+  storagePower: "",
+  demand: "150",
+  importLimit: "",
+  exportLimit: "0",
+  latitude: "23.7",
+  year: "2025",
+};
+
+export const SCENARIO_PRESETS = [
+  {
+    id: "rural-microgrid",
+    name: "Rural village microgrid",
+    values: {
+      location: "Rural village (weak grid connection)",
+      solar: "0.6",
+      wind: "0.2",
+      ev: "5",
+      heatPump: "0",
+      storage: "1.5",
+      storagePower: "0.4",
+      demand: "1.2",
+      importLimit: "0.1",
+      exportLimit: "0",
+      latitude: "24.5",
+      year: "2026",
+    },
+  },
+  {
+    id: "city-district-2030",
+    name: "City district 2030",
+    values: {
+      location: "Dense urban district",
+      solar: "40",
+      wind: "0",
+      ev: "35",
+      heatPump: "25",
+      storage: "60",
+      storagePower: "15",
+      demand: "400",
+      importLimit: "",
+      exportLimit: "10",
+      latitude: "23.8",
+      year: "2030",
+    },
+  },
+  {
+    id: "industrial-park",
+    name: "Industrial park",
+    values: {
+      location: "Industrial park",
+      solar: "60",
+      wind: "20",
+      ev: "10",
+      heatPump: "5",
+      storage: "80",
+      storagePower: "20",
+      demand: "600",
+      importLimit: "80",
+      exportLimit: "20",
+      latitude: "22.3",
+      year: "2028",
+    },
+  },
+  {
+    id: "island-grid",
+    name: "Island grid (no import)",
+    values: {
+      location: "Off-grid island",
+      solar: "8",
+      wind: "6",
+      ev: "10",
+      heatPump: "0",
+      storage: "30",
+      storagePower: "6",
+      demand: "40",
+      importLimit: "0",
+      exportLimit: "0",
+      latitude: "21.5",
+      year: "2027",
+    },
+  },
+];
+
+// Returns { fieldKey: { code, ...details } } for every invalid field
+// (empty = valid). The UI turns codes into text in the current language.
+export const validateScenario = (values) => {
+  const errors = {};
+
+  for (const field of SCENARIO_FIELDS) {
+    // An uploaded load profile sets the demand
+    if (field.key === "demand" && values.loadProfile) continue;
+    const raw = String(values[field.key] ?? "").trim();
+    if (raw === "") {
+      if (!field.optional) errors[field.key] = { code: "required" };
+      continue;
+    }
+    const n = Number(raw);
+    if (!Number.isFinite(n)) {
+      errors[field.key] = { code: "notNumber" };
+    } else if (field.integer && !Number.isInteger(n)) {
+      errors[field.key] = { code: "notInteger" };
+    } else if (n < field.min || n > field.max) {
+      errors[field.key] = {
+        code: "range",
+        min: field.min,
+        max: field.max,
+        unit: field.unit,
+      };
+    }
+  }
+
+  const storage = Number(values.storage);
+  const power = Number(values.storagePower);
+  if (!errors.storagePower && String(values.storagePower ?? "").trim()) {
+    if (power > 0 && !(storage > 0)) {
+      errors.storagePower = { code: "needsStorage" };
+    } else if (storage > 0 && power > 0 && storage / power < 0.25) {
+      errors.storagePower = { code: "durationTooShort" };
+    }
+  }
+
+  return errors;
+};
+
+const optionalNumber = (value) =>
+  value === undefined ? undefined : String(value).trim() === "" ? null : value;
+
+// Panel values → simulateScenario() inputs. Older saved scenarios only
+// have solar / ev / storage; missing keys fall back to engine defaults.
+// `loadProfile` (see toScenarioProfile in loadProfile.js) replaces the
+// baseline demand.
+export const toEngineInputs = (values) => ({
+  solar: values.solar,
+  wind: values.wind,
+  ev: values.ev,
+  heatPump: values.heatPump,
+  storage: values.storage,
+  storagePowerMW: values.storagePower,
+  annualDemandMWh:
+    values.demand !== undefined && String(values.demand).trim() !== ""
+      ? Number(values.demand) * 1000
+      : undefined,
+  loadProfileMW: values.loadProfile?.hourlyMW,
+  gridImportLimitMW: optionalNumber(values.importLimit),
+  gridExportLimitMW: optionalNumber(values.exportLimit),
+  latitude: values.latitude,
+  year: values.year,
+});
+
+// One-line summary used in chat bubbles and prompts. `label(key, text)`
+// lets the UI swap in translated names; prompts keep the English ones.
+export const describeScenario = (values, label = (key, text) => text) => {
+  const v = (key) => values[key] || "0";
+  const parts = [
+    `${label("solar", "Solar")} ${v("solar")} MW`,
+    `${label("wind", "Wind")} ${v("wind")} MW`,
+    `${label("ev", "EV")} ${v("ev")} %`,
+    `${label("heatPump", "Heat pumps")} ${v("heatPump")} %`,
+    `${label("storage", "Storage")} ${v("storage")} MWh${
+      values.storagePower ? ` / ${values.storagePower} MW` : ""
+    }`,
+  ];
+  if (values.loadProfile) {
+    parts.push(`${label("demand", "Demand")} 📈 ${values.loadProfile.name}`);
+  } else if (values.demand) {
+    parts.push(`${label("demand", "Demand")} ${values.demand} GWh/yr`);
+  }
+  return parts.join(" · ");
+};
+
+// Full field list for the model prompt
+export const describeScenarioForPrompt = (values, presetName) => {
+  const lines = [];
+  if (presetName) lines.push(`Preset: ${presetName}`);
+  if (values.location) lines.push(`Location: ${values.location}`);
+  for (const field of SCENARIO_FIELDS) {
+    if (field.key === "demand" && values.loadProfile) {
+      lines.push(
+        `${field.label}: uploaded hourly load profile "${values.loadProfile.name}" (${values.loadProfile.days} days)`
+      );
+      continue;
+    }
+    const raw = String(values[field.key] ?? "").trim();
+    const shown =
+      raw === ""
+        ? field.hint
+          ? `(${field.hint.replace(/^blank = /, "")})`
+          : "(default)"
+        : `${raw}${field.unit ? ` ${field.unit}` : ""}`;
+    lines.push(`${field.label}: ${shown}`);
+  }
+  return lines.join("\n");
+};
@@ -0,0 +1,75 @@
+// Structured scenario replies (scenario template v2): shape check and a
+// Markdown rendering, which becomes the message text used for copying,
+// search, exports and the history sent back to the model.
+
+export const RISK_SEVERITIES = ["low", "medium", "high"];
+
+const isString = (value) => typeof value === "string";
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+// The function validates replies against the schema; this guards the
+// renderer against anything else (imports, stored history)
+export const isScenarioReport = (report) =>
+  isObject(report) &&
+  [report.title, report.scenario, report.chartNotes, report.ttsSummary].every(
+    isString
+  ) &&
+  Array.isArray(report.loadVsGeneration) &&
+  report.loadVsGeneration.every(
+    (f) =>
+      isObject(f) &&
+      isString(f.label) &&
+      Number.isFinite(f.value) &&
+      isString(f.unit) &&
+      isString(f.note)
+  ) &&
+  Array.isArray(report.risks) &&
+  report.risks.every(
+    (r) =>
+      isObject(r) &&
+      isString(r.title) &&
+      isString(r.detail) &&
+      RISK_SEVERITIES.includes(r.severity)
+  ) &&
+  Array.isArray(report.recommendations) &&
+  report.recommendations.every(isString);
+
+// Same sections as the Markdown scenario report (template v1)
+export const scenarioReportToMarkdown = (report, { t, formatNumber }) => {
+  const out = [
+    `## ⚡ ${report.title}`,
+    "",
+    `### ${t("report.scenario")}`,
+    report.scenario,
+  ];
+
+  if (report.loadVsGeneration.length) {
+    out.push("", `### ${t("report.loadVsGeneration")}`);
+    report.loadVsGeneration.forEach((f) =>
+      out.push(
+        `* **${f.label}:** ${formatNumber(f.value)} ${f.unit}`.trim() +
+          (f.note ? ` – ${f.note}` : "")
+      )
+    );
+  }
+  if (report.risks.length) {
+    out.push("", `### ${t("report.risks")}`);
+    report.risks.forEach((r) =>
+      out.push(
+        `* **${r.title}** (${t(`report.severity.${r.severity}`)}): ${r.detail}`
+      )
+    );
+  }
+  // Markdown list numbers stay ASCII so the list still parses
+  if (report.recommendations.length) {
+    out.push("", `### ${t("report.recommendations")}`);
+    report.recommendations.forEach((step, i) => out.push(`${i + 1}. ${step}`));
+  }
+  if (report.chartNotes) {
+    out.push("", `### ${t("report.charts")}`, report.chartNotes);
+  }
+  out.push("", `### ${t("report.ttsSummary")}`, report.ttsSummary);
+
+  return out.join("\n");
+};
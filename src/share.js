@@ -0,0 +1,79 @@
+// Read-only links to a conversation (netlify/functions/share.js). A share
+// is a snapshot of the chat in the JSON export format; /share/<id> opens it
+// in the app's read-only view, from where it can be forked into the
+// viewer's own history. Errors come back as { error: code, details } with
+// codes from apiError.* in the locales.
+
+import { toJsonExport, parseJsonExport } from "./conversationExport";
+
+export const SHARE_API_URL = "/api/share";
+
+export const shareIdFromPath = (pathname) =>
+  pathname.match(/^\/share\/([A-Za-z0-9_-]{12})\/?$/)?.[1] || null;
+
+export const shareUrl = (id) => `${window.location.origin}/share/${id}`;
+
+// What a link shows: the messages on screen. Other branches, the rolling
+// summary and the text of attached documents stay private; load profile
+// statistics are kept for their cards.
+export const toShareSnapshot = (conv) =>
+  toJsonExport({
+    ...conv,
+    branches: undefined,
+    contextSummary: undefined,
+    pinned: undefined,
+    messages: conv.messages.map((m) =>
+      m.attachments?.length
+        ? {
+            ...m,
+            attachments: m.attachments.map((att) => ({
+              ...att,
+              content: undefined,
+            })),
+          }
+        : m
+    ),
+  });
+
+export const createShare = async (conv) => {
+  try {
+    const res = await fetch(SHARE_API_URL, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: toShareSnapshot(conv),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (res.ok && data.id) return { id: data.id };
+    return {
+      error: data.code || "share_unavailable",
+      details: {
+        ...data,
+        retryAfter: data.retryAfter ?? Number(res.headers.get("Retry-After")),
+      },
+    };
+  } catch (err) {
+    console.error("Could not create a share link:", err);
+    return { error: "share_unavailable" };
+  }
+};
+
+// Resolves to { conversation, createdAt } or { error }. The snapshot gets
+// the same checks as an imported file.
+export const fetchShare = async (id, signal) => {
+  try {
+    const res = await fetch(`${SHARE_API_URL}/${id}`, { signal });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok || !data.snapshot) {
+      return { error: data.code || "share_unavailable" };
+    }
+    const { conversation, error } = parseJsonExport(
+      JSON.stringify(data.snapshot)
+    );
+    if (error) return { error: "invalid_share" };
+    return { conversation, createdAt: data.createdAt };
+  } catch (err) {
+    if (err.name === "AbortError") throw err;
+    console.error("Could not load the shared conversation:", err);
+    return { error: "share_unavailable" };
+  }
+};
@@ -0,0 +1,129 @@
+// Text preparation for reading replies aloud with speechSynthesis:
+// pick the "TTS-Friendly Summary" section, strip Markdown, guess the
+// language and split into sentences for highlighting.
+
+// Script ranges checked before falling back to Latin-language guesses
+const SCRIPT_LANGS = [
+  { re: /[\u0980-\u09FF]/g, lang: "bn-BD" }, // Bangla
+  { re: /[\u0900-\u097F]/g, lang: "hi-IN" }, // Devanagari (Hindi)
+  { re: /[\u0600-\u06FF]/g, lang: "ar-SA" }, // Arabic
+  { re: /[\u0B80-\u0BFF]/g, lang: "ta-IN" }, // Tamil
+  { re: /[\u0400-\u04FF]/g, lang: "ru-RU" }, // Cyrillic
+  { re: /[\u3040-\u30FF]/g, lang: "ja-JP" }, // Kana
+  { re: /[\u4E00-\u9FFF]/g, lang: "zh-CN" }, // CJK ideographs
+];
+
+// Frequent short words for telling Latin-script languages apart
+const LATIN_MARKERS = {
+  "es-ES": "el la los las de que y en para con es una energía",
+  "fr-FR": "le la les des et est pour avec une dans énergie",
+  "de-DE": "der die das und ist mit für ein eine nicht energie",
+  "pt-BR": "o os as de que e para com uma não energia é",
+  "en-US": "the and is of to for with this that energy",
+};
+
+// Find the "### TTS-Friendly Summary" section (heading may be translated,
+// so match any heading mentioning TTS). Returns "" if there is none.
+export const extractTtsSection = (markdown) => {
+  const lines = String(markdown || "").split("\n");
+  const start = lines.findIndex((l) => /^#{1,4}\s.*\bTTS\b/i.test(l));
+  if (start === -1) return "";
+  const level = lines[start].match(/^#+/)[0].length;
+  const rest = lines.slice(start + 1);
+  const end = rest.findIndex((l) => {
+    const m = l.match(/^(#+)\s/);
+    return m && m[1].length <= level;
+  });
+  return (end === -1 ? rest : rest.slice(0, end)).join("\n").trim();
+};
+
+export const stripMarkdown = (markdown) =>
+  String(markdown || "")
+    .replace(/```[\s\S]*?```/g, " ")
+    .replace(/`([^`]*)`/g, "$1")
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, "")
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+    .replace(/^#{1,6}\s+/gm, "")
+    .replace(/^\s*>\s?/gm, "")
+    .replace(/^\s*([-*+]|\d+[.)])\s+/gm, "")
+    .replace(/^\s*\|?[\s:-]+\|[\s|:-]*$/gm, "")
+    .replace(/\|/g, " ")
+    .replace(/(\*\*|__|\*|_|~~)(.*?)\1/g, "$2")
+    .replace(/[ \t]+/g, " ")
+    .replace(/\n{2,}/g, "\n")
+    .trim();
+
+// Text to read for a reply: the TTS section if present, else everything
+export const getSpeakableText = (markdown) =>
+  stripMarkdown(extractTtsSection(markdown) || markdown);
+
+export const detectLanguage = (text) => {
+  const sample = String(text || "").slice(0, 2000);
+  let best = { lang: null, count: 0 };
+  for (const { re, lang } of SCRIPT_LANGS) {
+    const count = (sample.match(re) || []).length;
+    if (count > best.count) best = { lang, count };
+  }
+  if (best.count > 5) return best.lang;
+
+  const words = sample.toLowerCase().split(/[^\p{L}]+/u);
+  let latin = { lang: "en-US", score: 0 };
+  for (const [lang, markers] of Object.entries(LATIN_MARKERS)) {
+    const set = new Set(markers.split(" "));
+    const score = words.filter((w) => set.has(w)).length;
+    if (score > latin.score) latin = { lang, score };
+  }
+  return latin.lang;
+};
+
+// Sentence split that also knows the Bangla/Hindi danda and Arabic "؟"
+export const splitSentences = (text) =>
+  (String(text || "").match(/[^.!?।॥؟\n]+[.!?।॥؟]*/g) || [])
+    .map((s) => s.trim())
+    .filter((s) => /[\p{L}\p{N}]/u.test(s));
+
+// Best installed voice for a BCP 47 tag: exact match, then same language
+export const pickVoice = (voices, lang) => {
+  const base = lang.split("-")[0].toLowerCase();
+  return (
+    voices.find((v) => v.lang.toLowerCase() === lang.toLowerCase()) ||
+    voices.find((v) => v.lang.toLowerCase().split(/[-_]/)[0] === base) ||
+    null
+  );
+};
+
+// Languages offered for voice input (labels in their own script)
+export const VOICE_INPUT_LANGUAGES = [
+  { code: "en-US", label: "English" },
+  { code: "bn-BD", label: "বাংলা" },
+  { code: "hi-IN", label: "हिन्दी" },
+  { code: "ur-PK", label: "اردو" },
+  { code: "ta-IN", label: "தமிழ்" },
+  { code: "ar-SA", label: "العربية" },
+  { code: "es-ES", label: "Español" },
+  { code: "fr-FR", label: "Français" },
+  { code: "pt-BR", label: "Português" },
+  { code: "de-DE", label: "Deutsch" },
+  { code: "zh-CN", label: "中文" },
+];
+
+// Regional variant to retry with when a browser rejects the first choice
+export const RECOGNITION_FALLBACKS = {
+  "bn-BD": "bn-IN",
+  "ur-PK": "ur-IN",
+  "ar-SA": "ar-EG",
+  "es-ES": "es-US",
+  "pt-BR": "pt-PT",
+  "en-US": "en-GB",
+};
+
+// Browser language if we offer it, else English
+export const defaultVoiceLanguage = () => {
+  const nav = typeof navigator !== "undefined" ? navigator.language : "";
+  const base = (nav || "").split("-")[0];
+  return (
+    VOICE_INPUT_LANGUAGES.find((l) => l.code === nav)?.code ||
+    VOICE_INPUT_LANGUAGES.find((l) => l.code.split("-")[0] === base)?.code ||
+    "en-US"
+  );
+};
@@ -0,0 +1,58 @@
+// "Translate to…" on assistant replies. Each translation is stored on the
+// message next to the original, keyed by language code:
+//   msg.translations = { bn: { text, translatedAt, generatedBy } }
+//   msg.translationView = { language, bilingual }   (null → original)
+// The translation template is told to keep figures as written, and
+// `missingFigures` checks that it did.
+
+import { LOCALES } from "./i18n";
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+export const translationLocale = (code) =>
+  LOCALES.find((l) => l.code === code) || null;
+
+// Shape check for stored and imported messages
+export const cleanTranslations = (translations) => {
+  if (!isObject(translations)) return null;
+  const kept = Object.fromEntries(
+    Object.entries(translations).filter(
+      ([code, tr]) =>
+        translationLocale(code) && isObject(tr) && typeof tr.text === "string"
+    )
+  );
+  return Object.keys(kept).length ? kept : null;
+};
+
+export const cleanTranslationView = (view, translations) =>
+  isObject(view) && translations?.[view.language]
+    ? { language: view.language, bilingual: view.bilingual === true }
+    : null;
+
+// Bengali, Devanagari and Arabic-Indic digits, in case the model localised
+// them anyway
+const DIGIT_ZEROS = [0x09e6, 0x0966, 0x0660, 0x06f0];
+
+const asciiDigits = (text) =>
+  text
+    .replace(/[০-৯०-९٠-٩۰-۹]/g, (ch) => {
+      const code = ch.charCodeAt(0);
+      const zero = DIGIT_ZEROS.find((z) => code >= z && code <= z + 9);
+      return String(code - zero);
+    })
+    .replace(/٫/g, ".")
+    .replace(/٬/g, ",");
+
+const figures = (text) =>
+  new Set(
+    (asciiDigits(text).match(/\d+(?:[.,]\d+)*/g) || []).map((n) =>
+      n.replace(/,/g, "")
+    )
+  );
+
+// Figures of the original that don't appear in the translation
+export const missingFigures = (original, translated) => {
+  const kept = figures(translated);
+  return [...figures(original)].filter((n) => !kept.has(n));
+};
@@ -0,0 +1,138 @@
+import { useEffect, useRef, useState } from "react";
+import {
+  getSpeakableText,
+  detectLanguage,
+  splitSentences,
+  pickVoice,
+} from "./speech";
+
+export const SPEECH_RATES = [0.75, 1, 1.25, 1.5, 2];
+
+const IDLE = {
+  messageId: null,
+  sentences: [],
+  index: -1,
+  paused: false,
+  lang: "",
+  voiceMissing: false,
+};
+
+// Reads one assistant message at a time with speechSynthesis, sentence by
+// sentence, so the UI can highlight the sentence being spoken.
+const useSpeech = () => {
+  const supported =
+    typeof window !== "undefined" && "speechSynthesis" in window;
+  const [voices, setVoices] = useState([]);
+  const [state, setState] = useState(IDLE);
+  const [rate, setRate] = useState(1);
+  // Bumped on every (re)start so events from cancelled utterances are ignored
+  const sessionRef = useRef(0);
+
+  useEffect(() => {
+    if (!supported) return;
+    const synth = window.speechSynthesis;
+    const loadVoices = () => setVoices(synth.getVoices());
+    loadVoices();
+    synth.addEventListener("voiceschanged", loadVoices);
+    return () => {
+      synth.removeEventListener("voiceschanged", loadVoices);
+      synth.cancel();
+    };
+  }, [supported]);
+
+  const speakFrom = (messageId, sentences, startIndex, lang, speed) => {
+    const synth = window.speechSynthesis;
+    const session = ++sessionRef.current;
+    synth.cancel();
+
+    const voice = pickVoice(voices, lang);
+    setState({
+      messageId,
+      sentences,
+      index: startIndex,
+      paused: false,
+      lang,
+      voiceMissing: !voice,
+    });
+
+    sentences.slice(startIndex).forEach((sentence, offset) => {
+      const i = startIndex + offset;
+      const utterance = new SpeechSynthesisUtterance(sentence);
+      utterance.lang = lang;
+      utterance.rate = speed;
+      if (voice) utterance.voice = voice;
+
+      utterance.onstart = () => {
+        if (sessionRef.current === session) {
+          setState((s) => ({ ...s, index: i }));
+        }
+      };
+      utterance.onerror = (e) => {
+        if (e.error === "interrupted" || e.error === "canceled") return;
+        console.error("Speech error:", e.error);
+        if (sessionRef.current === session) setState(IDLE);
+      };
+      if (i === sentences.length - 1) {
+        utterance.onend = () => {
+          if (sessionRef.current === session) setState(IDLE);
+        };
+      }
+
+      synth.speak(utterance);
+    });
+  };
+
+  const speak = (messageId, markdown) => {
+    if (!supported) return;
+    const text = getSpeakableText(markdown);
+    const sentences = splitSentences(text);
+    if (!sentences.length) return;
+    speakFrom(messageId, sentences, 0, detectLanguage(text), rate);
+  };
+
+  const pause = () => {
+    if (!supported) return;
+    window.speechSynthesis.pause();
+    setState((s) => ({ ...s, paused: true }));
+  };
+
+  const resume = () => {
+    if (!supported) return;
+    window.speechSynthesis.resume();
+    setState((s) => ({ ...s, paused: false }));
+  };
+
+  const stop = () => {
+    if (!supported) return;
+    sessionRef.current++;
+    window.speechSynthesis.cancel();
+    setState(IDLE);
+  };
+
+  // Utterance rate is fixed once queued: restart from the current sentence
+  const changeRate = (newRate) => {
+    setRate(newRate);
+    if (state.messageId && !state.paused) {
+      speakFrom(
+        state.messageId,
+        state.sentences,
+        Math.max(0, state.index),
+        state.lang,
+        newRate
+      );
+    }
+  };
+
+  return {
+    supported,
+    ...state,
+    rate,
+    speak,
+    pause,
+    resume,
+    stop,
+    changeRate,
+  };
+};
+
+export default useSpeech;